@@ -0,0 +1,150 @@
+#!/usr/bin/env node
+/**
+ * PDF Converter
+ * Command-line entry point running the reader's pipeline in Node: mupdf
+ * extracts the pages and parser.js turns them into sections, written out as
+ * JSON, HTML, Markdown or plain text. jsdom stands in for the browser DOM
+ * the parser works on.
+ *
+ * Usage: node convert.js <file.pdf> [--format json|html|markdown|text] [--output <file>] [--password <password>]
+ */
+
+import { readFileSync, writeFileSync, realpathSync } from 'fs';
+import { basename } from 'path';
+import { fileURLToPath } from 'url';
+import { parseArgs } from 'util';
+import { JSDOM } from 'jsdom';
+import { openDocument, layoutDocument, extractPage, getDocumentMetadata, getDocumentOutline, renderPageRegion } from './pdf-document.js';
+import { parseHTMLIntoBlocks, renderSections, renderMarkdown, renderPlainText, escapeHtml } from './parser.js';
+import { getRegionRequests, applyRegionImages } from './page-image.js';
+import { getViewMode } from './page-viewer.js';
+
+const FORMATS = ['json', 'html', 'markdown', 'text'];
+
+// Layout of a phone screen, as the reader lays documents out for
+const LAYOUT = { width: 400, height: 700, emSize: 12 };
+
+const USAGE = `Usage: node convert.js <file.pdf> [options]
+
+Options:
+  -f, --format <format>  Output format: ${FORMATS.join(', ')} (default: markdown)
+  -o, --output <file>    Write to a file instead of standard output
+  -p, --password <text>  Password of a protected PDF
+  -h, --help             Show this help`;
+
+/**
+ * Provide the DOM globals the parser uses, as the test setup does
+ */
+function installDOM() {
+  const dom = new JSDOM('<!DOCTYPE html><html><body></body></html>');
+  global.window = dom.window;
+  global.document = dom.window.document;
+  global.Node = dom.window.Node;
+  global.NodeFilter = dom.window.NodeFilter;
+}
+
+/**
+ * Extract and parse a PDF, with images of the tables and equations the
+ * parser could not rebuild as text. Scanned PDFs, and PDFs with no layout
+ * to reflow by, are converted as well as they can be, with a warning.
+ */
+export function convertPDF(data, password) {
+  const doc = openDocument(data, password);
+  const laidOut = layoutDocument(doc, LAYOUT);
+  const pages = [];
+  const pageSizes = [];
+  const links = [];
+  
+  for (let i = 0; i < doc.countPages(); i++) {
+    const page = extractPage(doc, i);
+    pages.push(page.html);
+    pageSizes.push(page);
+    links.push(...page.links);
+  }
+  const mode = getViewMode(laidOut, pageSizes);
+  if (mode === 'scanned') {
+    console.warn('Warning: this PDF has little text; it is probably scanned.');
+  } else if (mode === 'untagged') {
+    console.warn('Warning: this PDF has no layout to reflow by; its reading order is worked out from the page.');
+  }
+  
+  const metadata = getDocumentMetadata(doc);
+  const sections = parseHTMLIntoBlocks(pages.join(''), { links, metadata });
+  
+  const images = getRegionRequests(sections).map(request => ({
+    section: request.section,
+    ...renderPageRegion(doc, request.box, request.scale, request.padding)
+  }));
+  applyRegionImages(sections, images);
+  
+  return { sections, metadata, outline: getDocumentOutline(doc) };
+}
+
+/**
+ * Write a parsed document in the requested format
+ */
+export function formatDocument({ sections, metadata, outline }, format, title) {
+  if (format === 'json') {
+    return JSON.stringify({ metadata, outline, sections }, null, 2) + '\n';
+  }
+  if (format === 'markdown') {
+    return renderMarkdown(sections);
+  }
+  if (format === 'text') {
+    return renderPlainText(sections);
+  }
+  
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+</head>
+<body>
+${renderSections(sections)}
+</body>
+</html>
+`;
+}
+
+function main() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      format: { type: 'string', short: 'f', default: 'markdown' },
+      output: { type: 'string', short: 'o' },
+      password: { type: 'string', short: 'p' },
+      help: { type: 'boolean', short: 'h' }
+    }
+  });
+  
+  if (values.help) {
+    console.log(USAGE);
+    return;
+  }
+  if (positionals.length !== 1 || !FORMATS.includes(values.format)) {
+    throw new Error(`Expected one PDF file and a format of ${FORMATS.join(', ')}\n\n${USAGE}`);
+  }
+  
+  installDOM();
+  const file = positionals[0];
+  const parsed = convertPDF(readFileSync(file), values.password);
+  const output = formatDocument(parsed, values.format, parsed.metadata.title || basename(file, '.pdf'));
+  
+  if (values.output) {
+    writeFileSync(values.output, output);
+  } else {
+    process.stdout.write(output);
+  }
+}
+
+// Run only as a command, not when imported (e.g. by the tests)
+if (process.argv[1] && realpathSync(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  try {
+    main();
+  } catch (err) {
+    console.error(err.message);
+    process.exitCode = 1;
+  }
+}
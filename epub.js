@@ -0,0 +1,376 @@
+/**
+ * EPUB Export
+ * Packages the parsed sections as an EPUB 3 book in the browser: one XHTML
+ * chapter per top-level heading, a nav document from the headings, the
+ * embedded images as files and the PDF's title and author as metadata.
+ */
+
+import { renderSections, findSectionAtLocation } from './parser.js';
+import { buildTableOfContents } from './toc.js';
+
+const XHTML_NAMESPACE = 'http://www.w3.org/1999/xhtml';
+const OPS_NAMESPACE = 'http://www.idpf.org/2007/ops';
+
+const IMAGE_EXTENSIONS = {
+  'image/png': 'png',
+  'image/jpeg': 'jpg',
+  'image/gif': 'gif',
+  'image/webp': 'webp',
+  'image/svg+xml': 'svg'
+};
+
+const STYLESHEET = `body { font-family: serif; line-height: 1.5; }
+h1, h2, h3, h4, h5, h6 { font-family: sans-serif; line-height: 1.25; }
+img { max-width: 100%; height: auto; }
+figure { margin: 1.5em 0; }
+figcaption, .footnotes, .bibliography { font-size: 0.9em; }
+.title-card { text-align: center; margin-bottom: 2em; }
+.equation { text-align: center; margin: 1em 0; }
+.table-line { white-space: pre; font-family: monospace; }
+table { border-collapse: collapse; }
+th, td { padding: 0.2em 0.5em; border-bottom: 1px solid #999; text-align: left; }
+.footnote-list, .bibliography { list-style: none; padding-left: 0; }
+`;
+
+/**
+ * Escape text for XML content and attribute values
+ */
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Split sections into chapters at the top-level headings; anything before
+ * the first heading (e.g. the title card) becomes the first chapter
+ */
+function splitIntoChapters(sections) {
+  const levels = sections
+    .filter(section => section.type === 'heading' && !section.role)
+    .map(section => section.level || 2);
+  const topLevel = Math.min(...levels);
+  const starts = sections
+    .map((section, index) => section.type === 'heading' && !section.role && (section.level || 2) === topLevel ? index : -1)
+    .filter(index => index > 0);
+  
+  const bounds = [0, ...starts, sections.length];
+  const chapters = [];
+  for (let i = 0; i < bounds.length - 1; i++) {
+    if (bounds[i] === bounds[i + 1]) continue;
+    chapters.push({
+      start: bounds[i],
+      end: bounds[i + 1],
+      file: `chapter-${chapters.length + 1}.xhtml`
+    });
+  }
+  
+  return chapters;
+}
+
+/**
+ * Decode a data URL into its MIME type and bytes
+ */
+function decodeDataURL(src) {
+  const match = /^data:([^;,]+)(;base64)?,(.*)$/s.exec(src);
+  if (!match) return null;
+  
+  const binary = match[2] ? atob(match[3]) : decodeURIComponent(match[3]);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return { type: match[1], bytes };
+}
+
+/**
+ * Replace an element by its children
+ */
+function unwrap(el) {
+  el.replaceWith(...el.childNodes);
+}
+
+/**
+ * Turn the reader's interactive markup into plain EPUB markup: popovers
+ * become note links, embedded images become image files
+ */
+function convertChapter(body, sections, images) {
+  body.querySelectorAll('.footnote-popover').forEach(popover => popover.remove());
+  
+  body.querySelectorAll('button.footnote-ref, button.citation-ref').forEach(button => {
+    const link = document.createElement('a');
+    const isFootnote = button.classList.contains('footnote-ref');
+    link.setAttribute('href', `#${isFootnote ? button.dataset.footnote : button.dataset.reference}`);
+    link.setAttribute('epub:type', isFootnote ? 'noteref' : 'biblioref');
+    link.className = button.className;
+    link.textContent = button.textContent;
+    
+    if (isFootnote) {
+      const sup = document.createElement('sup');
+      sup.appendChild(link);
+      button.replaceWith(sup);
+    } else {
+      button.replaceWith(link);
+    }
+  });
+  
+  body.querySelectorAll('a.internal-link').forEach(link => {
+    const y = parseFloat(link.dataset.y);
+    const target = findSectionAtLocation(sections, parseInt(link.dataset.page), isNaN(y) ? null : y);
+    link.setAttribute('href', target === -1 ? '' : `#section-${target}`);
+    link.dataset.target = target;
+  });
+  
+  body.querySelectorAll('img[src^="data:"]').forEach(img => {
+    const src = img.getAttribute('src');
+    if (!images.has(src)) {
+      const decoded = decodeDataURL(src);
+      if (!decoded || !IMAGE_EXTENSIONS[decoded.type]) {
+        img.remove();
+        return;
+      }
+      images.set(src, { ...decoded, file: `images/image-${images.size + 1}.${IMAGE_EXTENSIONS[decoded.type]}` });
+    }
+    img.setAttribute('src', images.get(src).file);
+  });
+}
+
+/**
+ * Give sections targeted by internal links an id, so the links can point at them
+ */
+function addLinkTargets(chapters) {
+  const targets = new Set();
+  for (const chapter of chapters) {
+    chapter.body.querySelectorAll('a.internal-link[data-target]').forEach(link => targets.add(link.dataset.target));
+  }
+  
+  for (const chapter of chapters) {
+    for (const target of targets) {
+      const el = chapter.body.querySelector(`[data-section="${target}"]`);
+      if (el && !el.id) el.id = `section-${target}`;
+    }
+  }
+}
+
+/**
+ * Point in-document links at the chapter holding their target; links to
+ * targets that are not in the book keep only their text
+ */
+function resolveLinks(chapters) {
+  const files = new Map();
+  for (const chapter of chapters) {
+    chapter.body.querySelectorAll('[id]').forEach(el => files.set(el.id, chapter.file));
+  }
+  
+  for (const chapter of chapters) {
+    chapter.body.querySelectorAll('a[href^="#"], a[href=""]').forEach(link => {
+      const id = link.getAttribute('href').slice(1);
+      if (!files.has(id)) {
+        unwrap(link);
+        return;
+      }
+      link.setAttribute('href', files.get(id) === chapter.file ? `#${id}` : `${files.get(id)}#${id}`);
+      link.removeAttribute('data-target');
+    });
+  }
+  
+  return files;
+}
+
+/**
+ * Wrap body markup in an XHTML document
+ */
+function renderXHTMLDocument(title, body, language) {
+  return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    '<!DOCTYPE html>\n' +
+    `<html xmlns="${XHTML_NAMESPACE}" xmlns:epub="${OPS_NAMESPACE}" lang="${language}" xml:lang="${language}">\n` +
+    `<head>\n<meta charset="UTF-8" />\n<title>${escapeXml(title)}</title>\n` +
+    '<link rel="stylesheet" type="text/css" href="style.css" />\n</head>\n' +
+    `<body>\n${body}\n</body>\n</html>\n`;
+}
+
+/**
+ * Render nav entries as the nested ordered lists EPUB navigation expects
+ */
+function renderNavEntries(entries, chapterOf) {
+  const items = entries
+    .filter(entry => entry.sectionIndex >= 0)
+    .map(entry => {
+      const href = `${chapterOf(entry.sectionIndex).file}#section-${entry.sectionIndex}`;
+      const children = entry.children.length ? renderNavEntries(entry.children, chapterOf) : '';
+      return `<li><a href="${href}">${escapeXml(entry.title)}</a>${children}</li>`;
+    });
+  return items.length ? `<ol>${items.join('')}</ol>` : '';
+}
+
+function renderNav(sections, chapters, metadata) {
+  const chapterOf = index => chapters.find(chapter => index >= chapter.start && index < chapter.end);
+  let list = renderNavEntries(buildTableOfContents(null, sections), chapterOf);
+  if (!list) {
+    list = `<ol><li><a href="${chapters[0].file}">${escapeXml(metadata.title)}</a></li></ol>`;
+  }
+  
+  const body = `<nav epub:type="toc" id="toc">\n<h1>Contents</h1>\n${list}\n</nav>`;
+  return renderXHTMLDocument('Contents', body, metadata.language);
+}
+
+function renderPackage(chapters, images, metadata) {
+  const modified = new Date().toISOString().replace(/\.\d+Z$/, 'Z');
+  const author = metadata.author ? `<dc:creator>${escapeXml(metadata.author)}</dc:creator>\n` : '';
+  
+  const manifest = [
+    '<item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav" />',
+    '<item id="style" href="style.css" media-type="text/css" />',
+    ...chapters.map((chapter, index) =>
+      `<item id="chapter-${index + 1}" href="${chapter.file}" media-type="application/xhtml+xml" />`),
+    ...[...images.values()].map((image, index) =>
+      `<item id="image-${index + 1}" href="${image.file}" media-type="${image.type}" />`)
+  ];
+  const spine = chapters.map((chapter, index) => `<itemref idref="chapter-${index + 1}" />`);
+  
+  return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    '<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="book-id">\n' +
+    '<metadata xmlns:dc="http://purl.org/dc/elements/1.1/">\n' +
+    `<dc:identifier id="book-id">${escapeXml(metadata.identifier)}</dc:identifier>\n` +
+    `<dc:title>${escapeXml(metadata.title)}</dc:title>\n` +
+    author +
+    `<dc:language>${escapeXml(metadata.language)}</dc:language>\n` +
+    `<meta property="dcterms:modified">${modified}</meta>\n` +
+    '</metadata>\n' +
+    `<manifest>\n${manifest.join('\n')}\n</manifest>\n` +
+    `<spine>\n${spine.join('\n')}\n</spine>\n` +
+    '</package>\n';
+}
+
+const CONTAINER_XML = '<?xml version="1.0" encoding="UTF-8"?>\n' +
+  '<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">\n' +
+  '<rootfiles>\n<rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml" />\n</rootfiles>\n' +
+  '</container>\n';
+
+/**
+ * Build the files of an EPUB, in package order, as [{ name, data }] where
+ * data is a string or bytes. Metadata: { title, author, identifier, language }.
+ */
+export function buildEPUBFiles(sections, metadata) {
+  const meta = {
+    title: metadata.title || 'Untitled',
+    author: metadata.author || '',
+    identifier: metadata.identifier || `urn:uuid:${crypto.randomUUID()}`,
+    language: metadata.language || 'en'
+  };
+  
+  const images = new Map();
+  const serializer = new XMLSerializer();
+  const chapters = splitIntoChapters(sections).map(chapter => {
+    const body = document.createElementNS(XHTML_NAMESPACE, 'div');
+    body.innerHTML = renderSections(sections, chapter.start, chapter.end);
+    convertChapter(body, sections, images);
+    
+    const heading = sections[chapter.start].type === 'heading' ? sections[chapter.start].content : meta.title;
+    return { ...chapter, body, title: heading.trim() || meta.title };
+  });
+  
+  addLinkTargets(chapters);
+  resolveLinks(chapters);
+  
+  return [
+    { name: 'mimetype', data: 'application/epub+zip' },
+    { name: 'META-INF/container.xml', data: CONTAINER_XML },
+    { name: 'OEBPS/content.opf', data: renderPackage(chapters, images, meta) },
+    { name: 'OEBPS/nav.xhtml', data: renderNav(sections, chapters, meta) },
+    { name: 'OEBPS/style.css', data: STYLESHEET },
+    ...chapters.map(chapter => ({
+      name: `OEBPS/${chapter.file}`,
+      data: renderXHTMLDocument(chapter.title, serializer.serializeToString(chapter.body), meta.language)
+    })),
+    ...[...images.values()].map(image => ({ name: `OEBPS/${image.file}`, data: image.bytes }))
+  ];
+}
+
+// CRC-32 lookup table for the zip entries
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+function crc32(bytes) {
+  let crc = 0xFFFFFFFF;
+  for (const byte of bytes) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Zip files without compression; EPUB needs the mimetype entry stored and
+ * first, and images are already compressed
+ */
+function createZip(files) {
+  const encoder = new TextEncoder();
+  const now = new Date();
+  const time = (now.getHours() << 11) | (now.getMinutes() << 5) | (now.getSeconds() >> 1);
+  const date = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+  
+  const parts = [];
+  const directory = [];
+  let offset = 0;
+  
+  for (const file of files) {
+    const name = encoder.encode(file.name);
+    const data = typeof file.data === 'string' ? encoder.encode(file.data) : file.data;
+    const crc = crc32(data);
+    
+    const header = new DataView(new ArrayBuffer(30));
+    header.setUint32(0, 0x04034B50, true);
+    header.setUint16(4, 20, true);
+    header.setUint16(6, 0x0800, true); // UTF-8 names
+    header.setUint16(8, 0, true); // stored
+    header.setUint16(10, time, true);
+    header.setUint16(12, date, true);
+    header.setUint32(14, crc, true);
+    header.setUint32(18, data.length, true);
+    header.setUint32(22, data.length, true);
+    header.setUint16(26, name.length, true);
+    header.setUint16(28, 0, true);
+    parts.push(header, name, data);
+    
+    const entry = new DataView(new ArrayBuffer(46));
+    entry.setUint32(0, 0x02014B50, true);
+    entry.setUint16(4, 20, true);
+    entry.setUint16(6, 20, true);
+    entry.setUint16(8, 0x0800, true);
+    entry.setUint16(10, 0, true);
+    entry.setUint16(12, time, true);
+    entry.setUint16(14, date, true);
+    entry.setUint32(16, crc, true);
+    entry.setUint32(20, data.length, true);
+    entry.setUint32(24, data.length, true);
+    entry.setUint16(28, name.length, true);
+    entry.setUint32(42, offset, true);
+    directory.push(entry, name);
+    
+    offset += 30 + name.length + data.length;
+  }
+  
+  const directorySize = directory.reduce((size, part) => size + part.byteLength, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054B50, true);
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, directorySize, true);
+  end.setUint32(16, offset, true);
+  
+  return new Blob([...parts, ...directory, end], { type: 'application/epub+zip' });
+}
+
+/**
+ * Build an EPUB 3 file from sections
+ */
+export function buildEPUB(sections, metadata) {
+  return createZip(buildEPUBFiles(sections, metadata));
+}
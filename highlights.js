@@ -0,0 +1,293 @@
+/**
+ * Highlights
+ * Coloured highlights with optional notes on the reflowed text. Each one is
+ * anchored to a section and character offsets in the section's text, and
+ * also keeps its text with some context on each side, so it can be found
+ * again when the document is parsed differently. Highlights can be listed,
+ * exported as JSON or Markdown, and written into the PDF as annotations.
+ */
+
+import { renderSection, getSectionPages, escapeHtml } from './parser.js';
+import { getTextNodes } from './search.js';
+
+// Highlight colours, with their RGB components for PDF annotations
+export const HIGHLIGHT_COLORS = {
+  yellow: [1, 0.87, 0.35],
+  green: [0.55, 0.91, 0.6],
+  blue: [0.45, 0.75, 0.99],
+  pink: [0.98, 0.64, 0.76]
+};
+
+// Characters of text kept on each side of a highlight to find it again
+const CONTEXT_LENGTH = 32;
+
+/**
+ * Get the text of a section as rendered, which highlight offsets refer to
+ */
+function getSectionText(section, index) {
+  const el = document.createElement('div');
+  el.innerHTML = renderSection(section, index);
+  return getTextNodes(el).text;
+}
+
+/**
+ * Get the offset in an element's text of a range boundary; a boundary
+ * inside a popover falls at the next text outside it
+ */
+function getTextOffset(nodes, container, offset) {
+  const point = document.createRange();
+  point.setStart(container, offset);
+  
+  for (const entry of nodes) {
+    if (entry.node === container) return entry.start + offset;
+    if (point.comparePoint(entry.node, 0) >= 0) return entry.start;
+  }
+  return nodes.length ? nodes[nodes.length - 1].end : 0;
+}
+
+/**
+ * Create a highlight from a selected range. A selection running past its
+ * first section is cut at the end of that section. Returns null when
+ * nothing is selected in a section.
+ */
+export function createHighlight(range, color) {
+  const startContainer = range.startContainer.nodeType === Node.TEXT_NODE
+    ? range.startContainer.parentElement
+    : range.startContainer;
+  const el = startContainer.closest('[data-section]');
+  if (!el || el.closest('.page-preview')) return null;
+  
+  const { nodes, text } = getTextNodes(el);
+  const start = getTextOffset(nodes, range.startContainer, range.startOffset);
+  const end = el.contains(range.endContainer)
+    ? getTextOffset(nodes, range.endContainer, range.endOffset)
+    : text.length;
+  
+  // Leave out whitespace at the ends of the selection
+  const selected = text.slice(start, end);
+  const trimmedStart = start + (selected.length - selected.trimStart().length);
+  const trimmedEnd = end - (selected.length - selected.trimEnd().length);
+  if (trimmedEnd <= trimmedStart) return null;
+  
+  return {
+    id: crypto.randomUUID(),
+    section: parseInt(el.dataset.section),
+    start: trimmedStart,
+    end: trimmedEnd,
+    text: text.slice(trimmedStart, trimmedEnd),
+    prefix: text.slice(Math.max(0, trimmedStart - CONTEXT_LENGTH), trimmedStart),
+    suffix: text.slice(trimmedEnd, trimmedEnd + CONTEXT_LENGTH),
+    color,
+    note: '',
+    createdAt: Date.now()
+  };
+}
+
+/**
+ * Score how well the text around a position matches a highlight's context
+ */
+function getContextScore(text, start, end, highlight) {
+  let score = 0;
+  while (score < highlight.prefix.length && text[start - score - 1] === highlight.prefix[highlight.prefix.length - score - 1]) {
+    score++;
+  }
+  for (let i = 0; i < highlight.suffix.length && text[end + i] === highlight.suffix[i]; i++) {
+    score++;
+  }
+  return score;
+}
+
+/**
+ * Find a highlight in the sections: at its offsets when its text is still
+ * there, otherwise where its text occurs with the best matching context,
+ * preferring sections near its old one. Returns { section, start, end } or
+ * null when the text is gone.
+ */
+function findHighlight(sections, highlight, getText) {
+  if (highlight.section < sections.length) {
+    const text = getText(highlight.section);
+    if (text.slice(highlight.start, highlight.end) === highlight.text) {
+      return { section: highlight.section, start: highlight.start, end: highlight.end };
+    }
+  }
+  
+  let best = null;
+  sections.forEach((section, index) => {
+    const text = getText(index);
+    for (let at = text.indexOf(highlight.text); at !== -1; at = text.indexOf(highlight.text, at + 1)) {
+      const end = at + highlight.text.length;
+      const score = getContextScore(text, at, end, highlight) - Math.abs(index - highlight.section) / sections.length;
+      if (!best || score > best.score) best = { score, section: index, start: at, end };
+    }
+  });
+  
+  return best && { section: best.section, start: best.start, end: best.end };
+}
+
+/**
+ * Anchor highlights to the sections of a (possibly re-parsed) document.
+ * Returns { highlights, changed }; highlights whose text is gone are kept,
+ * marked as orphaned, so their notes are not lost.
+ */
+export function anchorHighlights(sections, highlights) {
+  const texts = new Map();
+  const getText = index => {
+    if (!texts.has(index)) texts.set(index, getSectionText(sections[index], index));
+    return texts.get(index);
+  };
+  
+  let changed = false;
+  const anchored = highlights.map(highlight => {
+    const found = findHighlight(sections, highlight, getText);
+    const { orphaned, ...rest } = highlight;
+    const next = found ? { ...rest, ...found } : { ...rest, orphaned: true };
+    
+    if (next.section !== highlight.section || next.start !== highlight.start ||
+        next.end !== highlight.end || Boolean(next.orphaned) !== Boolean(orphaned)) {
+      changed = true;
+    }
+    return next;
+  });
+  
+  return { highlights: anchored, changed };
+}
+
+/**
+ * Wrap part of a text node in a highlight mark
+ */
+function wrapText(node, start, end, highlight) {
+  const range = document.createRange();
+  range.setStart(node, start);
+  range.setEnd(node, end);
+  
+  const mark = document.createElement('mark');
+  mark.className = 'highlight';
+  mark.dataset.highlight = highlight.id;
+  mark.dataset.color = highlight.color;
+  if (highlight.note) mark.title = highlight.note;
+  range.surroundContents(mark);
+}
+
+/**
+ * Mark highlights in the sections rendered inside an element
+ */
+export function applyHighlights(root, highlights) {
+  for (const highlight of highlights) {
+    if (highlight.orphaned) continue;
+    
+    const el = root.querySelector(`[data-section="${highlight.section}"]`);
+    if (!el) continue;
+    
+    // Text nodes are split by each highlight, so they are looked up afresh
+    const { nodes } = getTextNodes(el);
+    for (let n = nodes.length - 1; n >= 0; n--) {
+      const part = nodes[n];
+      if (part.end <= highlight.start || part.start >= highlight.end) continue;
+      wrapText(part.node, Math.max(highlight.start, part.start) - part.start, Math.min(highlight.end, part.end) - part.start, highlight);
+    }
+  }
+}
+
+/**
+ * Highlights in document order
+ */
+export function sortHighlights(highlights) {
+  return [...highlights].sort((a, b) => a.section - b.section || a.start - b.start);
+}
+
+/**
+ * Render the highlights list; selecting a highlight or deleting it calls
+ * onSelect or onDelete with its id
+ */
+export function renderHighlightList(container, highlights, { onSelect, onDelete }) {
+  if (highlights.length === 0) {
+    container.innerHTML = '<p class="highlights-empty">Select text to highlight it</p>';
+    return;
+  }
+  
+  const items = sortHighlights(highlights).map(highlight => {
+    const note = highlight.note ? `<span class="highlight-item-note">${escapeHtml(highlight.note)}</span>` : '';
+    const missing = highlight.orphaned ? '<span class="highlight-item-missing">Not found in this version of the text</span>' : '';
+    return `<li class="highlight-item" data-color="${highlight.color}">` +
+      `<button type="button" class="highlight-open" data-id="${highlight.id}"${highlight.orphaned ? ' disabled' : ''}>` +
+      `<span class="highlight-item-text">${escapeHtml(highlight.text)}</span>${note}${missing}</button>` +
+      `<button type="button" class="highlight-delete" data-id="${highlight.id}" aria-label="Delete highlight">Delete</button></li>`;
+  });
+  container.innerHTML = `<ul class="highlight-list">${items.join('')}</ul>`;
+  
+  container.querySelectorAll('.highlight-open').forEach(button => {
+    button.addEventListener('click', () => onSelect(button.dataset.id));
+  });
+  container.querySelectorAll('.highlight-delete').forEach(button => {
+    button.addEventListener('click', () => onDelete(button.dataset.id));
+  });
+}
+
+/**
+ * Get the 1-based page a highlight's section starts on, or null
+ */
+function getHighlightPage(sections, highlight) {
+  const section = sections[highlight.section];
+  const [page] = section && !highlight.orphaned ? getSectionPages(section) : [];
+  return page === undefined ? null : page + 1;
+}
+
+/**
+ * Export highlights as JSON, with the document's title and author
+ */
+export function exportHighlightsJSON(sections, highlights, metadata) {
+  return JSON.stringify({
+    title: metadata.title || '',
+    author: metadata.author || '',
+    highlights: sortHighlights(highlights).map(highlight => ({
+      ...highlight,
+      page: getHighlightPage(sections, highlight)
+    }))
+  }, null, 2) + '\n';
+}
+
+/**
+ * Export highlights as Markdown quotes with their notes, under the heading
+ * of the part of the document they are in
+ */
+export function exportHighlightsMarkdown(sections, highlights, metadata) {
+  const lines = [`# ${metadata.title || 'Highlights'}`, ''];
+  if (metadata.author) lines.push(`*${metadata.author}*`, '');
+  let lastHeading = null;
+  
+  for (const highlight of sortHighlights(highlights)) {
+    let heading = null;
+    for (let i = Math.min(highlight.section, sections.length - 1); i >= 0 && !highlight.orphaned; i--) {
+      if (sections[i].type === 'heading') {
+        heading = sections[i].content.trim();
+        break;
+      }
+    }
+    if (heading && heading !== lastHeading) {
+      lines.push(`## ${heading}`, '');
+      lastHeading = heading;
+    }
+    
+    const page = getHighlightPage(sections, highlight);
+    const quote = highlight.text.replace(/\s+/g, ' ') + (page ? ` (p. ${page})` : '');
+    lines.push(`> ${quote}`, '');
+    if (highlight.note) lines.push(highlight.note.trim(), '');
+  }
+  
+  return lines.join('\n');
+}
+
+/**
+ * List the annotations to write into the PDF: each highlight's text, the
+ * page boxes of its section to search it in, its colour and note
+ */
+export function getAnnotationRequests(sections, highlights) {
+  return sortHighlights(highlights)
+    .filter(highlight => !highlight.orphaned && sections[highlight.section])
+    .map(highlight => ({
+      text: highlight.text.replace(/\s+/g, ' '),
+      boxes: sections[highlight.section].sources || [],
+      color: HIGHLIGHT_COLORS[highlight.color] || HIGHLIGHT_COLORS.yellow,
+      note: highlight.note
+    }));
+}
@@ -0,0 +1,210 @@
+/**
+ * Library
+ * Keeps opened PDFs in IndexedDB, keyed by a hash of their content, along
+ * with their parsed sections (so reopening skips mupdf), the reading
+ * position and highlights. Documents, files, parse results and highlights
+ * live in separate stores so listing the library does not load the PDFs.
+ */
+
+import { escapeHtml } from './parser.js';
+
+const DB_NAME = 'mobpdf-library';
+const DB_VERSION = 2;
+
+// Bump when the parser output changes, so cached sections are parsed again
+// (3 drops the sections of protected PDFs cached by earlier versions)
+const PARSE_CACHE_VERSION = 3;
+
+let dbPromise = null;
+
+/**
+ * Wrap an IndexedDB request in a promise
+ */
+function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function openDatabase() {
+  if (dbPromise) return dbPromise;
+  
+  const request = indexedDB.open(DB_NAME, DB_VERSION);
+  request.onupgradeneeded = () => {
+    const db = request.result;
+    for (const name of ['documents', 'files', 'parsed', 'highlights']) {
+      if (!db.objectStoreNames.contains(name)) db.createObjectStore(name, { keyPath: 'id' });
+    }
+  };
+  dbPromise = promisifyRequest(request);
+  return dbPromise;
+}
+
+/**
+ * Run a function against object stores in one transaction, resolving with
+ * its result once the transaction completes
+ */
+async function withStores(names, mode, fn) {
+  const db = await openDatabase();
+  const transaction = db.transaction(names, mode);
+  const complete = new Promise((resolve, reject) => {
+    transaction.oncomplete = resolve;
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+  
+  const result = await fn(...names.map(name => transaction.objectStore(name)));
+  await complete;
+  return result;
+}
+
+/**
+ * Hex SHA-256 of a PDF's bytes, used as its library id
+ */
+export async function hashDocument(data) {
+  const digest = await crypto.subtle.digest('SHA-256', data);
+  return [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Add a document ({ id, title, author, fileName, pageCount, isProtected })
+ * and its PDF bytes, keeping the reading position of an earlier copy
+ */
+export function saveDocument(doc, data) {
+  return withStores(['documents', 'files'], 'readwrite', async (documents, files) => {
+    const existing = await promisifyRequest(documents.get(doc.id));
+    documents.put({
+      position: null,
+      addedAt: Date.now(),
+      ...existing,
+      ...doc,
+      openedAt: Date.now()
+    });
+    files.put({ id: doc.id, data });
+  });
+}
+
+/**
+ * Documents in the library, most recently opened first
+ */
+export async function listDocuments() {
+  const docs = await withStores(['documents'], 'readonly', documents =>
+    promisifyRequest(documents.getAll())
+  );
+  return docs.sort((a, b) => b.openedAt - a.openedAt);
+}
+
+export function getDocument(id) {
+  return withStores(['documents'], 'readonly', documents => promisifyRequest(documents.get(id)));
+}
+
+/**
+ * The stored PDF bytes of a document, or null
+ */
+export async function getDocumentFile(id) {
+  const file = await withStores(['files'], 'readonly', files => promisifyRequest(files.get(id)));
+  return file ? file.data : null;
+}
+
+/**
+ * Mark a document as just opened
+ */
+export function touchDocument(id) {
+  return updateDocument(id, { openedAt: Date.now() });
+}
+
+/**
+ * Store the reading position ({ section, offset, progress }) of a document
+ */
+export function savePosition(id, position) {
+  return updateDocument(id, { position });
+}
+
+function updateDocument(id, changes) {
+  return withStores(['documents'], 'readwrite', async documents => {
+    const existing = await promisifyRequest(documents.get(id));
+    if (existing) documents.put({ ...existing, ...changes });
+  });
+}
+
+/**
+ * Cached parse result ({ sections, outline, view }) of a document, or null
+ * when missing, made by an older parser or of a protected PDF
+ */
+export async function getParsedDocument(id) {
+  const [doc, parsed] = await withStores(['documents', 'parsed'], 'readonly', (documents, store) =>
+    Promise.all([promisifyRequest(documents.get(id)), promisifyRequest(store.get(id))])
+  );
+  if (!parsed || parsed.version !== PARSE_CACHE_VERSION || (doc && doc.isProtected)) return null;
+  return { sections: parsed.sections, outline: parsed.outline, view: parsed.view };
+}
+
+/**
+ * Cache a parse result; view is how the document is shown ({ mode, pages }).
+ * Protected PDFs are not cached, as their text would then be readable
+ * without the password.
+ */
+export function saveParsedDocument(id, sections, outline, view) {
+  return withStores(['documents', 'parsed'], 'readwrite', async (documents, store) => {
+    const doc = await promisifyRequest(documents.get(id));
+    if (doc && doc.isProtected) return;
+    store.put({ id, version: PARSE_CACHE_VERSION, sections, outline, view });
+  });
+}
+
+/**
+ * Highlights of a document, or [] when it has none
+ */
+export async function getHighlights(id) {
+  const record = await withStores(['highlights'], 'readonly', store => promisifyRequest(store.get(id)));
+  return record ? record.highlights : [];
+}
+
+export function saveHighlights(id, highlights) {
+  return withStores(['highlights'], 'readwrite', store => {
+    store.put({ id, highlights });
+  });
+}
+
+/**
+ * Remove a document, its file, its cached parse result and its highlights
+ */
+export function deleteDocument(id) {
+  return withStores(['documents', 'files', 'parsed', 'highlights'], 'readwrite', (documents, files, parsed, highlights) => {
+    documents.delete(id);
+    files.delete(id);
+    parsed.delete(id);
+    highlights.delete(id);
+  });
+}
+
+/**
+ * Render the library list; each document can be opened or deleted
+ */
+export function renderLibrary(container, docs, { onOpen, onDelete }) {
+  if (docs.length === 0) {
+    container.innerHTML = '<p class="library-empty">Opened PDFs will appear here</p>';
+    return;
+  }
+  
+  const items = docs.map(doc => {
+    const progress = Math.round((doc.position ? doc.position.progress : 0) * 100);
+    const pages = `${doc.pageCount} ${doc.pageCount === 1 ? 'page' : 'pages'}`;
+    return `<li class="library-item">` +
+      `<button type="button" class="library-open" data-id="${doc.id}">` +
+      `<span class="library-title">${escapeHtml(doc.title)}</span>` +
+      `<span class="library-details">${pages} · ${progress}% read</span>` +
+      `<progress max="100" value="${progress}"></progress></button>` +
+      `<button type="button" class="library-delete" data-id="${doc.id}" ` +
+      `aria-label="Delete ${escapeHtml(doc.title)}">Delete</button></li>`;
+  });
+  container.innerHTML = `<ul class="library-list">${items.join('')}</ul>`;
+  
+  container.querySelectorAll('.library-open').forEach(button => {
+    button.addEventListener('click', () => onOpen(button.dataset.id));
+  });
+  container.querySelectorAll('.library-delete').forEach(button => {
+    button.addEventListener('click', () => onDelete(button.dataset.id));
+  });
+}
@@ -1,11 +1,147 @@
-import mupdf from 'mupdf';
-import { parseHTMLIntoBlocks, renderSections } from './parser.js';
+import { parseHTMLIntoBlocks, renderSections, findSectionAtLocation, findSectionByAnchor, getSectionPages } from './parser.js';
+import {
+  buildTableOfContents,
+  getTableOfContentsTargets,
+  renderTableOfContents,
+  setActiveEntry
+} from './toc.js';
+import { getRegionRequests, applyRegionImages } from './page-image.js';
+import {
+  loadDocument,
+  openForRendering,
+  renderRegions,
+  annotateDocument,
+  findPageColumns,
+  LoadCancelledError,
+  PasswordRequiredError
+} from './pdf-client.js';
+import { createVirtualReader } from './virtual-reader.js';
+import { createPageViewer, getViewMode } from './page-viewer.js';
+import {
+  hashDocument,
+  saveDocument,
+  listDocuments,
+  getDocument,
+  getDocumentFile,
+  touchDocument,
+  savePosition,
+  getParsedDocument,
+  saveParsedDocument,
+  deleteDocument,
+  getHighlights,
+  saveHighlights,
+  renderLibrary
+} from './library.js';
+import { searchSections, highlightMatches, clearHighlights, renderSearchResults } from './search.js';
+import { loadSettings, saveSettings, applySettings, bindSettingsForm, LAYOUT_SETTINGS } from './settings.js';
+import { buildEPUB } from './epub.js';
+import { getSourceRequests, renderSourceImages, bindLongPress, bindPinchZoom } from './source-view.js';
+import {
+  createHighlight,
+  anchorHighlights,
+  applyHighlights,
+  renderHighlightList,
+  exportHighlightsJSON,
+  exportHighlightsMarkdown,
+  getAnnotationRequests
+} from './highlights.js';
 
 // DOM elements
+const header = document.querySelector('header');
 const fileInput = document.getElementById('file-input');
 const pdfContainer = document.getElementById('pdf-container');
 const loading = document.getElementById('loading');
+const loadingText = document.getElementById('loading-text');
+const loadingProgress = document.getElementById('loading-progress');
 const error = document.getElementById('error');
+const tocButton = document.getElementById('toc-button');
+const tocDrawer = document.getElementById('toc-drawer');
+const tocList = document.getElementById('toc-list');
+const tocClose = document.getElementById('toc-close');
+const tocBackdrop = document.getElementById('toc-backdrop');
+const libraryButton = document.getElementById('library-button');
+const libraryView = document.getElementById('library');
+const libraryList = document.getElementById('library-list');
+const searchButton = document.getElementById('search-button');
+const searchBar = document.getElementById('search-bar');
+const searchInput = document.getElementById('search-input');
+const searchCount = document.getElementById('search-count');
+const searchPrevious = document.getElementById('search-previous');
+const searchNext = document.getElementById('search-next');
+const searchResultsButton = document.getElementById('search-results-button');
+const searchResultsList = document.getElementById('search-results');
+const settingsButton = document.getElementById('settings-button');
+const exportButton = document.getElementById('export-button');
+const smartZoomButton = document.getElementById('smart-zoom-button');
+const modeNotice = document.getElementById('mode-notice');
+const modeNoticeText = document.getElementById('mode-notice-text');
+const modeNoticeClose = document.getElementById('mode-notice-close');
+const settingsDrawer = document.getElementById('settings-drawer');
+const settingsClose = document.getElementById('settings-close');
+const settingsForm = document.getElementById('settings-form');
+const sourceView = document.getElementById('source-view');
+const sourceTitle = document.getElementById('source-title');
+const sourceFullPage = document.getElementById('source-full-page');
+const sourceClose = document.getElementById('source-close');
+const sourceViewport = document.getElementById('source-viewport');
+const sourceImages = document.getElementById('source-images');
+const highlightsButton = document.getElementById('highlights-button');
+const highlightsDrawer = document.getElementById('highlights-drawer');
+const highlightsClose = document.getElementById('highlights-close');
+const highlightsList = document.getElementById('highlights-list');
+const highlightsJSON = document.getElementById('highlights-json');
+const highlightsMarkdown = document.getElementById('highlights-markdown');
+const highlightsPDF = document.getElementById('highlights-pdf');
+const highlightMenu = document.getElementById('highlight-menu');
+const highlightNote = document.getElementById('highlight-note');
+const highlightNoteButton = document.getElementById('highlight-note-button');
+const highlightSource = document.getElementById('highlight-source');
+const highlightDelete = document.getElementById('highlight-delete');
+const passwordDialog = document.getElementById('password-dialog');
+const passwordMessage = document.getElementById('password-message');
+const passwordInput = document.getElementById('password-input');
+const passwordError = document.getElementById('password-error');
+
+// Sections of the current document, and the reader showing them
+let currentSections = [];
+let currentReader = null;
+
+// How the current document is shown ({ mode, pages }): reflowed, reflowed
+// from the page layout when it could not be laid out or its text was
+// recognised from scans, or as page images when scanned
+let currentView = null;
+
+// Library id of the current document, and its title and author
+let currentDocumentId = null;
+let currentMetadata = null;
+
+// Current search: its query, matches and the match shown (-1 before the first)
+let searchQuery = '';
+let searchResults = [];
+let searchPosition = -1;
+
+// Reader settings, applied before anything is rendered
+let settings = loadSettings();
+applySettings(settings);
+
+// Section shown in the original page view, and a count to drop stale renders
+let sourceSection = -1;
+let sourceRenderCount = 0;
+const sourceZoom = bindPinchZoom(sourceViewport, sourceImages);
+
+// Highlights of the current document. The highlight menu acts on the
+// highlight it was opened for, or on the selected range when that is null.
+let highlights = [];
+let menuHighlight = null;
+let menuRange = null;
+let menuAnchor = null;
+
+// Section indexes of the table of contents entries, in document order
+let tocTargets = [];
+
+// Load in progress, cancelled when another file is chosen
+let currentLoad = null;
+let loadCount = 0;
 
 // UI state management
 function showError(message) {
@@ -19,16 +155,712 @@ function hideError() {
 }
 
 function showLoading() {
+  loadingText.textContent = 'Loading PDF...';
+  loadingProgress.removeAttribute('value');
   loading.classList.remove('hidden');
   hideError();
 }
 
+function updateProgress(pagesDone, pageCount) {
+  loadingText.textContent = `Page ${pagesDone}/${pageCount}`;
+  loadingProgress.max = pageCount;
+  loadingProgress.value = pagesDone;
+}
+
 function hideLoading() {
   loading.classList.add('hidden');
 }
 
 function clearContainer() {
+  if (currentReader) currentReader.destroy();
+  currentReader = null;
+  currentView = null;
+  currentDocumentId = null;
+  currentMetadata = null;
   pdfContainer.innerHTML = '';
+  currentSections = [];
+  tocList.innerHTML = '';
+  tocTargets = [];
+  tocButton.classList.add('hidden');
+  closeTableOfContents();
+  searchButton.classList.add('hidden');
+  exportButton.classList.add('hidden');
+  smartZoomButton.classList.add('hidden');
+  smartZoomButton.setAttribute('aria-pressed', 'false');
+  modeNotice.classList.add('hidden');
+  closeSearch();
+  closeSourceView();
+  hideHighlightMenu();
+  highlights = [];
+  highlightsButton.classList.add('hidden');
+  closeHighlights();
+}
+
+// Table of contents drawer
+function openTableOfContents() {
+  tocDrawer.classList.add('open');
+  tocBackdrop.classList.remove('hidden');
+  tocDrawer.setAttribute('aria-hidden', 'false');
+}
+
+function closeTableOfContents() {
+  tocDrawer.classList.remove('open');
+  tocBackdrop.classList.add('hidden');
+  tocDrawer.setAttribute('aria-hidden', 'true');
+}
+
+// Settings drawer
+function openSettings() {
+  settingsDrawer.classList.add('open');
+  tocBackdrop.classList.remove('hidden');
+  settingsDrawer.setAttribute('aria-hidden', 'false');
+}
+
+function closeSettings() {
+  settingsDrawer.classList.remove('open');
+  tocBackdrop.classList.add('hidden');
+  settingsDrawer.setAttribute('aria-hidden', 'true');
+}
+
+// Highlights drawer
+function openHighlights() {
+  renderHighlights();
+  highlightsDrawer.classList.add('open');
+  tocBackdrop.classList.remove('hidden');
+  highlightsDrawer.setAttribute('aria-hidden', 'false');
+}
+
+function closeHighlights() {
+  highlightsDrawer.classList.remove('open');
+  tocBackdrop.classList.add('hidden');
+  highlightsDrawer.setAttribute('aria-hidden', 'true');
+}
+
+function closeDrawers() {
+  closeTableOfContents();
+  closeSettings();
+  closeHighlights();
+}
+
+// Create the reader for the current document: the page viewer for scanned
+// documents, otherwise the reflowed sections
+function createReader() {
+  if (currentView.mode !== 'scanned') {
+    return createVirtualReader(pdfContainer, currentSections, { onRender: handleChunkRender, getReadingTop });
+  }
+  
+  const viewer = createPageViewer(pdfContainer, currentView.pages, {
+    renderPages: renderRegions,
+    findColumns: findPageColumns,
+    onScroll: handleScroll
+  });
+  viewer.setSmartZoom(smartZoomButton.getAttribute('aria-pressed') === 'true');
+  return viewer;
+}
+
+// Render a section before looking up its elements; the page viewer shows
+// pages, not sections, so there is nothing to render there
+function revealSection(sectionIndex) {
+  if (currentReader && currentView.mode !== 'scanned') currentReader.revealSection(sectionIndex);
+}
+
+// Re-render sections that changed, when the reader shows sections
+function refreshSections(sectionIndexes) {
+  if (currentReader && currentView.mode !== 'scanned') currentReader.refreshSections(sectionIndexes);
+}
+
+// Lay the reader out again after the text size changed, keeping the position
+function relayoutReader() {
+  if (!currentReader || currentView.mode === 'scanned') return;
+  
+  const position = currentReader.getPosition(getReadingTop());
+  currentReader.destroy();
+  currentReader = createReader();
+  if (position) currentReader.scrollToPosition(position, getReadingTop());
+}
+
+// Explain why a document is not reflowed as usual
+const MODE_NOTICES = {
+  untagged: 'This PDF could not be laid out for reflow, or its text was recognised from scanned pages, so its reading order was worked out from the page layout. Headings and columns may come out wrong.',
+  scanned: 'This PDF is scanned and has no text to reflow, so its pages are shown as images. Pinch to zoom, or use Smart zoom to read a column at a time.'
+};
+
+function showModeNotice(mode) {
+  modeNotice.classList.toggle('hidden', !MODE_NOTICES[mode]);
+  modeNoticeText.textContent = MODE_NOTICES[mode] || '';
+}
+
+function toggleSmartZoom() {
+  if (!currentReader || currentView.mode !== 'scanned') return;
+  
+  const enabled = smartZoomButton.getAttribute('aria-pressed') !== 'true';
+  smartZoomButton.setAttribute('aria-pressed', String(enabled));
+  currentReader.setSmartZoom(enabled);
+}
+
+let relayoutTimer = null;
+function handleSettingsChange(changed) {
+  const needsLayout = LAYOUT_SETTINGS.some(key => changed[key] !== settings[key]);
+  settings = changed;
+  applySettings(settings);
+  saveSettings(settings);
+  
+  if (needsLayout) {
+    clearTimeout(relayoutTimer);
+    relayoutTimer = setTimeout(relayoutReader, 200);
+  }
+}
+
+function scrollToSection(sectionIndex) {
+  if (currentReader) currentReader.scrollToSection(sectionIndex);
+}
+
+// Scroll to an element id, rendering the section it is in first
+function scrollToAnchor(id) {
+  const sectionIndex = findSectionByAnchor(currentSections, id);
+  if (sectionIndex !== -1) revealSection(sectionIndex);
+  
+  const target = document.getElementById(id);
+  if (target) {
+    target.scrollIntoView({ block: 'center' });
+  }
+}
+
+// Scroll to the reflowed location of an internal link destination
+function scrollToLocation(page, y) {
+  const sectionIndex = findSectionAtLocation(currentSections, page, y);
+  if (sectionIndex !== -1) {
+    scrollToSection(sectionIndex);
+  }
+}
+
+// Browsers without the popover API jump to the footnote or reference list instead
+function handleNoteClick(targetId) {
+  if (HTMLElement.prototype.hasOwnProperty('popover')) return;
+  scrollToAnchor(targetId);
+}
+
+function handleContainerClick(e) {
+  const footnoteButton = e.target.closest('.footnote-ref');
+  if (footnoteButton) {
+    handleNoteClick(footnoteButton.dataset.footnote);
+    return;
+  }
+  
+  const citationButton = e.target.closest('.citation-ref');
+  if (citationButton) {
+    handleNoteClick(citationButton.dataset.reference);
+    return;
+  }
+  
+  const figureLink = e.target.closest('a.figure-link');
+  if (figureLink) {
+    e.preventDefault();
+    scrollToAnchor(figureLink.dataset.anchor);
+    return;
+  }
+  
+  const mark = e.target.closest('mark.highlight');
+  if (mark && !e.target.closest('a') && window.getSelection().isCollapsed) {
+    openHighlightMenu(mark.dataset.highlight);
+    return;
+  }
+  
+  const link = e.target.closest('a.internal-link');
+  if (!link) return;
+  
+  e.preventDefault();
+  const y = parseFloat(link.dataset.y);
+  scrollToLocation(parseInt(link.dataset.page), isNaN(y) ? null : y);
+}
+
+// Original page view: the region of the PDF a section was reflowed from
+function openSourceView(sectionIndex) {
+  sourceSection = sectionIndex;
+  sourceView.classList.remove('hidden');
+  sourceFullPage.setAttribute('aria-pressed', 'false');
+  sourceFullPage.textContent = 'Show full page';
+  sourceClose.focus();
+  renderSourceView(false);
+}
+
+function closeSourceView() {
+  sourceSection = -1;
+  sourceRenderCount++;
+  sourceView.classList.add('hidden');
+  sourceImages.innerHTML = '';
+}
+
+async function renderSourceView(fullPage) {
+  const renderId = ++sourceRenderCount;
+  const pages = getSectionPages(currentSections[sourceSection]).map(page => page + 1);
+  if (pages.length > 1) {
+    sourceTitle.textContent = `Pages ${pages[0]}–${pages[pages.length - 1]}`;
+  } else {
+    sourceTitle.textContent = pages.length ? `Page ${pages[0]}` : 'Original page';
+  }
+  sourceImages.innerHTML = '<p class="source-status">Rendering page…</p>';
+  sourceZoom.reset();
+  
+  try {
+    const requests = getSourceRequests(currentSections, sourceSection, { fullPage, pixelRatio: window.devicePixelRatio || 1 });
+    const images = await renderRegions(requests);
+    if (renderId === sourceRenderCount) renderSourceImages(sourceImages, images);
+  } catch (err) {
+    console.error('Error rendering the original page:', err);
+    if (renderId === sourceRenderCount) renderSourceImages(sourceImages, []);
+  }
+}
+
+function toggleSourceFullPage() {
+  const fullPage = sourceFullPage.getAttribute('aria-pressed') !== 'true';
+  sourceFullPage.setAttribute('aria-pressed', String(fullPage));
+  sourceFullPage.textContent = fullPage ? 'Show section' : 'Show full page';
+  renderSourceView(fullPage);
+}
+
+// Long-pressing a section opens its original page; page previews shown
+// while loading are left alone, as their sections are not the final ones
+function handleSectionLongPress(target) {
+  const el = target.closest('[data-section]');
+  if (!el || el.closest('.page-preview')) return;
+  openSourceView(parseInt(el.dataset.section));
+}
+
+// Highlights: anchored again to the sections each time a document is shown,
+// so they follow the text when the parser changes
+async function loadHighlights(id, sections) {
+  try {
+    const stored = await getHighlights(id);
+    if (id !== currentDocumentId) return;
+    
+    const anchored = anchorHighlights(sections, stored);
+    highlights = anchored.highlights;
+    if (anchored.changed) storeHighlights();
+    refreshSections(highlights.map(highlight => highlight.section));
+    renderHighlights();
+  } catch (err) {
+    console.warn('Could not load highlights:', err);
+  }
+}
+
+function storeHighlights() {
+  if (!currentDocumentId) return;
+  saveHighlights(currentDocumentId, highlights).catch(err => {
+    console.warn('Could not save highlights:', err);
+  });
+}
+
+function renderHighlights() {
+  renderHighlightList(highlightsList, highlights, {
+    onSelect: id => {
+      closeHighlights();
+      goToHighlight(id);
+    },
+    onDelete: deleteHighlight
+  });
+}
+
+function goToHighlight(id) {
+  const highlight = highlights.find(item => item.id === id);
+  if (!highlight || !currentReader) return;
+  
+  revealSection(highlight.section);
+  const mark = pdfContainer.querySelector(`mark.highlight[data-highlight="${id}"]`);
+  if (mark) {
+    mark.scrollIntoView({ block: 'center' });
+  } else {
+    scrollToSection(highlight.section);
+  }
+}
+
+// Replace a highlight and show the change in its section
+function updateHighlight(id, changes) {
+  highlights = highlights.map(highlight => highlight.id === id ? { ...highlight, ...changes } : highlight);
+  const updated = highlights.find(highlight => highlight.id === id);
+  if (menuHighlight && menuHighlight.id === id) menuHighlight = updated;
+  storeHighlights();
+  renderHighlights();
+  refreshSections([updated.section]);
+}
+
+function deleteHighlight(id) {
+  const highlight = highlights.find(item => item.id === id);
+  if (!highlight) return;
+  
+  highlights = highlights.filter(item => item.id !== id);
+  storeHighlights();
+  renderHighlights();
+  refreshSections([highlight.section]);
+}
+
+// Place the highlight menu below its text, or above it when there is no room
+function positionHighlightMenu() {
+  const rect = highlightMenu.getBoundingClientRect();
+  const below = menuAnchor.bottom + 8;
+  highlightMenu.style.top = `${below + rect.height < window.innerHeight ? below : Math.max(8, menuAnchor.top - rect.height - 8)}px`;
+  highlightMenu.style.left = `${Math.max(8, Math.min(menuAnchor.left, window.innerWidth - rect.width - 8))}px`;
+}
+
+function showHighlightMenu(anchor, highlight, range = null) {
+  menuHighlight = highlight;
+  menuRange = range;
+  menuAnchor = anchor;
+  
+  highlightDelete.classList.toggle('hidden', !highlight);
+  highlightNote.classList.toggle('hidden', !highlight || !highlight.note);
+  highlightNote.value = highlight ? highlight.note : '';
+  highlightMenu.querySelectorAll('.highlight-color').forEach(button => {
+    button.setAttribute('aria-pressed', String(Boolean(highlight) && button.dataset.color === highlight.color));
+  });
+  highlightMenu.classList.remove('hidden');
+  positionHighlightMenu();
+}
+
+function openHighlightMenu(id) {
+  const highlight = highlights.find(item => item.id === id);
+  const mark = pdfContainer.querySelector(`mark.highlight[data-highlight="${id}"]`);
+  if (highlight && mark) showHighlightMenu(mark.getBoundingClientRect(), highlight);
+}
+
+function hideHighlightMenu() {
+  highlightMenu.classList.add('hidden');
+  menuHighlight = null;
+  menuRange = null;
+}
+
+// Offer the highlight menu for text selected in the reader
+let selectionTimer = null;
+function handleSelectionChange() {
+  clearTimeout(selectionTimer);
+  selectionTimer = setTimeout(() => {
+    const selection = window.getSelection();
+    if (selection.isCollapsed || selection.rangeCount === 0) {
+      if (!menuHighlight) hideHighlightMenu();
+      return;
+    }
+    
+    const range = selection.getRangeAt(0);
+    if (!pdfContainer.contains(range.commonAncestorContainer)) return;
+    showHighlightMenu(range.getBoundingClientRect(), null, range.cloneRange());
+  }, 250);
+}
+
+function handleHighlightColor(color) {
+  if (menuHighlight) {
+    updateHighlight(menuHighlight.id, { color });
+    highlightMenu.querySelectorAll('.highlight-color').forEach(button => {
+      button.setAttribute('aria-pressed', String(button.dataset.color === color));
+    });
+    return;
+  }
+  
+  const highlight = menuRange && createHighlight(menuRange, color);
+  if (!highlight) return;
+  
+  highlights.push(highlight);
+  storeHighlights();
+  renderHighlights();
+  window.getSelection().removeAllRanges();
+  refreshSections([highlight.section]);
+  openHighlightMenu(highlight.id);
+}
+
+// A note on selected text highlights it first
+function handleHighlightNote() {
+  if (!menuHighlight) handleHighlightColor('yellow');
+  if (!menuHighlight) return;
+  
+  highlightNote.classList.remove('hidden');
+  positionHighlightMenu();
+  highlightNote.focus();
+}
+
+let noteTimer = null;
+function handleNoteInput() {
+  if (!menuHighlight) return;
+  
+  const id = menuHighlight.id;
+  const note = highlightNote.value;
+  clearTimeout(noteTimer);
+  noteTimer = setTimeout(() => updateHighlight(id, { note }), 400);
+}
+
+function handleHighlightSource() {
+  const el = menuRange && (menuRange.startContainer.nodeType === Node.TEXT_NODE
+    ? menuRange.startContainer.parentElement
+    : menuRange.startContainer).closest('[data-section]');
+  const sectionIndex = menuHighlight ? menuHighlight.section : el && parseInt(el.dataset.section);
+  
+  hideHighlightMenu();
+  if (sectionIndex !== null && sectionIndex >= 0) openSourceView(sectionIndex);
+}
+
+function handleHighlightDelete() {
+  const id = menuHighlight && menuHighlight.id;
+  hideHighlightMenu();
+  if (id) deleteHighlight(id);
+}
+
+// Keep the selection when the menu's buttons are pressed
+function handleHighlightMenuPress(e) {
+  if (e.target !== highlightNote) e.preventDefault();
+}
+
+function handleDocumentPointerDown(e) {
+  if (!highlightMenu.contains(e.target)) hideHighlightMenu();
+}
+
+function showTableOfContents(outline, sections) {
+  const entries = buildTableOfContents(outline, sections);
+  tocTargets = getTableOfContentsTargets(entries);
+  
+  renderTableOfContents(tocList, entries, sectionIndex => {
+    closeTableOfContents();
+    scrollToSection(sectionIndex);
+  });
+  
+  tocButton.classList.remove('hidden');
+  updateCurrentSection();
+}
+
+// Search bar
+function openSearch() {
+  searchBar.classList.remove('hidden');
+  searchButton.setAttribute('aria-expanded', 'true');
+  searchInput.focus();
+  searchInput.select();
+}
+
+function closeSearch() {
+  searchBar.classList.add('hidden');
+  searchButton.setAttribute('aria-expanded', 'false');
+  searchInput.value = '';
+  hideSearchResults();
+  runSearch('');
+}
+
+function toggleSearch() {
+  if (searchBar.classList.contains('hidden')) {
+    openSearch();
+  } else {
+    closeSearch();
+  }
+}
+
+function hideSearchResults() {
+  searchResultsList.classList.add('hidden');
+  searchResultsButton.setAttribute('aria-expanded', 'false');
+}
+
+function toggleSearchResults() {
+  const hidden = searchResultsList.classList.toggle('hidden');
+  searchResultsButton.setAttribute('aria-expanded', String(!hidden));
+}
+
+function updateSearchCount() {
+  if (!searchQuery) {
+    searchCount.textContent = '';
+  } else if (searchPosition === -1) {
+    searchCount.textContent = `${searchResults.length} ${searchResults.length === 1 ? 'match' : 'matches'}`;
+  } else {
+    searchCount.textContent = `${searchPosition + 1}/${searchResults.length}`;
+  }
+  
+  const noMatches = searchResults.length === 0;
+  searchPrevious.disabled = noMatches;
+  searchNext.disabled = noMatches;
+  searchResultsButton.disabled = !searchQuery;
+}
+
+// Search the whole document and highlight the matches already rendered
+function runSearch(query) {
+  searchQuery = query.trim();
+  searchResults = searchQuery ? searchSections(currentSections, searchQuery) : [];
+  searchPosition = -1;
+  
+  clearHighlights(pdfContainer);
+  highlightMatches(pdfContainer, searchQuery);
+  renderSearchResults(searchResultsList, searchResults, position => {
+    hideSearchResults();
+    goToMatch(position);
+  });
+  updateSearchCount();
+}
+
+// Mark the highlights of the match being shown within an element
+function markCurrentMatch(root) {
+  root.querySelectorAll('mark.search-match.current').forEach(mark => mark.classList.remove('current'));
+  if (searchPosition === -1) return [];
+  
+  const result = searchResults[searchPosition];
+  const marks = [...root.querySelectorAll(`[data-section="${result.section}"] mark[data-match="${result.index}"]`)];
+  marks.forEach(mark => mark.classList.add('current'));
+  return marks;
+}
+
+function goToMatch(position) {
+  if (searchResults.length === 0 || !currentReader) return;
+  
+  searchPosition = (position + searchResults.length) % searchResults.length;
+  const result = searchResults[searchPosition];
+  revealSection(result.section);
+  
+  const marks = markCurrentMatch(pdfContainer);
+  if (marks.length > 0) {
+    marks[0].scrollIntoView({ block: 'center' });
+  } else {
+    scrollToSection(result.section);
+  }
+  updateSearchCount();
+}
+
+// The first step goes to the first match from the section being read
+function goToNextMatch() {
+  if (searchPosition !== -1 || !currentReader) {
+    goToMatch(searchPosition + 1);
+    return;
+  }
+  
+  const reading = currentReader.getSectionAtOffset(getReadingTop());
+  const next = searchResults.findIndex(result => result.section >= reading);
+  goToMatch(next === -1 ? 0 : next);
+}
+
+function goToPreviousMatch() {
+  goToMatch(searchPosition === -1 ? searchResults.length - 1 : searchPosition - 1);
+}
+
+let searchTimer = null;
+function handleSearchInput() {
+  clearTimeout(searchTimer);
+  searchTimer = setTimeout(() => runSearch(searchInput.value), 250);
+}
+
+function handleSearchKeydown(e) {
+  if (e.key === 'Escape') {
+    closeSearch();
+  } else if (e.key === 'Enter') {
+    e.preventDefault();
+    clearTimeout(searchTimer);
+    if (searchInput.value.trim() !== searchQuery) runSearch(searchInput.value);
+    if (e.shiftKey) {
+      goToPreviousMatch();
+    } else {
+      goToNextMatch();
+    }
+  }
+}
+
+// Highlight matches in sections as the reader renders them
+function handleChunkRender(el) {
+  applyHighlights(el, highlights);
+  if (!searchQuery) return;
+  highlightMatches(el, searchQuery);
+  markCurrentMatch(el);
+}
+
+// Highlight the last table of contents entry at or before the section being read
+function updateCurrentSection() {
+  if (tocTargets.length === 0 || !currentReader) return;
+  
+  const headerBottom = header.getBoundingClientRect().bottom;
+  const reading = currentReader.getSectionAtOffset(headerBottom + 8);
+  let current = tocTargets[0];
+  
+  for (const sectionIndex of tocTargets) {
+    if (sectionIndex > reading) break;
+    current = sectionIndex;
+  }
+  
+  setActiveEntry(tocList, current);
+}
+
+let scrollFrame = null;
+function handleScroll() {
+  if (document.activeElement !== highlightNote) hideHighlightMenu();
+  if (scrollFrame) return;
+  scrollFrame = requestAnimationFrame(() => {
+    scrollFrame = null;
+    updateCurrentSection();
+    scheduleSavePosition();
+  });
+}
+
+// Reading position, saved to the library a moment after scrolling stops
+function getReadingTop() {
+  return header.getBoundingClientRect().bottom;
+}
+
+function saveReadingPosition() {
+  if (!currentDocumentId || !currentReader) return;
+  
+  const position = currentReader.getPosition(getReadingTop());
+  if (!position) return;
+  
+  const length = currentView.mode === 'scanned' ? currentView.pages.length : currentSections.length;
+  const progress = Math.min(1, (position.section + position.offset) / length);
+  savePosition(currentDocumentId, { ...position, progress }).catch(err => {
+    console.warn('Could not save reading position:', err);
+  });
+}
+
+let saveTimer = null;
+function scheduleSavePosition() {
+  clearTimeout(saveTimer);
+  saveTimer = setTimeout(saveReadingPosition, 500);
+}
+
+// Library screen
+async function showLibrary() {
+  libraryView.classList.remove('hidden');
+  pdfContainer.classList.add('hidden');
+  libraryButton.setAttribute('aria-pressed', 'true');
+  
+  try {
+    renderLibrary(libraryList, await listDocuments(), {
+      onOpen: openFromLibrary,
+      onDelete: async id => {
+        try {
+          await deleteDocument(id);
+          if (id === currentDocumentId) clearContainer();
+        } catch (err) {
+          console.warn('Could not delete the document:', err);
+        }
+        showLibrary();
+      }
+    });
+  } catch (err) {
+    console.error('Could not read the library:', err);
+    libraryList.innerHTML = '<p class="library-empty">The library is not available in this browser</p>';
+  }
+}
+
+function hideLibrary() {
+  libraryView.classList.add('hidden');
+  pdfContainer.classList.remove('hidden');
+  libraryButton.setAttribute('aria-pressed', 'false');
+}
+
+function toggleLibrary() {
+  if (libraryView.classList.contains('hidden')) {
+    showLibrary();
+  } else {
+    hideLibrary();
+  }
+}
+
+async function openFromLibrary(id) {
+  hideLibrary();
+  
+  try {
+    const data = await getDocumentFile(id);
+    if (!data) throw new Error('The file is missing from the library');
+    await openPDF(data, (await getDocument(id)).fileName);
+  } catch (err) {
+    console.error('Error opening PDF from library:', err);
+    showError(`Failed to open PDF: ${err.message}`);
+  }
 }
 
 // PDF processing functions
@@ -41,36 +873,40 @@ function getViewportDimensions() {
   };
 }
 
-function openPDFDocument(pdfData) {
-  return mupdf.Document.openDocument(pdfData, 'application/pdf');
+// Layout to open a cached document with for rendering; a document reflowed
+// from its page layout, which may have failed to lay out, is not laid out again
+function getRenderingLayout(view) {
+  return view.mode === 'untagged' ? null : getViewportDimensions();
 }
 
-function layoutDocument(doc, viewportWidth, viewportHeight, emSize) {
-  try {
-    doc.layout(viewportWidth, viewportHeight, emSize);
-  } catch (layoutErr) {
-    throw new Error('This PDF is not reflowable. Reflow mode requires a tagged PDF.');
-  }
+// Show a page as soon as it arrives; it is parsed on its own, so running
+// headers and cross-page merging are only handled once the whole document is in
+function renderPagePreview(pageIndex, html, links) {
+  const sections = parseHTMLIntoBlocks(html, { links });
+  pdfContainer.insertAdjacentHTML('beforeend',
+    `<div class="page-preview" data-preview-page="${pageIndex}">${renderSections(sections)}</div>`);
 }
 
-function extractSectionsFromDocument(doc) {
-  const pageCount = doc.countPages();
-  const sections = [];
-  let rawHTML = '';
+// Page of the preview at the top of the screen, or -1 when not scrolled
+function getPreviewPageInView() {
+  if (window.scrollY === 0) return -1;
   
-  for (let i = 0; i < pageCount; i++) {
-    const page = doc.loadPage(i);
-    const structuredText = page.toStructuredText('preserve-images');
-    const pageHTML = structuredText.asHTML(i);
-    rawHTML += pageHTML;
-    const pageSections = parseHTMLIntoBlocks(pageHTML);
-    sections.push(...pageSections);
+  const headerBottom = header.getBoundingClientRect().bottom;
+  for (const preview of pdfContainer.querySelectorAll('.page-preview')) {
+    if (preview.getBoundingClientRect().bottom > headerBottom) {
+      return parseInt(preview.dataset.previewPage);
+    }
   }
+  return -1;
+}
+
+// Render tables and equations that need page images, then swap them in
+async function renderSectionImages(sections) {
+  const requests = getRegionRequests(sections, window.devicePixelRatio || 1);
+  const images = await renderRegions(requests);
+  if (sections !== currentSections) return;
   
-  // // Log and save the beginning of raw HTML
-  // logAndSaveRawHTML(rawHTML);
-  
-  return sections;
+  refreshSections(applyRegionImages(sections, images));
 }
 
 function logAndSaveRawHTML(rawHTML) {
@@ -85,7 +921,11 @@ function logAndSaveRawHTML(rawHTML) {
 }
 
 function saveToFile(content, filename) {
-  const blob = new Blob([content], { type: 'text/html' });
+  downloadBlob(new Blob([content], { type: 'text/html' }), filename);
+  console.log(`Saved ${filename} (${content.length} bytes)`);
+}
+
+function downloadBlob(blob, filename) {
   const url = URL.createObjectURL(blob);
   const a = document.createElement('a');
   a.href = url;
@@ -94,39 +934,255 @@ function saveToFile(content, filename) {
   a.click();
   document.body.removeChild(a);
   URL.revokeObjectURL(url);
-  console.log(`Saved ${filename} (${content.length} bytes)`);
 }
 
+// File name for exports of the current document, from its title
+function getExportName() {
+  const name = (currentMetadata.title || 'document').replace(/[\\/:*?"<>|]+/g, '').trim().slice(0, 100);
+  return name || 'document';
+}
+
+// Download the current document as an EPUB
+function exportEPUB() {
+  if (currentSections.length === 0) return;
+  
+  try {
+    const blob = buildEPUB(currentSections, {
+      ...currentMetadata,
+      identifier: currentDocumentId ? `urn:sha256:${currentDocumentId}` : null
+    });
+    downloadBlob(blob, `${getExportName()}.epub`);
+  } catch (err) {
+    console.error('Error exporting EPUB:', err);
+    showError(`Failed to export EPUB: ${err.message}`);
+  }
+}
+
+function exportHighlights(format) {
+  if (!currentMetadata) return;
+  
+  if (format === 'json') {
+    const json = exportHighlightsJSON(currentSections, highlights, currentMetadata);
+    downloadBlob(new Blob([json], { type: 'application/json' }), `${getExportName()} highlights.json`);
+  } else {
+    const markdown = exportHighlightsMarkdown(currentSections, highlights, currentMetadata);
+    downloadBlob(new Blob([markdown], { type: 'text/markdown' }), `${getExportName()} highlights.md`);
+  }
+}
+
+// Download the PDF with the highlights added as annotations
+async function exportAnnotatedPDF() {
+  if (!currentMetadata) return;
+  
+  try {
+    const { data, missing } = await annotateDocument(getAnnotationRequests(currentSections, highlights));
+    downloadBlob(new Blob([data], { type: 'application/pdf' }), `${getExportName()} annotated.pdf`);
+    if (missing > 0) {
+      showError(`${missing} ${missing === 1 ? 'highlight was' : 'highlights were'} not found in the PDF and left out`);
+    }
+  } catch (err) {
+    console.error('Error exporting the annotated PDF:', err);
+    showError(`Failed to export the annotated PDF: ${err.message}`);
+  }
+}
 
-async function processPDFFile(file) {
-  const arrayBuffer = await file.arrayBuffer();
-  const pdfData = new Uint8Array(arrayBuffer);
+/**
+ * Stream a PDF through the worker, previewing pages as they arrive.
+ * Resolves to { sections, outline, pageCount, metadata } parsed from the
+ * whole document, and the view ({ mode, pages }) to show it in.
+ */
+async function processPDFFile(pdfData, password = null) {
+  const pages = [];
+  const pageSizes = [];
+  const links = [];
+  let opened = null;
+  
+  currentLoad = loadDocument(pdfData, getViewportDimensions(), {
+    password,
+    onOpen: info => {
+      opened = info;
+      updateProgress(0, info.pageCount);
+    },
+    onPage: page => {
+      pages.push(page.html);
+      pageSizes.push({ width: page.width, height: page.height, textLength: page.textLength, imageCover: page.imageCover });
+      links.push(...page.links);
+      renderPagePreview(page.index, page.html, page.links);
+      updateProgress(page.index + 1, page.pageCount);
+    }
+  });
+  await currentLoad.promise;
+  currentLoad = null;
   
-  const doc = openPDFDocument(pdfData);
-  const { width, height, emSize } = getViewportDimensions();
+  const rawHTML = pages.join('');
   
-  layoutDocument(doc, width, height, emSize);
+  // // Log and save the beginning of raw HTML
+  // logAndSaveRawHTML(rawHTML);
   
-  const sections = extractSectionsFromDocument(doc);
-  const htmlContent = renderSections(sections);
+  // Parse all pages at once so running headers and footers can be detected
+  const sections = parseHTMLIntoBlocks(rawHTML, { links, metadata: opened.metadata });
+  const view = {
+    mode: getViewMode(opened.laidOut, pageSizes),
+    pages: pageSizes.map(({ width, height }) => ({ width, height }))
+  };
+  return { sections, outline: opened.outline, pageCount: opened.pageCount, metadata: opened.metadata, view };
+}
+
+// Ask for the password of a protected PDF; resolves to null when cancelled
+function askForPassword(fileName, wrongPassword) {
+  passwordMessage.textContent = `${fileName || 'This PDF'} is protected. Enter its password to open it.`;
+  passwordError.classList.toggle('hidden', !wrongPassword);
+  passwordInput.value = '';
+  passwordDialog.returnValue = '';
   
-  return htmlContent;
+  return new Promise(resolve => {
+    passwordDialog.addEventListener('close', () => {
+      const password = passwordDialog.returnValue === 'open' ? passwordInput.value : null;
+      passwordInput.value = '';
+      resolve(password);
+    }, { once: true });
+    passwordDialog.showModal();
+    passwordInput.focus();
+  });
 }
 
-async function loadPDFFromFile(file) {
+/**
+ * Process a PDF, asking for its password for as long as it is protected
+ * and the password is missing or wrong. Resolves to null when the user
+ * gives up or another document is opened meanwhile; the result says
+ * whether the PDF was protected.
+ */
+async function processProtectedPDF(data, fileName, loadId) {
+  let password = null;
+  
+  for (;;) {
+    try {
+      // The worker takes ownership of the bytes it is sent, so keep the original for the library
+      const parsed = await processPDFFile(data.slice(0), password);
+      return { ...parsed, isProtected: password !== null };
+    } catch (err) {
+      if (!(err instanceof PasswordRequiredError)) throw err;
+      
+      hideLoading();
+      password = await askForPassword(fileName, err.wrongPassword);
+      if (password === null || loadId !== loadCount) return null;
+      showLoading();
+    }
+  }
+}
+
+
+// Title for the library: the document info title, the detected title or the file name
+function getDocumentTitle(sections, metadata, fileName) {
+  if (metadata.title) return metadata.title;
+  
+  const title = sections.find(section => section.role === 'title');
+  if (title) return title.content.trim();
+  return fileName.replace(/\.pdf$/i, '');
+}
+
+function showDocument(sections, outline, position, view) {
+  const previewPage = getPreviewPageInView();
+  
+  currentSections = sections;
+  currentView = view;
+  currentReader = createReader();
+  showModeNotice(view.mode);
+  
+  // Scanned pages have no text to search, highlight or export
+  if (view.mode === 'scanned') {
+    if (position && position.section < view.pages.length) {
+      currentReader.scrollToPosition(position, getReadingTop());
+    } else if (previewPage !== -1) {
+      currentReader.scrollToSection(previewPage);
+    }
+    smartZoomButton.classList.remove('hidden');
+    hideLoading();
+    return;
+  }
+  
+  if (position && position.section < sections.length) {
+    currentReader.scrollToPosition(position, getReadingTop());
+  } else if (previewPage !== -1) {
+    scrollToLocation(previewPage, null);
+  }
+  showTableOfContents(outline, sections);
+  searchButton.classList.remove('hidden');
+  exportButton.classList.remove('hidden');
+  highlightsButton.classList.remove('hidden');
+  hideLoading();
+}
+
+/**
+ * Open PDF bytes: from the library's parse cache when this document was
+ * read before, otherwise through the worker, adding it to the library
+ */
+async function openPDF(data, fileName) {
+  if (currentLoad) currentLoad.cancel();
+  const loadId = ++loadCount;
   showLoading();
   clearContainer();
+  hideLibrary();
 
   try {
-    const htmlContent = await processPDFFile(file);
-    pdfContainer.innerHTML = htmlContent;
-    hideLoading();
+    const id = await hashDocument(data);
+    const [cached, stored] = await Promise.all([
+      getParsedDocument(id).catch(() => null),
+      getDocument(id).catch(() => null)
+    ]);
+    if (loadId !== loadCount) return;
+    
+    if (cached && stored) {
+      // The worker handles the load before any page is rendered from it
+      const rendering = openForRendering(data.slice(0), getRenderingLayout(cached.view));
+      showDocument(cached.sections, cached.outline, stored.position, cached.view);
+      rendering.catch(err => console.warn('Could not open the PDF for page views:', err));
+      currentDocumentId = id;
+      currentMetadata = { title: stored.title, author: stored.author || '' };
+      loadHighlights(id, cached.sections);
+      touchDocument(id).catch(err => console.warn('Could not update the library:', err));
+      return;
+    }
+    
+    const parsed = await processProtectedPDF(data, fileName, loadId);
+    if (!parsed) {
+      if (loadId === loadCount) showError('The PDF was not opened, as it needs a password.');
+      return;
+    }
+    
+    const { sections, outline, pageCount, metadata, view, isProtected } = parsed;
+    showDocument(sections, outline, stored && stored.position, view);
+    currentDocumentId = id;
+    loadHighlights(id, sections);
+    
+    const title = getDocumentTitle(sections, metadata, fileName);
+    currentMetadata = { title, author: metadata.author };
+    const saved = await saveDocument({ id, title, author: metadata.author, fileName, pageCount, isProtected }, data).then(() => true, err => {
+      console.warn('Could not add the document to the library:', err);
+      return false;
+    });
+    await renderSectionImages(sections).catch(err => {
+      console.warn('Could not render section images:', err);
+    });
+    
+    // Cache the sections once their page images are in, so reopening needs
+    // no worker; the library keeps no text of protected PDFs
+    if (saved) {
+      await saveParsedDocument(id, sections, outline, view).catch(err => {
+        console.warn('Could not cache the parsed document:', err);
+      });
+    }
   } catch (err) {
+    if (err instanceof LoadCancelledError) return;
     console.error('Error loading PDF:', err);
     showError(`Failed to load PDF: ${err.message}`);
   }
 }
 
+async function loadPDFFromFile(file) {
+  await openPDF(await file.arrayBuffer(), file.name);
+}
+
 // File handling
 async function loadTestPDF() {
   try {
@@ -143,6 +1199,20 @@ async function loadTestPDF() {
   }
 }
 
+// Reopen the last document read, or the test PDF when the library is empty
+async function restoreLastDocument() {
+  try {
+    const [last] = await listDocuments();
+    if (last) {
+      await openFromLibrary(last.id);
+      return;
+    }
+  } catch (err) {
+    console.warn('Could not read the library:', err);
+  }
+  await loadTestPDF();
+}
+
 function handleFileSelect(e) {
   const file = e.target.files[0];
   if (file && file.type === 'application/pdf') {
@@ -152,5 +1222,57 @@ function handleFileSelect(e) {
 
 // Initialize
 fileInput.addEventListener('change', handleFileSelect);
-loadTestPDF();
+tocButton.addEventListener('click', openTableOfContents);
+libraryButton.addEventListener('click', toggleLibrary);
+searchButton.addEventListener('click', toggleSearch);
+searchInput.addEventListener('input', handleSearchInput);
+searchInput.addEventListener('keydown', handleSearchKeydown);
+searchBar.addEventListener('submit', e => e.preventDefault());
+searchPrevious.addEventListener('click', goToPreviousMatch);
+searchNext.addEventListener('click', goToNextMatch);
+searchResultsButton.addEventListener('click', toggleSearchResults);
+tocClose.addEventListener('click', closeTableOfContents);
+tocBackdrop.addEventListener('click', closeDrawers);
+settingsButton.addEventListener('click', openSettings);
+exportButton.addEventListener('click', exportEPUB);
+smartZoomButton.addEventListener('click', toggleSmartZoom);
+modeNoticeClose.addEventListener('click', () => modeNotice.classList.add('hidden'));
+settingsClose.addEventListener('click', closeSettings);
+bindSettingsForm(settingsForm, settings, handleSettingsChange);
+window.addEventListener('scroll', handleScroll, { passive: true });
+
+// The page viewer sits below the header, whose height changes with the
+// search bar and the mode notice
+new ResizeObserver(() => {
+  document.documentElement.style.setProperty('--header-height', `${header.offsetHeight}px`);
+}).observe(header);
+pdfContainer.addEventListener('click', handleContainerClick);
+bindLongPress(pdfContainer, handleSectionLongPress);
+sourceFullPage.addEventListener('click', toggleSourceFullPage);
+sourceClose.addEventListener('click', closeSourceView);
+sourceView.addEventListener('keydown', e => {
+  if (e.key === 'Escape') closeSourceView();
+});
+highlightsButton.addEventListener('click', openHighlights);
+highlightsClose.addEventListener('click', closeHighlights);
+highlightsJSON.addEventListener('click', () => exportHighlights('json'));
+highlightsMarkdown.addEventListener('click', () => exportHighlights('markdown'));
+highlightsPDF.addEventListener('click', exportAnnotatedPDF);
+highlightMenu.querySelectorAll('.highlight-color').forEach(button => {
+  button.addEventListener('click', () => handleHighlightColor(button.dataset.color));
+});
+highlightMenu.addEventListener('mousedown', handleHighlightMenuPress);
+highlightNoteButton.addEventListener('click', handleHighlightNote);
+highlightNote.addEventListener('input', handleNoteInput);
+highlightSource.addEventListener('click', handleHighlightSource);
+highlightDelete.addEventListener('click', handleHighlightDelete);
+highlightMenu.addEventListener('keydown', e => {
+  if (e.key === 'Escape') hideHighlightMenu();
+});
+document.addEventListener('selectionchange', handleSelectionChange);
+document.addEventListener('pointerdown', handleDocumentPointerDown);
+document.addEventListener('visibilitychange', () => {
+  if (document.visibilityState === 'hidden') saveReadingPosition();
+});
+restoreLastDocument();
 
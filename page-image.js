@@ -0,0 +1,57 @@
+/**
+ * Page Images
+ * Picks the page regions to show as images, for content the reflowed text
+ * cannot reproduce (tables that could not be rebuilt, display equations),
+ * and attaches the images the PDF worker rendered for them
+ */
+
+// Render scale for tables; 3x the PDF's 72 dpi keeps small table text sharp
+const TABLE_SCALE = 3;
+
+// CSS pixels per PDF point, for showing equations at their printed size
+const CSS_PIXELS_PER_POINT = 96 / 72;
+
+// Space (points) kept around a region, as text widths are only estimated
+const REGION_PADDING = 12;
+
+// Equations get more room: math glyphs are wider than their characters suggest
+const EQUATION_PADDING = 24;
+
+/**
+ * List the page regions to render: tables without rows, and equations at the
+ * screen's pixel ratio
+ */
+export function getRegionRequests(sections, pixelRatio = 1) {
+  const requests = [];
+  
+  sections.forEach((section, index) => {
+    if (section.images.length) return;
+    
+    if (section.type === 'table' && !section.rows) {
+      for (const box of section.sources) {
+        requests.push({ section: index, box, scale: TABLE_SCALE, padding: REGION_PADDING });
+      }
+    } else if (section.type === 'equation') {
+      for (const box of section.sources) {
+        requests.push({ section: index, box, scale: pixelRatio * CSS_PIXELS_PER_POINT, padding: EQUATION_PADDING });
+      }
+    }
+  });
+  
+  return requests;
+}
+
+/**
+ * Attach rendered region images to their sections; equations are sized to
+ * show at their printed size. Returns the indexes of the updated sections.
+ */
+export function applyRegionImages(sections, images) {
+  for (const image of images) {
+    const section = sections[image.section];
+    section.images.push(section.type === 'equation'
+      ? { src: image.src, width: Math.round(image.width * CSS_PIXELS_PER_POINT) }
+      : { src: image.src });
+  }
+  
+  return [...new Set(images.map(image => image.section))];
+}
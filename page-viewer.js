@@ -0,0 +1,282 @@
+/**
+ * Page Viewer
+ * Fallback for scanned PDFs, whose pages are images with no text to reflow.
+ * The pages are shown as images fitted to the screen width, rendered by the
+ * PDF worker as they come into view and again, sharper, after a pinch zoom.
+ * Smart zoom crops each page to its columns of text and fits each column to
+ * the width instead, so a two-column page is read a column at a time.
+ */
+
+import { bindPinchZoom } from './source-view.js';
+
+// Pages with less text than this are taken to be images
+const MIN_PAGE_TEXT = 16;
+
+// Documents with at least this share of image pages are shown as pages
+const SCANNED_PAGE_SHARE = 0.5;
+
+// Share of a page an image covers when the page is a scan; text over it
+// was recognised from the image, and carries no layout of its own
+const SCAN_IMAGE_COVER = 0.9;
+
+// How far beyond the viewport pages are kept rendered
+const RENDER_MARGIN = '100% 0px';
+
+// Largest render scale; beyond it a page image takes too much memory
+const MAX_RENDER_SCALE = 4;
+
+// Space (points) kept around a column, as ink bounds cut close to the text
+const COLUMN_PADDING = 8;
+
+// Wait after a zoom before rendering the pages in view at the new size
+const ZOOM_RENDER_DELAY = 300;
+
+/**
+ * How to show a document: 'scanned' when most of its pages have no text,
+ * 'untagged' when it could not be laid out or most of its text was
+ * recognised from scanned pages, otherwise 'reflow'.
+ * pages lists each page's { textLength, imageCover }.
+ */
+export function getViewMode(laidOut, pages) {
+  const imagePages = pages.filter(page => page.textLength < MIN_PAGE_TEXT).length;
+  if (pages.length > 0 && imagePages / pages.length >= SCANNED_PAGE_SHARE) return 'scanned';
+  
+  const recognisedPages = pages.filter(page => page.imageCover >= SCAN_IMAGE_COVER).length;
+  if (!laidOut || (pages.length > 0 && recognisedPages / pages.length >= SCANNED_PAGE_SHARE)) return 'untagged';
+  return 'reflow';
+}
+
+/**
+ * Show pages ([{ width, height }] in points) as images in a container.
+ * renderPages takes [{ section, box, scale, padding }] requests and resolves
+ * to [{ section, src, width, height }] images, as the PDF worker renders
+ * them; findColumns resolves to the column boxes of a page; onScroll is
+ * called as the pages scroll.
+ * Returns the virtual reader's scrolling and position controls, with pages
+ * in place of sections, plus setSmartZoom. Pages hold no text sections, so
+ * there are none to reveal or refresh.
+ */
+export function createPageViewer(container, pages, { renderPages, findColumns, onScroll }) {
+  container.innerHTML = '<div class="page-viewer"><div class="page-viewer-pages"></div></div>';
+  const viewer = container.firstElementChild;
+  const content = viewer.firstElementChild;
+  
+  // Parts of pages shown (whole pages, or their columns in smart zoom),
+  // and the columns found so far, by page
+  let parts = [];
+  const columns = new Map();
+  let smartZoom = false;
+  let renderCount = 0;
+  let zoomTimer = null;
+  const visible = new Set();
+  
+  const observer = new IntersectionObserver(entries => {
+    for (const entry of entries) {
+      const part = parts[parseInt(entry.target.dataset.part)];
+      if (!part || part.el !== entry.target) continue;
+      if (entry.isIntersecting) {
+        visible.add(part);
+        showPart(part);
+      } else {
+        visible.delete(part);
+        releasePart(part);
+      }
+    }
+  }, { root: viewer, rootMargin: RENDER_MARGIN });
+  
+  const zoom = bindPinchZoom(viewer, content, () => {
+    clearTimeout(zoomTimer);
+    zoomTimer = setTimeout(() => visible.forEach(renderPart), ZOOM_RENDER_DELAY);
+  });
+  
+  function createPart(page, box) {
+    const width = box.width === undefined ? pages[page].width : box.width + COLUMN_PADDING * 2;
+    const height = box.height === undefined ? pages[page].height : box.height + COLUMN_PADDING * 2;
+    const el = document.createElement('div');
+    el.className = 'page-view-part';
+    el.style.aspectRatio = `${width} / ${height}`;
+    return { page, box, el, scale: 0, pending: false };
+  }
+  
+  // Lay out the parts of every page: whole pages, or in smart zoom the
+  // columns of the pages whose columns were found
+  function buildParts() {
+    observer.disconnect();
+    visible.clear();
+    parts = [];
+    content.innerHTML = pages.map((page, index) => `<div class="page-view" data-page="${index}"></div>`).join('');
+    
+    content.querySelectorAll('.page-view').forEach((pageEl, page) => {
+      const boxes = smartZoom && columns.get(page) && columns.get(page).length ? columns.get(page) : [{ page }];
+      for (const box of boxes) addPart(pageEl, createPart(page, box));
+    });
+  }
+  
+  function addPart(pageEl, part, before = null) {
+    part.el.dataset.part = parts.length;
+    parts.push(part);
+    pageEl.insertBefore(part.el, before);
+    observer.observe(part.el);
+  }
+  
+  function showPart(part) {
+    if (smartZoom && part.box.width === undefined && !columns.has(part.page)) {
+      splitPage(part);
+    } else {
+      renderPart(part);
+    }
+  }
+  
+  // Render a part at the scale that fills its width on screen, unless it
+  // is already that sharp
+  async function renderPart(part) {
+    const ratio = window.devicePixelRatio || 1;
+    const width = part.box.width === undefined ? pages[part.page].width : part.box.width + COLUMN_PADDING * 2;
+    const scale = Math.min(MAX_RENDER_SCALE, part.el.clientWidth * ratio / width);
+    if (part.pending || scale <= part.scale) return;
+    
+    part.pending = true;
+    const count = renderCount;
+    try {
+      const [image] = await renderPages([{
+        section: part.page,
+        box: part.box,
+        scale,
+        padding: part.box.width === undefined ? 0 : COLUMN_PADDING
+      }]);
+      if (count !== renderCount || !image || !visible.has(part)) return;
+      
+      // Padding is cut at the page edges, so take the size actually rendered
+      part.el.innerHTML = `<img class="page-view-image" src="${image.src}" alt="Page ${part.page + 1}" />`;
+      part.el.style.aspectRatio = `${image.width} / ${image.height}`;
+      part.scale = scale;
+    } catch (err) {
+      console.warn('Could not render page:', err);
+    } finally {
+      part.pending = false;
+    }
+  }
+  
+  function releasePart(part) {
+    part.el.innerHTML = '';
+    part.scale = 0;
+  }
+  
+  // Replace a whole page by its columns once they are found; when the page
+  // is above the viewport, scroll by the change in height so the page being
+  // read does not move
+  async function splitPage(part) {
+    if (part.pending) return;
+    
+    part.pending = true;
+    let boxes = [];
+    try {
+      boxes = await findColumns(part.page);
+    } catch (err) {
+      console.warn('Could not find the columns of a page:', err);
+    }
+    part.pending = false;
+    columns.set(part.page, boxes);
+    if (!smartZoom || parts[part.el.dataset.part] !== part) return;
+    
+    if (boxes.length === 0) {
+      if (visible.has(part)) renderPart(part);
+      return;
+    }
+    
+    const pageEl = part.el.parentElement;
+    const previousHeight = pageEl.offsetHeight;
+    const above = pageEl.getBoundingClientRect().top < viewer.getBoundingClientRect().top;
+    
+    observer.unobserve(part.el);
+    visible.delete(part);
+    parts[part.el.dataset.part] = null;
+    for (const box of boxes) addPart(pageEl, createPart(part.page, box), part.el);
+    part.el.remove();
+    
+    if (above) viewer.scrollTop += pageEl.offsetHeight - previousHeight;
+  }
+  
+  function getPageElement(pageIndex) {
+    return content.querySelector(`[data-page="${pageIndex}"]`);
+  }
+  
+  /**
+   * Scroll a page to the top of the viewer
+   */
+  function scrollToSection(pageIndex) {
+    scrollToPosition({ section: pageIndex, offset: 0 });
+  }
+  
+  /**
+   * Scroll a reading position ({ section, offset }, with pages as sections)
+   * to a viewport offset (px), or to the top of the viewer
+   */
+  function scrollToPosition(position, top = 0) {
+    const pageEl = getPageElement(position.section);
+    if (!pageEl) return;
+    
+    const rect = pageEl.getBoundingClientRect();
+    const viewerTop = Math.max(top, viewer.getBoundingClientRect().top);
+    viewer.scrollTop += rect.top + rect.height * position.offset - viewerTop;
+  }
+  
+  /**
+   * Index of the first page ending below a viewport offset (px), or -1
+   */
+  function getSectionAtOffset(offset) {
+    for (const pageEl of content.children) {
+      if (pageEl.getBoundingClientRect().bottom > offset) {
+        return parseInt(pageEl.dataset.page);
+      }
+    }
+    return -1;
+  }
+  
+  /**
+   * Reading position at a viewport offset (px): the page there and how far
+   * into it the offset is, as a fraction of its height
+   */
+  function getPosition(top = 0) {
+    const viewerTop = Math.max(top, viewer.getBoundingClientRect().top);
+    const pageIndex = getSectionAtOffset(viewerTop);
+    if (pageIndex === -1) return null;
+    
+    const rect = getPageElement(pageIndex).getBoundingClientRect();
+    const offset = rect.height > 0 ? Math.min(1, Math.max(0, (viewerTop - rect.top) / rect.height)) : 0;
+    return { section: pageIndex, offset };
+  }
+  
+  /**
+   * Switch between whole pages and their columns, keeping the page being read
+   */
+  function setSmartZoom(enabled) {
+    if (enabled === smartZoom) return;
+    
+    const position = getPosition();
+    smartZoom = enabled;
+    renderCount++;
+    zoom.reset();
+    buildParts();
+    if (position) scrollToSection(position.section);
+  }
+  
+  function destroy() {
+    observer.disconnect();
+    clearTimeout(zoomTimer);
+    renderCount++;
+    viewer.removeEventListener('scroll', onScroll);
+  }
+  
+  viewer.addEventListener('scroll', onScroll, { passive: true });
+  buildParts();
+  
+  return {
+    scrollToSection,
+    scrollToPosition,
+    getSectionAtOffset,
+    getPosition,
+    setSmartZoom,
+    destroy
+  };
+}
@@ -3,6 +3,29 @@
  * Extracts structured content from mupdf HTML output and converts it to clean sections
  */
 
+/**
+ * Default parser options; any of them can be overridden per call
+ */
+export const DEFAULT_PARSER_OPTIONS = {
+  // Minimum font size, relative to the body text, for a line to be a heading
+  headingSizeRatio: 1.15,
+  // Whether bold lines at body text size can be headings
+  boldHeadings: true,
+  // Maximum length of any heading line
+  maxHeadingLength: 200,
+  // Maximum length of a bold heading at body text size
+  maxBoldHeadingLength: 100,
+  // Styles covering more than this share of the document are body text
+  maxHeadingStyleShare: 0.2,
+  // Deepest heading level assigned
+  maxHeadingLevel: 6,
+  // Page links ({ page, rect: { left, top, right, bottom }, uri } for external
+  // links, { page, rect, dest: { page, y } } for internal ones)
+  links: [],
+  // Document metadata ({ title, author }) used to find the front matter
+  metadata: null
+};
+
 /**
  * Parse style attribute to extract font properties
  */
@@ -19,7 +42,155 @@ function parseStyle(styleAttr) {
   const fontStyleMatch = style.match(/font-style:\s*italic/i);
   const isItalic = !!fontStyleMatch;
   
-  return { fontSize, isBold, isItalic };
+  const fontFamilyMatch = style.match(/font-family:\s*([^,;]+)/i);
+  const fontFamily = fontFamilyMatch ? fontFamilyMatch[1].trim().replace(/^["']|["']$/g, '') : '';
+  
+  return { fontSize, isBold, isItalic, fontFamily };
+}
+
+/**
+ * Check if a font family name denotes a bold face (e.g. "Times-Bold", "CMBX10")
+ */
+function isBoldFamily(family) {
+  return /bold|black|heavy|demi|cmbx|[-,]bd\b/i.test(family);
+}
+
+/**
+ * Check if a font family name denotes an italic face (e.g. "Times-Italic", "CMTI10")
+ */
+function isItalicFamily(family) {
+  return /italic|oblique|cmti|cmmi|cmsl/i.test(family);
+}
+
+/**
+ * Check if a font family name denotes a monospace face (e.g. "Courier", "CMTT10")
+ */
+function isMonospaceFamily(family) {
+  return /mono|courier|consol|menlo|cmtt|inconsolata/i.test(family);
+}
+
+/**
+ * Check if a font family name denotes a math face (e.g. "CMMI10", "CMSY10", "STIXMath")
+ */
+function isMathFamily(family) {
+  return /cmmi|cmsy|cmex|cmbsy|msam|msbm|eufm|rsfs|math|mtmi|mtsy|txmi|txsy|pxmi|pxsy|symbol/i.test(family);
+}
+
+/**
+ * Collect the non-empty text nodes inside an element
+ */
+function getTextNodes(el) {
+  const nodes = [];
+  const walker = document.createTreeWalker(el, NodeFilter.SHOW_TEXT, null, false);
+  let node;
+  while (node = walker.nextNode()) {
+    if (node.textContent.trim()) nodes.push(node);
+  }
+  return nodes;
+}
+
+/**
+ * Resolve the font of a text node from its enclosing elements, up to root
+ */
+function getRunStyle(textNode, root) {
+  const style = {
+    fontSize: 0,
+    family: '',
+    isBold: false,
+    isItalic: false,
+    isMono: false,
+    isSup: false,
+    isSub: false,
+    link: null
+  };
+  
+  for (let el = textNode.parentElement; el; el = el.parentElement) {
+    const tagName = el.tagName.toLowerCase();
+    const styleAttr = el.getAttribute('style') || '';
+    const own = parseStyle(styleAttr);
+    if (!style.fontSize) style.fontSize = own.fontSize;
+    if (!style.family) style.family = own.fontFamily;
+    style.isBold = style.isBold || own.isBold || tagName === 'b' || tagName === 'strong';
+    style.isItalic = style.isItalic || own.isItalic || tagName === 'i' || tagName === 'em';
+    style.isMono = style.isMono || tagName === 'tt' || tagName === 'code';
+    style.isSup = style.isSup || tagName === 'sup' || /vertical-align:\s*super/i.test(styleAttr);
+    style.isSub = style.isSub || tagName === 'sub' || /vertical-align:\s*sub/i.test(styleAttr);
+    if (tagName === 'a' && !style.link) style.link = getLinkTarget(el);
+    if (el === root) break;
+  }
+  
+  style.isBold = style.isBold || isBoldFamily(style.family);
+  style.isItalic = style.isItalic || isItalicFamily(style.family);
+  style.isMono = style.isMono || isMonospaceFamily(style.family);
+  return style;
+}
+
+/**
+ * Get the share of a line's characters set in math fonts
+ */
+function getMathShare(el) {
+  let mathChars = 0;
+  let totalChars = 0;
+  
+  for (const node of getTextNodes(el)) {
+    const chars = node.textContent.replace(/\s/g, '').length;
+    totalChars += chars;
+    if (isMathFamily(getRunStyle(node, el).family)) mathChars += chars;
+  }
+  
+  return totalChars ? mathChars / totalChars : 0;
+}
+
+/**
+ * Summarise the font of a line: largest size, whether all of it is bold,
+ * and the family covering most of its characters
+ */
+function getTextStyle(el) {
+  let fontSize = 0;
+  let boldChars = 0;
+  let totalChars = 0;
+  const familyChars = new Map();
+  
+  for (const textNode of getTextNodes(el)) {
+    const length = textNode.textContent.trim().length;
+    const style = getRunStyle(textNode, el);
+    fontSize = Math.max(fontSize, style.fontSize);
+    totalChars += length;
+    if (style.isBold) boldChars += length;
+    familyChars.set(style.family, (familyChars.get(style.family) || 0) + length);
+  }
+  
+  let family = '';
+  let familyMax = 0;
+  for (const [name, chars] of familyChars) {
+    if (chars > familyMax) {
+      family = name;
+      familyMax = chars;
+    }
+  }
+  
+  return { fontSize, isBold: totalChars > 0 && boldChars === totalChars, family };
+}
+
+/**
+ * Parse a pt-valued property (e.g. "top", "left") from a style attribute
+ */
+function parseStyleLength(styleAttr, property) {
+  const match = (styleAttr || '').match(new RegExp(`(?:^|;)\\s*${property}:\\s*(-?[\\d.]+)pt`, 'i'));
+  return match ? parseFloat(match[1]) : null;
+}
+
+/**
+ * Parse position and size emitted by mupdf for a line or image
+ */
+function parsePosition(styleAttr) {
+  return {
+    top: parseStyleLength(styleAttr, 'top'),
+    left: parseStyleLength(styleAttr, 'left'),
+    width: parseStyleLength(styleAttr, 'width'),
+    height: parseStyleLength(styleAttr, 'height'),
+    lineHeight: parseStyleLength(styleAttr, 'line-height')
+  };
 }
 
 /**
@@ -59,27 +230,267 @@ function extractFontProperties(el) {
 }
 
 /**
- * Determine if an element is likely a heading based on styling
+ * Key grouping text of the same size and weight
  */
-function isLikelyHeading(text, fontSize, isBold) {
-  return (
-    fontSize > 14 ||
-    (fontSize > 12 && isBold) ||
-    (isBold && text.length < 200 && !text.includes('.') && !text.match(/^\d+\./)) ||
-    (fontSize > 16 && text.length < 300)
-  );
+function getStyleKey(fontSize, isBold) {
+  return `${Math.round(fontSize * 2) / 2}|${isBold ? 'bold' : 'regular'}`;
+}
+
+/**
+ * Build a font size/weight/family histogram of the whole document, find the
+ * body text style and rank the styles that stand out from it into heading levels
+ */
+function buildFontStatistics(root, options) {
+  const histogram = new Map();
+  const styleChars = new Map();
+  let totalChars = 0;
+  
+  for (const textNode of getTextNodes(root)) {
+    const style = getRunStyle(textNode, root);
+    if (!style.fontSize) continue;
+    
+    const length = textNode.textContent.trim().length;
+    const styleKey = getStyleKey(style.fontSize, style.isBold);
+    const key = `${styleKey}|${style.family}`;
+    if (!histogram.has(key)) {
+      histogram.set(key, { fontSize: style.fontSize, isBold: style.isBold, family: style.family, chars: 0 });
+    }
+    histogram.get(key).chars += length;
+    styleChars.set(styleKey, (styleChars.get(styleKey) || 0) + length);
+    totalChars += length;
+  }
+  
+  let body = null;
+  for (const entry of histogram.values()) {
+    if (!body || entry.chars > body.chars) body = entry;
+  }
+  
+  const levels = new Map();
+  if (!body) return { histogram, body, levels };
+  
+  const bodyKey = getStyleKey(body.fontSize, body.isBold);
+  const headingStyles = [...styleChars.entries()]
+    .map(([key, chars]) => {
+      const [size, weight] = key.split('|');
+      return { key, chars, fontSize: parseFloat(size), isBold: weight === 'bold' };
+    })
+    .filter(style =>
+      style.key !== bodyKey &&
+      style.chars / totalChars <= options.maxHeadingStyleShare && (
+        style.fontSize >= body.fontSize * options.headingSizeRatio ||
+        (options.boldHeadings && style.isBold && !body.isBold && style.fontSize >= body.fontSize - 0.5)
+      )
+    )
+    .sort((a, b) => b.fontSize - a.fontSize || b.isBold - a.isBold);
+  
+  headingStyles.forEach((style, i) => {
+    levels.set(style.key, Math.min(i + 1, options.maxHeadingLevel));
+  });
+  
+  return { histogram, body, levels };
+}
+
+/**
+ * Get the heading level of a line from its style relative to the body text,
+ * or 0 if it is not a heading
+ */
+function getHeadingLevel(text, style, context) {
+  const { fontStats, options } = context;
+  if (!fontStats.body || text.length > options.maxHeadingLength) return 0;
+  
+  const level = fontStats.levels.get(getStyleKey(style.fontSize, style.isBold));
+  if (!level) return 0;
+  
+  // Bold lines at body size are only headings when short and not a sentence
+  if (style.fontSize < fontStats.body.fontSize * options.headingSizeRatio) {
+    const isSentence = /[.!?]$/.test(text) && text.split(/\s+/).length > 3;
+    if (text.length > options.maxBoldHeadingLength || isSentence || /[,;]$/.test(text)) {
+      return 0;
+    }
+  }
+  
+  return level;
+}
+
+// Inline formatting flags carried by text runs
+const RUN_FORMATS = ['bold', 'italic', 'code', 'sup', 'sub'];
+
+// Runs smaller than this fraction of the line's text size are scripts
+const SCRIPT_SIZE_RATIO = 0.8;
+
+/**
+ * Create an inline text run with formatting flags and an optional link
+ */
+function createRun(text, format = {}) {
+  const run = { text };
+  for (const flag of RUN_FORMATS) {
+    run[flag] = !!format[flag];
+  }
+  run.link = format.link || null;
+  run.footnote = format.footnote || null;
+  run.citation = format.citation || null;
+  return run;
+}
+
+/**
+ * Key identifying a link target, for comparing runs
+ */
+function getLinkKey(link) {
+  if (!link) return '';
+  if (link.anchor) return `anchor:${link.anchor}`;
+  return link.href ? `uri:${link.href}` : `dest:${link.page}:${link.y}`;
+}
+
+/**
+ * Check if two runs share the same formatting
+ */
+function hasSameFormat(a, b) {
+  return RUN_FORMATS.every(flag => a[flag] === b[flag]) &&
+    getLinkKey(a.link) === getLinkKey(b.link) &&
+    (a.footnote && a.footnote.id) === (b.footnote && b.footnote.id) &&
+    (a.citation && a.citation.ids.join()) === (b.citation && b.citation.ids.join());
+}
+
+/**
+ * Join adjacent runs with the same formatting and drop empty ones
+ */
+function normalizeRuns(runs) {
+  const normalized = [];
+  for (const run of runs) {
+    if (!run.text) continue;
+    const last = normalized[normalized.length - 1];
+    if (last && hasSameFormat(last, run)) {
+      last.text += run.text;
+    } else {
+      normalized.push({ ...run });
+    }
+  }
+  return normalized;
+}
+
+/**
+ * Get the plain text of a list of runs
+ */
+export function getRunsText(runs) {
+  return runs.map(run => run.text).join('');
+}
+
+/**
+ * Cut the runs covering the [start, end) character range of their text
+ */
+function sliceRuns(runs, start, end = Infinity) {
+  const sliced = [];
+  let offset = 0;
+  
+  for (const run of runs) {
+    const runStart = offset;
+    offset += run.text.length;
+    const from = Math.max(start, runStart);
+    const to = Math.min(end, offset);
+    if (from < to) {
+      sliced.push({ ...run, text: run.text.slice(from - runStart, to - runStart) });
+    }
+  }
+  
+  return sliced;
+}
+
+/**
+ * Trim leading and trailing whitespace from runs
+ */
+function trimRuns(runs) {
+  const text = getRunsText(runs);
+  const start = text.length - text.trimStart().length;
+  return normalizeRuns(sliceRuns(runs, start, text.trimEnd().length));
+}
+
+/**
+ * Concatenate runs. A string part becomes a separator run that takes the
+ * formatting of its neighbours when they agree.
+ */
+function concatRuns(...parts) {
+  const runs = [];
+  
+  parts.forEach((part, i) => {
+    if (typeof part !== 'string') {
+      runs.push(...part);
+      return;
+    }
+    
+    const before = runs[runs.length - 1];
+    const nextPart = parts[i + 1];
+    const after = Array.isArray(nextPart) ? nextPart[0] : null;
+    const format = before && after && hasSameFormat(before, after) ? before : {};
+    runs.push(createRun(part, format));
+  });
+  
+  return normalizeRuns(runs);
+}
+
+/**
+ * Append a wrapped line to runs, rejoining a word hyphenated at the line end
+ */
+function appendLine(runs, lineRuns) {
+  const text = getRunsText(runs);
+  if (/\w{2,}-$/.test(text)) {
+    return concatRuns(sliceRuns(runs, 0, text.length - 1), trimRuns(lineRuns));
+  }
+  return concatRuns(runs, ' ', trimRuns(lineRuns));
 }
 
 /**
- * Determine heading level based on font size
+ * Extract formatted text runs from a line element.
+ * Formatting comes from <b>/<i>/<tt>/<sup>/<sub> tags and font families;
+ * smaller text glued to the preceding word is treated as a script.
  */
-function getHeadingLevel(fontSize, isBold) {
-  if (fontSize > 20) return 1;
-  if (fontSize > 18) return 2;
-  if (fontSize > 16) return 2;
-  if (fontSize > 14) return 3;
-  if (isBold && fontSize > 12) return 3;
-  return 3;
+function extractRuns(el) {
+  const walker = document.createTreeWalker(el, NodeFilter.SHOW_TEXT, null, false);
+  const styled = [];
+  let node;
+  while (node = walker.nextNode()) {
+    if (node.textContent) styled.push({ text: node.textContent, style: getRunStyle(node, el) });
+  }
+  
+  // The line's text size is the size covering most of its characters
+  const sizeChars = new Map();
+  for (const { text, style } of styled) {
+    sizeChars.set(style.fontSize, (sizeChars.get(style.fontSize) || 0) + text.trim().length);
+  }
+  let lineSize = 0;
+  let lineSizeChars = 0;
+  for (const [size, chars] of sizeChars) {
+    if (chars > lineSizeChars) {
+      lineSize = size;
+      lineSizeChars = chars;
+    }
+  }
+  
+  const runs = styled.map(({ text, style }, i) => {
+    let sup = style.isSup;
+    let sub = style.isSub;
+    
+    const previous = i > 0 ? styled[i - 1].text : '';
+    const isSmall = style.fontSize && lineSize && style.fontSize < lineSize * SCRIPT_SIZE_RATIO;
+    if (!sup && !sub && isSmall && text.trim() && /\S$/.test(previous)) {
+      // Footnote marks and exponents are superscripts, anything else a subscript
+      if (/^[\d*†‡§¶,]+$/.test(text.trim())) {
+        sup = true;
+      } else {
+        sub = true;
+      }
+    }
+    
+    return createRun(text, {
+      bold: style.isBold,
+      italic: style.isItalic,
+      code: style.isMono,
+      sup,
+      sub,
+      link: style.link
+    });
+  });
+  
+  return trimRuns(runs);
 }
 
 /**
@@ -89,6 +500,161 @@ function createSection(type, content, level = 0, images = []) {
   return { type, content, level, images };
 }
 
+/**
+ * Create a text section whose content is the plain text of its runs
+ */
+function createTextSection(type, runs, level = 0) {
+  const section = createSection(type, getRunsText(runs), level);
+  section.runs = runs;
+  return section;
+}
+
+/**
+ * Combine the source boxes of two merged sections.
+ * Boxes on the same page are unioned; a section continuing across a page
+ * break keeps one box per page.
+ */
+function mergeSources(first, second) {
+  const merged = (first.sources || []).map(box => ({ ...box }));
+  
+  for (const box of second.sources || []) {
+    const samePage = merged.find(existing => existing.page === box.page);
+    if (!samePage) {
+      merged.push({ ...box });
+      continue;
+    }
+    
+    const right = Math.max(samePage.left + samePage.width, box.left + box.width);
+    const bottom = Math.max(samePage.top + samePage.height, box.top + box.height);
+    samePage.left = Math.min(samePage.left, box.left);
+    samePage.top = Math.min(samePage.top, box.top);
+    samePage.width = right - samePage.left;
+    samePage.height = bottom - samePage.top;
+  }
+  
+  return merged;
+}
+
+// Front matter roles whose lines are never merged: each byline line stays a
+// line of the title card
+const BYLINE_ROLES = ['authors', 'affiliation', 'email'];
+
+/**
+ * Check if two sections may be merged given their front matter roles: both
+ * have the same role (or none), and it is not a byline role
+ */
+function canMergeRoles(first, second) {
+  return (first.role || null) === (second.role || null) && !BYLINE_ROLES.includes(first.role);
+}
+
+/**
+ * Create a section from two merged sections, keeping track of their sources
+ * and their shared front matter role
+ */
+function createMergedSection(type, runs, level, first, second) {
+  const section = createTextSection(type, runs, level);
+  section.images = [...first.images, ...second.images];
+  section.sources = mergeSources(first, second);
+  if (first.role && first.role === second.role) section.role = first.role;
+  return section;
+}
+
+/**
+ * Get the parts of a section holding text runs: the section itself, or the
+ * items of a list and its nested lists
+ */
+function getTextBlocks(section) {
+  if (section.type === 'list') {
+    return section.items.flatMap(item => [item, ...(item.children ? getTextBlocks({ type: 'list', ...item.children }) : [])]);
+  }
+  return section.runs ? [section] : [];
+}
+
+/**
+ * Get the indexes of the pages a section came from
+ */
+export function getSectionPages(section) {
+  return [...new Set((section.sources || []).map(box => box.page))];
+}
+
+/**
+ * Find the index of the section at a page location (e.g. a link destination):
+ * the last section starting at or above y on that page, or the first section
+ * on the page or after it
+ */
+export function findSectionAtLocation(sections, page, y = null) {
+  let found = -1;
+  
+  sections.forEach((section, index) => {
+    const box = (section.sources || []).find(source => source.page === page);
+    if (!box) return;
+    if (found === -1 || (y !== null && box.top <= y + 2)) found = index;
+  });
+  
+  if (found !== -1) return found;
+  return sections.findIndex(section => getSectionPages(section).some(p => p > page));
+}
+
+/**
+ * Find the index of the section rendering an element id: a heading, figure,
+ * table, footnote or bibliography entry
+ */
+export function findSectionByAnchor(sections, id) {
+  return sections.findIndex((section, index) =>
+    id === `section-${index}` ||
+    (section.figure && section.figure.id === id) ||
+    (section.footnotes || []).some(footnote => footnote.id === id) ||
+    (section.entries || []).some(entry => entry.id === id)
+  );
+}
+
+/**
+ * Estimate the width of a text line; mupdf only emits its left edge
+ */
+function estimateTextWidth(text, fontSize) {
+  return text.length * (fontSize || 10) * 0.5;
+}
+
+/**
+ * Build the page-space box an element was laid out in
+ */
+function getElementBox(el, page) {
+  const position = parsePosition(el.getAttribute('style'));
+  if (position.top === null || position.left === null) return null;
+  
+  if (el.tagName.toLowerCase() === 'img') {
+    return {
+      page: page.index,
+      top: position.top,
+      left: position.left,
+      width: position.width || 0,
+      height: position.height || 0
+    };
+  }
+  
+  const { fontSize } = extractFontProperties(el);
+  return {
+    page: page.index,
+    top: position.top,
+    left: position.left,
+    width: estimateTextWidth(el.textContent.trim(), fontSize),
+    height: position.lineHeight || fontSize,
+    fontSize
+  };
+}
+
+/**
+ * Record where on the page the section(s) produced from an element came from
+ */
+function attachSource(result, el, page) {
+  const box = getElementBox(el, page);
+  const sections = Array.isArray(result) ? result : [result];
+  for (const section of sections) {
+    section.sources = box ? [box] : [];
+  }
+  return result;
+}
+
 /**
  * Check if element's parent has been processed
  */
@@ -106,44 +672,34 @@ function isParentProcessed(el, processedElements, rootElement) {
 /**
  * Extract heading from nested structure (e.g., heading wrapped in paragraph)
  */
-function extractNestedHeading(el) {
+function extractNestedHeading(el, context) {
   const firstChild = el.firstElementChild;
   if (!firstChild) return null;
   
   const firstTag = firstChild.tagName.toLowerCase();
   
-  // Extract font properties from nested children
-  const { fontSize, isBold } = extractFontProperties(el);
-  
   const headingText = firstChild.textContent.trim();
   if (!headingText) return null;
   
   const isHeadingTag = firstTag.match(/^h[1-6]$/);
-  const isHeadingStyle = (fontSize && fontSize > 14) || 
-                         (isBold && headingText.length < 200);
+  const style = getTextStyle(firstChild);
+  const level = isHeadingTag ? parseInt(firstTag.charAt(1)) : getHeadingLevel(headingText, style, context);
+  if (!level) return null;
   
-  if (!isHeadingTag && !isHeadingStyle) return null;
-  
-  let level = 3;
-  if (isHeadingTag) {
-    level = parseInt(firstTag.charAt(1));
-  } else if (fontSize > 18) {
-    level = 1;
-  } else if (fontSize > 16) {
-    level = 2;
-  }
+  // Split the line's runs into the heading and the text following it
+  const runs = extractRuns(el);
+  const remainingRuns = trimRuns(sliceRuns(runs, headingText.length));
   
-  // Get remaining text by cloning element, removing first child, then getting text
-  const clone = el.cloneNode(true);
-  const cloneFirstChild = clone.firstElementChild;
-  if (cloneFirstChild && cloneFirstChild.textContent.trim() === headingText) {
-    cloneFirstChild.remove();
+  // A bold lead-in at body size ("Abstract. Clustering is...") is run-in
+  // emphasis, not a heading of its own
+  const { body } = context.fontStats;
+  if (!isHeadingTag && remainingRuns.length && style.fontSize < body.fontSize * context.options.headingSizeRatio) {
+    return null;
   }
-  const remainingText = clone.textContent.trim();
   
   return {
-    heading: createSection('heading', headingText, level),
-    remainingText: remainingText
+    heading: createTextSection('heading', trimRuns(sliceRuns(runs, 0, headingText.length)), level),
+    remainingRuns
   };
 }
 
@@ -169,49 +725,46 @@ function processHeading(el, processedElements) {
   const level = parseInt(tagName.charAt(1));
   
   processedElements.add(el);
-  return createSection('heading', text, level);
+  return createTextSection('heading', extractRuns(el), level);
 }
 
 /**
  * Process a text element (paragraph, div, span)
  */
-function processTextElement(el, tagName, processedElements) {
+function processTextElement(el, tagName, processedElements, context) {
   const text = el.textContent.trim();
   if (!text) return null;
   
-  // Extract font properties from element and nested children
-  const { fontSize, isBold } = extractFontProperties(el);
-  
   // Check for nested heading first
   if (tagName === 'p' || tagName === 'div') {
-    const nested = extractNestedHeading(el);
+    const nested = extractNestedHeading(el, context);
     if (nested) {
       processedElements.add(el);
       const sections = [nested.heading];
-      if (nested.remainingText) {
-        sections.push(createSection('paragraph', nested.remainingText));
+      if (nested.remainingRuns.length) {
+        sections.push(createTextSection('paragraph', nested.remainingRuns));
       }
       return sections;
     }
   }
   
-  // Check if it's a heading based on styling
-  if (isLikelyHeading(text, fontSize, isBold)) {
-    const level = getHeadingLevel(fontSize, isBold);
+  // Check if it's a heading based on styling relative to the body text
+  const level = getHeadingLevel(text, getTextStyle(el), context);
+  if (level) {
     processedElements.add(el);
-    return createSection('heading', text, level);
+    return createTextSection('heading', extractRuns(el), level);
   }
   
   // Regular paragraph
   if (tagName === 'p' || tagName === 'div') {
     processedElements.add(el);
-    return createSection('paragraph', text);
+    return createTextSection('paragraph', extractRuns(el));
   }
   
   // Span - only if substantial
   if (tagName === 'span' && text.length > 50) {
     processedElements.add(el);
-    return createSection('paragraph', text);
+    return createTextSection('paragraph', extractRuns(el));
   }
   
   return null;
@@ -219,13 +772,27 @@ function processTextElement(el, tagName, processedElements) {
 
 /**
  * Fix hyphenated words within text (handles both across sections and within multi-line text)
+ * Works on runs so inline formatting around the joined word is kept
  */
-function fixHyphenatedWords(text) {
+function fixHyphenatedWords(runs) {
   // Pattern: word ending with "-" followed by newline/space and lowercase letter
   // This handles cases like "it-\neratively" or "it- eratively"
   // But preserve intentional hyphens like "k-means" (single letter before hyphen)
   // Only merge if there are at least 2 characters before the hyphen
-  return text.replace(/(\w{2,})-\s*\n?\s*([a-z])/g, '$1$2');
+  // and the hyphen is followed by a line break or space, so "end-to-end" survives
+  const text = getRunsText(runs);
+  const pattern = /(\w{2,})-\s+(?=[a-z])/g;
+  const parts = [];
+  let last = 0;
+  let match;
+  
+  while (match = pattern.exec(text)) {
+    parts.push(sliceRuns(runs, last, match.index + match[1].length));
+    last = match.index + match[0].length;
+  }
+  parts.push(sliceRuns(runs, last));
+  
+  return normalizeRuns(parts.flat());
 }
 
 /**
@@ -239,12 +806,13 @@ function mergeHyphenatedWords(sections) {
     const next = sections[i + 1];
     
     // Fix hyphenated words within current section's content
-    if (current.content) {
-      current.content = fixHyphenatedWords(current.content);
+    if (current.runs) {
+      current.runs = fixHyphenatedWords(current.runs);
+      current.content = getRunsText(current.runs);
     }
     
     // Only process paragraphs
-    if (current.type === 'paragraph' && next && next.type === 'paragraph') {
+    if (current.type === 'paragraph' && next && next.type === 'paragraph' && canMergeRoles(current, next)) {
       const currentText = current.content.trim();
       const nextText = next.content.trim();
       
@@ -252,8 +820,9 @@ function mergeHyphenatedWords(sections) {
       // and next paragraph starts with lowercase (continuation of word)
       if (currentText.endsWith('-') && nextText.length > 0 && nextText[0].toLowerCase() === nextText[0]) {
         // Merge: remove the hyphen and combine
-        const mergedText = currentText.slice(0, -1) + nextText;
-        merged.push(createSection('paragraph', fixHyphenatedWords(mergedText)));
+        const currentRuns = trimRuns(current.runs);
+        const mergedRuns = concatRuns(sliceRuns(currentRuns, 0, currentText.length - 1), trimRuns(next.runs));
+        merged.push(createMergedSection('paragraph', fixHyphenatedWords(mergedRuns), 0, current, next));
         i++; // Skip next since we merged it
         continue;
       }
@@ -284,7 +853,7 @@ function mergeAdjacentParagraphs(sections) {
       const next = merged[i + 1];
       
       // If current and next are both paragraphs
-      if (current.type === 'paragraph' && next && next.type === 'paragraph') {
+      if (current.type === 'paragraph' && next && next.type === 'paragraph' && canMergeRoles(current, next)) {
         const currentText = current.content.trim();
         const nextText = next.content.trim();
         
@@ -314,7 +883,7 @@ function mergeAdjacentParagraphs(sections) {
         
         if (shouldMerge) {
           // Merge paragraphs with a space
-          newMerged.push(createSection('paragraph', `${current.content} ${next.content}`));
+          newMerged.push(createMergedSection('paragraph', concatRuns(current.runs, ' ', next.runs), 0, current, next));
           i++; // Skip next since we merged it
           changed = true;
           continue;
@@ -342,12 +911,13 @@ function mergeAdjacentHeadings(sections) {
     const next = sections[i + 1];
     
     // If current is heading and next is paragraph
-    if (current.type === 'heading' && next && next.type === 'paragraph') {
+    if (current.type === 'heading' && next && next.type === 'paragraph' && canMergeRoles(current, next)) {
       const nextText = next.content.trim();
       const currentText = current.content.trim();
       
       // Split next paragraph by newlines to check first line
-      const firstLine = nextText.split('\n')[0].trim();
+      const firstLineEnd = nextText.includes('\n') ? nextText.indexOf('\n') : nextText.length;
+      const firstLine = nextText.slice(0, firstLineEnd).trim();
       
       // Check if first line of next paragraph looks like continuation of heading
       // (short, starts with lowercase "of", "and", "the", etc., or is very short)
@@ -359,17 +929,23 @@ function mergeAdjacentHeadings(sections) {
       
       if (looksLikeContinuation && !currentText.match(/[.!?]$/)) {
         // Merge heading with continuation (only first line)
-        merged.push(createSection(
+        const nextRuns = trimRuns(next.runs);
+        const heading = createMergedSection(
           'heading',
-          `${current.content} ${firstLine}`,
+          concatRuns(current.runs, ' ', trimRuns(sliceRuns(nextRuns, 0, firstLineEnd))),
           current.level,
-          []
-        ));
+          current,
+          next
+        );
+        heading.images = [];
+        merged.push(heading);
         
         // If there's remaining content after the first line, add it as a new paragraph
-        const remainingLines = nextText.split('\n').slice(1).join('\n').trim();
-        if (remainingLines) {
-          merged.push(createSection('paragraph', remainingLines));
+        const remainingRuns = trimRuns(sliceRuns(nextRuns, firstLineEnd + 1));
+        if (remainingRuns.length) {
+          const paragraph = createTextSection('paragraph', remainingRuns);
+          paragraph.sources = next.sources;
+          merged.push(paragraph);
         }
         i++; // Skip next since we processed it
         continue;
@@ -377,13 +953,14 @@ function mergeAdjacentHeadings(sections) {
     }
     
     // If current and next are both headings with same level
-    if (current.type === 'heading' && next && next.type === 'heading' && current.level === next.level) {
+    if (current.type === 'heading' && next && next.type === 'heading' && current.level === next.level && canMergeRoles(current, next)) {
       // Merge them
-      merged.push(createSection(
+      merged.push(createMergedSection(
         'heading',
-        `${current.content} ${next.content}`,
+        concatRuns(current.runs, ' ', next.runs),
         current.level,
-        []
+        current,
+        next
       ));
       i++; // Skip next since we merged it
     } else {
@@ -407,17 +984,25 @@ function isPageMarker(el) {
 }
 
 /**
- * Parse HTML into structured sections
+ * Parse page width and height from a page marker div
  */
-export function parseHTMLIntoBlocks(html) {
-  const tempDiv = document.createElement('div');
-  tempDiv.innerHTML = html;
-  
+function parsePageSize(el) {
+  const style = el.getAttribute('style') || '';
+  return {
+    width: parseStyleLength(style, 'width') || 0,
+    height: parseStyleLength(style, 'height') || 0
+  };
+}
+
+/**
+ * Extract raw, unmerged sections from a single page
+ */
+function extractPageSections(container, page, context) {
   const sections = [];
   const processedElements = new Set();
   
   const walker = document.createTreeWalker(
-    tempDiv,
+    container,
     NodeFilter.SHOW_ELEMENT,
     null,
     false
@@ -431,33 +1016,37 @@ export function parseHTMLIntoBlocks(html) {
     // Skip if already processed
     if (processedElements.has(el)) continue;
     
-    // Handle page markers first (before parent check)
     // Page markers should be ignored but their children processed
-    if (isPageMarker(el)) {
-      continue; // Skip the page div itself, but TreeWalker will process its children
-    }
+    if (isPageMarker(el)) continue;
     
     // Skip if parent is already processed
-    if (isParentProcessed(el, processedElements, tempDiv)) continue;
+    if (isParentProcessed(el, processedElements, container)) continue;
     
     // Handle images
     if (tagName === 'img') {
       const section = processImage(el, processedElements);
-      if (section) sections.push(section);
+      if (section) sections.push(attachSource(section, el, page));
       continue;
     }
     
     // Handle headings
     if (tagName.match(/^h[1-6]$/)) {
       const section = processHeading(el, processedElements);
-      if (section) sections.push(section);
+      if (section) sections.push(attachSource(section, el, page));
       continue;
     }
     
     // Handle text elements
     if (tagName.match(/^(p|div|span)$/)) {
-      const result = processTextElement(el, tagName, processedElements);
+      const result = processTextElement(el, tagName, processedElements, context);
       if (result) {
+        attachSource(result, el, page);
+        
+        // Remember how much of the line is math, for equation detection
+        const mathShare = getMathShare(el);
+        for (const section of Array.isArray(result) ? result : [result]) {
+          if (mathShare > 0) section.mathShare = mathShare;
+        }
         if (Array.isArray(result)) {
           sections.push(...result);
         } else {
@@ -467,51 +1056,2043 @@ export function parseHTMLIntoBlocks(html) {
     }
   }
   
-  // Merge hyphenated words split across paragraphs
-  let mergedSections = mergeHyphenatedWords(sections);
-  
-  // Merge adjacent paragraphs that should be combined
-  mergedSections = mergeAdjacentParagraphs(mergedSections);
-  
-  // Merge adjacent headings with similar styling
-  return mergeAdjacentHeadings(mergedSections);
+  return sections;
 }
 
 /**
- * Escape HTML to prevent XSS
+ * Read the link target stored on an anchor by annotateLinks
  */
-function escapeHtml(text) {
-  const div = document.createElement('div');
-  div.textContent = text;
-  return div.innerHTML;
+function getLinkTarget(el) {
+  const href = el.getAttribute('data-href');
+  if (href) return { href };
+  
+  const page = parseInt(el.getAttribute('data-page'));
+  if (isNaN(page)) return null;
+  const y = parseFloat(el.getAttribute('data-y'));
+  return { page, y: isNaN(y) ? null : y };
 }
 
 /**
- * Render a single section to HTML
+ * Find the characters of a line covered by a link.
+ * Visible URLs are matched by text; otherwise the link rectangle is compared
+ * with estimated character positions and widened to whole words.
  */
-function renderSection(section) {
-  if (!section.content && section.images.length === 0) {
-    return '';
+function findLinkedRange(lineText, chars, link) {
+  if (link.uri) {
+    const visible = link.uri.replace(/^[a-z]+:(\/\/)?(www\.)?/i, '').replace(/\/$/, '');
+    const index = visible.length > 4 ? lineText.indexOf(visible) : -1;
+    if (index !== -1) {
+      let start = index;
+      while (start > 0 && /\S/.test(lineText[start - 1])) start--;
+      let end = index + visible.length;
+      while (end < lineText.length && /[^\s,;)]/.test(lineText[end])) end++;
+      return [start, end];
+    }
   }
   
-  let html = '';
+  const covered = chars
+    .map((char, i) => ({ i, center: (char.left + char.right) / 2 }))
+    .filter(({ center }) => center >= link.rect.left && center <= link.rect.right)
+    .map(({ i }) => i);
+  if (covered.length === 0) return null;
   
-  if (section.type === 'heading') {
-    const tag = `h${Math.min(section.level || 2, 6)}`;
-    html += `<${tag}>${escapeHtml(section.content)}</${tag}>`;
-  } else if (section.type === 'image') {
-    for (const image of section.images) {
+  let start = covered[0];
+  let end = covered[covered.length - 1] + 1;
+  while (start < end && /\s/.test(lineText[start])) start++;
+  while (end > start && /\s/.test(lineText[end - 1])) end--;
+  if (start === end) return null;
+  
+  while (start > 0 && /\S/.test(lineText[start - 1])) start--;
+  while (end < lineText.length && /\S/.test(lineText[end])) end++;
+  
+  // Do not swallow sentence punctuation after the linked word
+  while (end > start && /[.,;:]/.test(lineText[end - 1])) end--;
+  return [start, end];
+}
+
+/**
+ * Create the anchor element marking linked text for getRunStyle
+ */
+function createLinkElement(link) {
+  const anchor = document.createElement('a');
+  if (link.uri) {
+    anchor.setAttribute('data-href', link.uri);
+  } else {
+    anchor.setAttribute('data-page', link.dest.page);
+    anchor.setAttribute('data-y', Number.isFinite(link.dest.y) ? link.dest.y : '');
+  }
+  return anchor;
+}
+
+/**
+ * Wrap the text covered by page links in anchors, so their targets end up
+ * on the text runs. mupdf only reports link rectangles, so they are mapped
+ * onto each line's text by position.
+ */
+function annotateLinks(pageEl, links) {
+  if (links.length === 0) return;
+  
+  for (const line of pageEl.querySelectorAll('p')) {
+    const position = parsePosition(line.getAttribute('style'));
+    if (position.top === null || position.left === null) continue;
+    
+    const lineBottom = position.top + (position.lineHeight || 10);
+    const lineLinks = links.filter(link =>
+      link.rect.top < lineBottom && position.top < link.rect.bottom
+    );
+    if (lineLinks.length === 0) continue;
+    
+    // Estimate where each character of the line sits horizontally
+    const walker = document.createTreeWalker(line, NodeFilter.SHOW_TEXT, null, false);
+    const textNodes = [];
+    const chars = [];
+    let x = position.left;
+    let node;
+    while (node = walker.nextNode()) {
+      textNodes.push(node);
+      const charWidth = estimateTextWidth(' ', getRunStyle(node, line).fontSize);
+      for (let i = 0; i < node.textContent.length; i++) {
+        chars.push({ left: x, right: x + charWidth });
+        x += charWidth;
+      }
+    }
+    
+    const lineText = textNodes.map(textNode => textNode.textContent).join('');
+    const linkOfChar = new Array(chars.length).fill(null);
+    for (const link of lineLinks) {
+      const range = findLinkedRange(lineText, chars, link);
+      if (!range) continue;
+      for (let i = range[0]; i < range[1]; i++) linkOfChar[i] = link;
+    }
+    
+    // Split text nodes into linked and unlinked pieces
+    let offset = 0;
+    for (const textNode of textNodes) {
+      const text = textNode.textContent;
+      const fragment = document.createDocumentFragment();
+      let start = 0;
+      for (let i = 1; i <= text.length; i++) {
+        const link = linkOfChar[offset + start];
+        if (i < text.length && linkOfChar[offset + i] === link) continue;
+        
+        const piece = document.createTextNode(text.slice(start, i));
+        if (link) {
+          const anchor = createLinkElement(link);
+          anchor.appendChild(piece);
+          fragment.appendChild(anchor);
+        } else {
+          fragment.appendChild(piece);
+        }
+        start = i;
+      }
+      offset += text.length;
+      textNode.replaceWith(fragment);
+    }
+  }
+}
+
+/**
+ * Split mupdf HTML into pages with their dimensions and raw sections
+ */
+function collectPages(root, context) {
+  const pageElements = Array.from(root.querySelectorAll('div')).filter(isPageMarker);
+  
+  // Fragments without page markers are treated as a single page of unknown size
+  if (pageElements.length === 0) {
+    const page = { index: 0, width: 0, height: 0 };
+    annotateLinks(root, context.options.links.filter(link => link.page === 0));
+    page.sections = extractPageSections(root, page, context);
+    return [page];
+  }
+  
+  return pageElements.map(el => {
+    const page = {
+      index: parseInt(el.getAttribute('id').slice(4)),
+      ...parsePageSize(el)
+    };
+    annotateLinks(el, context.options.links.filter(link => link.page === page.index));
+    page.sections = extractPageSections(el, page, context);
+    return page;
+  });
+}
+
+// Fraction of the page height at the top and bottom searched for running text
+const RUNNING_BAND_RATIO = 0.1;
+
+// Maximum vertical drift (pt) for running text to count as the same position
+const RUNNING_POSITION_TOLERANCE = 6;
+
+const ROMAN_NUMERAL_PATTERN = /^m{0,3}(cm|cd|d?c{0,3})(xc|xl|l?x{0,3})(ix|iv|v?i{0,3})$/i;
+const ROMAN_DIGITS = { i: 1, v: 5, x: 10, l: 50, c: 100, d: 500, m: 1000 };
+
+/**
+ * Read text that is nothing but a page number ("3", "iv", "Page 3 of 10",
+ * "- 3 -") as { value, roman }, or null.
+ * Roman numerals are also words ("mix", "CD") and section numbers ("II"),
+ * so they only count once other pages confirm them.
+ */
+function parsePageNumber(text) {
+  const normalized = text.trim().replace(/^[-–—\s]+|[-–—\s]+$/g, '');
+  const arabic = normalized.match(/^(page\s+)?(\d{1,4})(\s*(of|\/)\s*\d{1,4})?$/i);
+  if (arabic) return { value: parseInt(arabic[2]), roman: false };
+  if (!normalized || !ROMAN_NUMERAL_PATTERN.test(normalized)) return null;
+  
+  const digits = [...normalized.toLowerCase()].map(digit => ROMAN_DIGITS[digit]);
+  const value = digits.reduce((sum, digit, i) => sum + (digit < (digits[i + 1] || 0) ? -digit : digit), 0);
+  return { value, roman: true };
+}
+
+/**
+ * Get the margin band ("header" or "footer") a section sits in, if any
+ */
+function getMarginBand(section, page) {
+  const box = section.sources && section.sources[0];
+  if (!box || !page.height) return null;
+  
+  if (box.top < page.height * RUNNING_BAND_RATIO) return 'header';
+  if (box.top + box.height > page.height * (1 - RUNNING_BAND_RATIO)) return 'footer';
+  return null;
+}
+
+/**
+ * Key used to recognise the same running text on different pages
+ * (page numbers inside running heads are ignored)
+ */
+function getRunningTextKey(section, band) {
+  const box = section.sources[0];
+  const text = section.content.toLowerCase().replace(/\d+/g, '#').replace(/\s+/g, ' ').trim();
+  return `${band}|${Math.round(box.fontSize || 0)}|${text}`;
+}
+
+// Blocks wider than this fraction of the page cannot belong to a single column
+const COLUMN_MAX_WIDTH_RATIO = 0.55;
+
+// Minimum horizontal distance between column left edges, as a page width fraction
+const COLUMN_GAP_RATIO = 0.2;
+
+// Minimum number of blocks sharing a left edge for it to count as a column
+const MIN_COLUMN_BLOCKS = 3;
+
+/**
+ * Find the left edges of the text columns on a page.
+ * A column has to start several blocks that sit side by side with text to
+ * its left, so centred lines on single-column pages are not taken for one.
+ */
+function detectColumnStarts(sections, page) {
+  const boxes = sections.map(section => section.sources[0]);
+  const candidates = boxes
+    .filter(box => box.width <= page.width * COLUMN_MAX_WIDTH_RATIO)
+    .sort((a, b) => a.left - b.left);
+  
+  // Cluster left edges; indents and centred lines stay within a cluster
+  const clusters = [];
+  for (const box of candidates) {
+    const cluster = clusters[clusters.length - 1];
+    if (cluster && box.left - cluster[cluster.length - 1].left < page.width * COLUMN_GAP_RATIO) {
+      cluster.push(box);
+    } else {
+      clusters.push([box]);
+    }
+  }
+  
+  const sharesRowWithTextToTheLeft = box => boxes.some(other =>
+    other.left + other.width <= box.left &&
+    other.top < box.top + box.height &&
+    box.top < other.top + other.height
+  );
+  
+  return clusters
+    .filter((cluster, i) => cluster.length >= MIN_COLUMN_BLOCKS && (
+      i === 0 || cluster.filter(sharesRowWithTextToTheLeft).length >= MIN_COLUMN_BLOCKS
+    ))
+    .map(cluster => cluster[0].left);
+}
+
+/**
+ * Get the column a block belongs to, or -1 if it spans several columns
+ */
+function getColumnIndex(box, columnStarts, page) {
+  const tolerance = page.width * 0.05;
+  const right = box.left + box.width;
+  
+  for (let i = 1; i < columnStarts.length; i++) {
+    const boundary = columnStarts[i];
+    if (box.left < boundary - tolerance && right > boundary + tolerance * 2) {
+      return -1;
+    }
+  }
+  
+  let column = 0;
+  for (let i = 0; i < columnStarts.length; i++) {
+    if (box.left >= columnStarts[i] - tolerance) column = i;
+  }
+  return column;
+}
+
+/**
+ * Put a page's blocks in reading order for multi-column layouts.
+ * Blocks are read top to bottom within each column, left column first.
+ * Full-width blocks (titles, wide figures) stay in place and split the page
+ * into bands that are ordered independently.
+ */
+function orderByColumns(page) {
+  const sections = page.sections;
+  if (!page.width || sections.some(section => !section.sources || !section.sources.length)) {
+    return sections;
+  }
+  
+  const columnStarts = detectColumnStarts(sections, page);
+  if (columnStarts.length < 2) return sections;
+  
+  const byPosition = [...sections].sort((a, b) =>
+    a.sources[0].top - b.sources[0].top || a.sources[0].left - b.sources[0].left
+  );
+  
+  const ordered = [];
+  let band = columnStarts.map(() => []);
+  const flushBand = () => {
+    for (const column of band) ordered.push(...column);
+    band = columnStarts.map(() => []);
+  };
+  
+  for (const section of byPosition) {
+    const column = getColumnIndex(section.sources[0], columnStarts, page);
+    if (column === -1) {
+      flushBand();
+      ordered.push(section);
+    } else {
+      band[column].push(section);
+    }
+  }
+  flushBand();
+  
+  return ordered;
+}
+
+/**
+ * Remove running headers, footers and page numbers.
+ * A line is dropped when it sits in a margin band and is either a page
+ * number, repeated at the same position on another page, or on the same row
+ * as a confirmed running head. Arabic page numbers always count; roman ones
+ * only when another page has one in the same band, at the same position or
+ * in the same sequence. A page number confirms its row when it follows the
+ * page sequence: its value matches the page's, or the offset from the page
+ * index is shared with another page.
+ */
+function removeRunningHeadersAndFooters(pages) {
+  const occurrences = new Map();
+  const pageNumbers = [];
+  
+  for (const page of pages) {
+    for (const section of page.sections) {
+      if (section.type === 'image') continue;
+      const band = getMarginBand(section, page);
+      if (!band) continue;
+      
+      const key = getRunningTextKey(section, band);
+      if (!occurrences.has(key)) occurrences.set(key, []);
+      occurrences.get(key).push({ page: page.index, top: section.sources[0].top });
+      
+      const number = parsePageNumber(section.content);
+      if (number) pageNumbers.push({ ...number, band, page: page.index, top: section.sources[0].top });
+    }
+  }
+  
+  const isRepeated = (key, pageIndex, top) => (occurrences.get(key) || []).some(other =>
+    other.page !== pageIndex && Math.abs(other.top - top) <= RUNNING_POSITION_TOLERANCE
+  );
+  
+  // Whether another page has a page number of the same kind in the band,
+  // at the same position or continuing the same sequence
+  const isRepeatedNumber = (number, sequenceOnly) => pageNumbers.some(other =>
+    other.page !== number.page && other.band === number.band && other.roman === number.roman && (
+      other.value - other.page === number.value - number.page ||
+      (!sequenceOnly && Math.abs(other.top - number.top) <= RUNNING_POSITION_TOLERANCE)
+    )
+  );
+  
+  for (const page of pages) {
+    const running = new Set();
+    const runningRows = [];
+    
+    for (const section of page.sections) {
+      if (section.type === 'image') continue;
+      const band = getMarginBand(section, page);
+      if (!band) continue;
+      
+      const box = section.sources[0];
+      const parsed = parsePageNumber(section.content);
+      const number = parsed && { ...parsed, band, page: page.index, top: box.top };
+      if (number && (!number.roman || isRepeatedNumber(number, false))) {
+        running.add(section);
+        if ((!number.roman && number.value === page.index + 1) || isRepeatedNumber(number, true)) {
+          runningRows.push(box);
+        }
+      } else if (isRepeated(getRunningTextKey(section, band), page.index, box.top)) {
+        running.add(section);
+        runningRows.push(box);
+      }
+    }
+    
+    // Text sharing a row with a confirmed running head or page number is
+    // part of the same running head
+    for (const section of page.sections) {
+      if (section.type === 'image' || !getMarginBand(section, page)) continue;
+      const box = section.sources[0];
+      if (runningRows.some(row => Math.abs(row.top - box.top) <= Math.max(row.height, box.height) / 2)) {
+        running.add(section);
+      }
+    }
+    
+    page.sections = page.sections.filter(section => !running.has(section));
+  }
+}
+
+// Footnote text is smaller than this fraction of the body text size
+const FOOTNOTE_SIZE_RATIO = 0.92;
+
+// Footnotes start below this fraction of the page height
+const FOOTNOTE_REGION_RATIO = 0.5;
+
+/**
+ * Get the marker a footnote line starts with ("1", "*", "†"), if any
+ */
+function getFootnoteMarker(section) {
+  const [first] = section.runs;
+  if (first && first.sup && /^(\d{1,3}|[a-z]|[*†‡§¶]{1,3})$/.test(first.text.trim())) {
+    return first.text.trim();
+  }
+  
+  const match = section.content.match(/^(\d{1,3}|[*†‡§¶]{1,3})\s+\S/);
+  return match ? match[1] : null;
+}
+
+/**
+ * Pull footnotes out of a page's flow.
+ * Footnotes are small-font lines in the lower part of the page with no body
+ * text below them; each starts with a marker and may continue on the
+ * following lines.
+ */
+function extractFootnotes(page, context) {
+  const { body } = context.fontStats;
+  if (!body || !page.height) return [];
+  
+  const isSmallLowLine = section => {
+    const box = section.sources && section.sources[0];
+    return section.type === 'paragraph' && box && box.fontSize &&
+      box.fontSize < body.fontSize * FOOTNOTE_SIZE_RATIO &&
+      box.top > page.height * FOOTNOTE_REGION_RATIO;
+  };
+  
+  const overlapsHorizontally = (a, b) => a.left < b.left + b.width && b.left < a.left + a.width;
+  const hasBodyTextBelow = box => page.sections.some(other => {
+    const otherBox = other.sources && other.sources[0];
+    return other.type !== 'image' && otherBox && !isSmallLowLine(other) &&
+      otherBox.top > box.top && overlapsHorizontally(box, otherBox);
+  });
+  
+  const lines = page.sections.filter(section =>
+    isSmallLowLine(section) && !hasBodyTextBelow(section.sources[0])
+  );
+  
+  const footnotes = [];
+  const footnoteLines = new Set();
+  let current = null;
+  let lastBox = null;
+  
+  for (const line of lines) {
+    const box = line.sources[0];
+    const marker = getFootnoteMarker(line);
+    
+    if (marker) {
+      const text = getRunsText(line.runs);
+      const markerEnd = text.indexOf(marker) + marker.length;
+      current = {
+        id: `fn-${page.index}-${footnotes.length + 1}`,
+        marker,
+        page: page.index,
+        runs: trimRuns(sliceRuns(line.runs, markerEnd)),
+        sources: line.sources
+      };
+      footnotes.push(current);
+    } else if (current && box.top - lastBox.top <= lastBox.height * 2.5 && box.top > lastBox.top) {
+      // Continuation line of the current footnote
+      const currentText = getRunsText(current.runs);
+      current.runs = /\w{2,}-$/.test(currentText)
+        ? concatRuns(sliceRuns(current.runs, 0, currentText.length - 1), line.runs)
+        : concatRuns(current.runs, ' ', line.runs);
+      current.sources = mergeSources(current, line);
+    } else {
+      current = null;
+      continue;
+    }
+    
+    footnoteLines.add(line);
+    lastBox = box;
+  }
+  
+  page.sections = page.sections.filter(section => !footnoteLines.has(section));
+  
+  for (const footnote of footnotes) {
+    footnote.content = getRunsText(footnote.runs);
+  }
+  return footnotes;
+}
+
+/**
+ * Turn superscript markers in the body into references to the footnotes on
+ * the same pages. Returns the index of the section referencing each footnote.
+ */
+function linkFootnoteReferences(sections, footnotes) {
+  const referencedBy = new Map();
+  
+  sections.forEach((section, index) => {
+    const pages = getSectionPages(section);
+    const candidates = footnotes.filter(footnote =>
+      pages.includes(footnote.page) && !referencedBy.has(footnote.id)
+    );
+    if (candidates.length === 0) return;
+    
+    for (const block of getTextBlocks(section)) {
+      let changed = false;
+      const runs = block.runs.flatMap(run => {
+        if (!run.sup || run.footnote) return [run];
+      
+        // A superscript may hold several markers ("1,2")
+        return run.text.split(/([,\s]+)/).filter(Boolean).map(token => {
+          const footnote = candidates.find(candidate =>
+            candidate.marker === token && !referencedBy.has(candidate.id)
+          );
+          if (!footnote) return { ...run, text: token };
+          
+          referencedBy.set(footnote.id, index);
+          changed = true;
+          return {
+            ...run,
+            text: token,
+            footnote: { id: footnote.id, marker: footnote.marker, runs: footnote.runs }
+          };
+        });
+      });
+      
+      if (changed) block.runs = normalizeRuns(runs);
+    }
+  });
+  
+  return referencedBy;
+}
+
+/**
+ * Add a "Footnotes" list at the end of each chapter (the text between
+ * top-level headings), as a fallback to the inline popovers
+ */
+function insertFootnoteLists(sections, footnotes, referencedBy) {
+  if (footnotes.length === 0) return sections;
+  
+  const headingLevels = sections.filter(section => section.type === 'heading').map(section => section.level);
+  const topLevel = headingLevels.length ? Math.min(...headingLevels) : 0;
+  const chapterStarts = sections
+    .map((section, index) => section.type === 'heading' && section.level === topLevel ? index : -1)
+    .filter(index => index > 0);
+  const getChapter = index => chapterStarts.filter(start => start <= index).length;
+  
+  const byChapter = new Map();
+  for (const footnote of footnotes) {
+    let index = referencedBy.has(footnote.id)
+      ? referencedBy.get(footnote.id)
+      : findSectionAtLocation(sections, footnote.page, Infinity);
+    if (index === -1) index = sections.length - 1;
+    
+    const chapter = getChapter(index);
+    if (!byChapter.has(chapter)) byChapter.set(chapter, []);
+    byChapter.get(chapter).push(footnote);
+  }
+  
+  const result = [...sections];
+  const chapters = [...byChapter.keys()].sort((a, b) => b - a);
+  for (const chapter of chapters) {
+    const chapterFootnotes = byChapter.get(chapter);
+    const list = createSection(
+      'footnotes',
+      chapterFootnotes.map(footnote => `${footnote.marker} ${footnote.content}`).join('\n')
+    );
+    list.footnotes = chapterFootnotes.map(({ id, marker, runs, content }) => ({ id, marker, runs, content }));
+    list.sources = chapterFootnotes.flatMap(footnote => footnote.sources);
+    
+    const insertAt = chapter < chapterStarts.length ? chapterStarts[chapter] : result.length;
+    result.splice(insertAt, 0, list);
+  }
+  
+  return result;
+}
+
+/**
+ * Check if a section is the heading of a bibliography
+ */
+function isBibliographyHeading(section) {
+  return (section.type === 'heading' || section.type === 'paragraph') &&
+    /^([\dIVX]+\.?\s*)?(references|bibliography|works cited|literature cited|literature)$/i.test(section.content.trim());
+}
+
+/**
+ * Get the numeric label an entry starts with ("[25]" or "25."), if any
+ */
+function getReferenceLabel(text) {
+  const match = text.match(/^\[(\d{1,4})\]\s*/) || text.match(/^(\d{1,4})\.\s+/);
+  return match ? { label: match[1], length: match[0].length } : null;
+}
+
+/**
+ * Decide which bibliography lines start a new entry.
+ * Numbered entries start at their label; otherwise entries are recognised by
+ * their hanging indent, or by a sentence end followed by a capital letter.
+ */
+function findEntryStarts(lines) {
+  const numbered = lines.filter(line => getReferenceLabel(line.content)).length;
+  if (numbered >= Math.max(1, lines.length / 4)) {
+    return lines.map(line => !!getReferenceLabel(line.content));
+  }
+  
+  // Group line left edges per column
+  const lefts = lines.map(line => line.sources[0] ? line.sources[0].left : 0);
+  const sorted = [...lefts].sort((a, b) => a - b);
+  const clusters = [];
+  for (const left of sorted) {
+    const cluster = clusters[clusters.length - 1];
+    if (cluster && left - cluster[cluster.length - 1] < 20) {
+      cluster.push(left);
+    } else {
+      clusters.push([left]);
+    }
+  }
+  const getCluster = left => clusters.find(cluster => left >= cluster[0] && left <= cluster[cluster.length - 1]);
+  
+  return lines.map((line, i) => {
+    if (i === 0) return true;
+    const cluster = getCluster(lefts[i]);
+    const hasHangingIndent = cluster[cluster.length - 1] - cluster[0] >= 4;
+    if (hasHangingIndent) return lefts[i] - cluster[0] < 2;
+    return /\.$/.test(lines[i - 1].content.trim()) && /^\p{Lu}/u.test(line.content.trim());
+  });
+}
+
+/**
+ * Check whether a line still belongs to the bibliography whose lines so far
+ * are given; upcoming are the sections after it on its page. Reference lists
+ * keep one font size. In a numbered list, a line without a label must follow
+ * the line above closely, and a new page must carry on with labelled entries.
+ */
+function continuesBibliography(lines, line, upcoming) {
+  const previous = lines[lines.length - 1];
+  const box = line.sources[0];
+  const first = lines[0].sources[0];
+  const last = previous.sources[previous.sources.length - 1];
+  if (!box || !first || !last) return true;
+  
+  const sameStyle = section => section.type === 'paragraph' && section.sources[0] &&
+    Math.abs(section.sources[0].fontSize - first.fontSize) <= 0.5;
+  if (!sameStyle(line)) return false;
+  if (!getReferenceLabel(lines[0].content) || getReferenceLabel(line.content)) return true;
+  
+  if (box.page !== last.page) {
+    const end = upcoming.findIndex(section => !sameStyle(section));
+    return upcoming.slice(0, end === -1 ? upcoming.length : end).some(section => getReferenceLabel(section.content));
+  }
+  return box.top - (last.top + last.height) < last.height;
+}
+
+/**
+ * Split the lines following a References/Bibliography heading into entries.
+ * This runs on raw lines, before paragraphs are merged, so line starts and
+ * indents are still known. Each bibliography becomes one section listing its
+ * entries, placed where its first entry was. A bibliography ends at the next
+ * heading, or at the first line that cannot continue it.
+ */
+function groupBibliography(pages) {
+  const bibliographies = [];
+  let current = null;
+  
+  for (const page of pages) {
+    const kept = [];
+    
+    page.sections.forEach((section, index) => {
+      if (isBibliographyHeading(section)) {
+        const heading = section.type === 'heading' ? section : createTextSection('heading', section.runs, 2);
+        if (section.type !== 'heading') heading.sources = section.sources;
+        current = { lines: [], section: null };
+        bibliographies.push(current);
+        kept.push(heading);
+        return;
+      }
+      
+      if (current && section.type === 'heading') {
+        current = null;
+      }
+      
+      if (current && section.type === 'paragraph' && current.lines.length &&
+          !continuesBibliography(current.lines, section, page.sections.slice(index))) {
+        current = null;
+      }
+      
+      if (current && section.type === 'paragraph') {
+        current.lines.push(section);
+        if (!current.section) {
+          current.section = createSection('bibliography', '');
+          kept.push(current.section);
+        }
+        return;
+      }
+      
+      kept.push(section);
+    });
+    
+    page.sections = kept;
+  }
+  
+  bibliographies.forEach((bibliography, index) => {
+    if (!bibliography.section) return;
+    
+    const starts = findEntryStarts(bibliography.lines);
+    const entries = [];
+    bibliography.lines.forEach((line, i) => {
+      const entry = entries[entries.length - 1];
+      if (starts[i] || !entry) {
+        entries.push({ runs: trimRuns(line.runs), sources: line.sources });
+        return;
+      }
+      
+      entry.runs = appendLine(entry.runs, line.runs);
+      entry.sources = mergeSources(entry, line);
+    });
+    
+    const section = bibliography.section;
+    section.entries = entries.map((entry, i) => {
+      const text = getRunsText(entry.runs);
+      const label = getReferenceLabel(text);
+      const runs = label ? trimRuns(sliceRuns(entry.runs, label.length)) : entry.runs;
+      return {
+        id: `ref-${index + 1}-${i + 1}`,
+        label: label ? label.label : null,
+        runs,
+        content: getRunsText(runs)
+      };
+    });
+    section.content = section.entries
+      .map(entry => entry.label ? `[${entry.label}] ${entry.content}` : entry.content)
+      .join('\n');
+    section.sources = entries.reduce((sources, entry) => mergeSources({ sources }, entry), []);
+  });
+  
+  return bibliographies.map(bibliography => bibliography.section).filter(Boolean);
+}
+
+/**
+ * Resolve a numeric citation ("3, 7" or "3-5") to bibliography entries
+ */
+function resolveNumericCitation(text, entries) {
+  const labels = [];
+  for (const part of text.split(',')) {
+    const range = part.trim().match(/^(\d+)\s*[-–]\s*(\d+)$/);
+    if (range) {
+      const from = parseInt(range[1]);
+      const to = parseInt(range[2]);
+      if (to < from || to - from > 50) return null;
+      for (let n = from; n <= to; n++) labels.push(String(n));
+    } else {
+      labels.push(part.trim());
+    }
+  }
+  
+  const resolved = labels.map(label => entries.find(entry => entry.label === label));
+  return resolved.every(Boolean) ? resolved : null;
+}
+
+/**
+ * Resolve an author-year citation ("Caron et al., 2018; Doe, 2020"), or a
+ * narrative one ("Caron et al. (2018)") using the text before it
+ */
+function resolveAuthorYearCitation(text, entries, before) {
+  const resolved = [];
+  
+  for (const part of text.split(';')) {
+    const narrative = before.match(/(\p{Lu}[\p{L}'’-]+)(\s+et al\.|\s+and\s+\p{Lu}[\p{L}'’-]+)?\s*$/u);
+    const author = part.match(/\p{Lu}[\p{L}'’-]+/u) || (narrative && [narrative[1]]);
+    const year = part.match(/\b(1[89]|20)\d{2}[a-z]?\b/);
+    if (!author || !year) return null;
+    
+    const entry = entries.find(candidate =>
+      candidate.content.slice(0, 80).includes(author[0]) && candidate.content.includes(year[0])
+    );
+    if (!entry) return null;
+    resolved.push(entry);
+  }
+  
+  return resolved.length ? resolved : null;
+}
+
+/**
+ * Find in-text citations in a paragraph and attach the entries they cite
+ */
+function markCitations(section, entries) {
+  const text = getRunsText(section.runs);
+  const pattern = /\[(\d{1,4}(?:\s*[-–,]\s*\d{1,4})*)\]|\(([^()]*?\b(?:1[89]|20)\d{2}[a-z]?)\)/g;
+  const parts = [];
+  let last = 0;
+  let match;
+  
+  while (match = pattern.exec(text)) {
+    const cited = match[1]
+      ? resolveNumericCitation(match[1], entries)
+      : resolveAuthorYearCitation(match[2], entries, text.slice(0, match.index));
+    if (!cited) continue;
+    
+    const [first] = sliceRuns(section.runs, match.index, match.index + 1);
+    parts.push(sliceRuns(section.runs, last, match.index));
+    parts.push([{
+      ...first,
+      text: match[0],
+      citation: {
+        ids: cited.map(entry => entry.id),
+        entries: cited.map(({ id, label, runs }) => ({ id, label, runs }))
+      }
+    }]);
+    last = match.index + match[0].length;
+  }
+  
+  if (last === 0) return;
+  parts.push(sliceRuns(section.runs, last));
+  section.runs = normalizeRuns(parts.flat());
+}
+
+/**
+ * Link in-text citations to the bibliography that follows them
+ * (or the last one, for citations after it)
+ */
+function linkCitations(sections) {
+  const bibliographyIndexes = sections
+    .map((section, index) => section.type === 'bibliography' ? index : -1)
+    .filter(index => index !== -1);
+  if (bibliographyIndexes.length === 0) return;
+  
+  sections.forEach((section, index) => {
+    if (section.type === 'heading') return;
+    const bibliographyIndex = bibliographyIndexes.find(i => i > index) ??
+      bibliographyIndexes[bibliographyIndexes.length - 1];
+    for (const block of getTextBlocks(section)) {
+      markCitations(block, sections[bibliographyIndex].entries);
+    }
+  });
+}
+
+// Share of a line's characters set in math fonts for it to be display math
+const MIN_EQUATION_MATH_SHARE = 0.4;
+
+// Equation number at the end of a line, e.g. "(3)" or "(2.1a)"
+const EQUATION_NUMBER_PATTERN = /(?:^|\s)\((\d+(?:\.\d+)*[a-z]?)\)$/;
+
+/**
+ * Check if a line is centred on the page
+ */
+function isCentredLine(box, page) {
+  if (!page.width) return false;
+  const centre = box.left + box.width / 2;
+  return Math.abs(centre - page.width / 2) < page.width * 0.05 && box.left > page.width * 0.2;
+}
+
+/**
+ * Check if a raw line looks like part of a display equation: mostly set in
+ * math fonts, or a centred line ending in an equation number
+ */
+function isEquationLine(section, page) {
+  if (section.type !== 'paragraph' && section.type !== 'heading') return false;
+  if (!section.sources || !section.sources[0]) return false;
+  
+  // Lone symbols such as bullet glyphs are not formulas
+  const text = section.content.trim();
+  if (!/[\p{L}\p{N}]/u.test(text)) return false;
+  if ((section.mathShare || 0) >= MIN_EQUATION_MATH_SHARE) return true;
+  return EQUATION_NUMBER_PATTERN.test(text) && (section.mathShare > 0 || isCentredLine(section.sources[0], page));
+}
+
+/**
+ * Replace display equations with 'equation' sections.
+ * Runs on one page's raw lines before anything else, as the fragments of a
+ * formula (fractions, limits, the equation number) are separate lines that
+ * would otherwise look like table cells or columns. Consecutive equation
+ * lines close to each other form one equation; its text is kept for alt text
+ * and the reader shows an image of the page region.
+ */
+function detectEquations(page) {
+  const equations = new Map();
+  const removed = new Set();
+  let current = null;
+  
+  const isClose = (region, box) => region.some(line => {
+    const other = line.sources[0];
+    return box.top - (other.top + other.height) <= other.height * 1.5 && other.top - (box.top + box.height) <= other.height * 1.5;
+  });
+  
+  // Equation numbers and short math fragments (limits, subscripts) on their
+  // own lines only count next to an equation line
+  const isFragment = section => {
+    const text = section.content.trim();
+    if (!section.sources || !section.sources[0]) return false;
+    return /^\(\d+(\.\d+)*[a-z]?\)$/.test(text) || (section.mathShare > 0 && text.length <= 12);
+  };
+  
+  for (const section of page.sections) {
+    const isEquation = isEquationLine(section, page);
+    
+    if (current && (isEquation || isFragment(section)) && isClose(current, section.sources[0])) {
+      current.push(section);
+    } else if (isEquation) {
+      current = [section];
+      equations.set(section, current);
+    } else {
+      current = null;
+    }
+  }
+  
+  if (equations.size === 0) return page.sections;
+  
+  const replacements = new Map();
+  for (const [first, lines] of equations) {
+    const ordered = [...lines].sort((a, b) => a.sources[0].top - b.sources[0].top || a.sources[0].left - b.sources[0].left);
+    let number = null;
+    const parts = ordered.map(line => {
+      const text = line.content.trim();
+      const match = text.match(EQUATION_NUMBER_PATTERN);
+      if (!match || number) return text;
+      number = match[1];
+      return text.slice(0, match.index).trim();
+    });
+    
+    const equation = createSection('equation', parts.filter(Boolean).join(' '));
+    equation.number = number;
+    equation.sources = lines.reduce((sources, line) => mergeSources({ sources }, line), []);
+    
+    replacements.set(first, equation);
+    for (const line of lines) removed.add(line);
+  }
+  
+  return page.sections
+    .filter(section => replacements.has(section) || !removed.has(section))
+    .map(section => replacements.get(section) || section);
+}
+
+// Lines whose tops differ by less than this (points) share a table row
+const TABLE_ROW_TOLERANCE = 2;
+
+// Minimum number of rows for a grid of lines to be read as a table
+const MIN_TABLE_ROWS = 3;
+
+// Longest cell text; longer lines are body text, e.g. side-by-side columns
+const MAX_TABLE_CELL_LENGTH = 40;
+
+// Most words a table's cells hold on average; prose lines hold more
+const MAX_TABLE_CELL_WORDS = 3;
+
+// Share of the grid that has to be filled for the table to be rebuilt as HTML
+const MIN_TABLE_FILL_RATIO = 0.6;
+
+/**
+ * Group a page's text lines into rows of lines sharing the same top
+ */
+function groupLinesIntoRows(lines) {
+  const rows = [];
+  const byTop = [...lines].sort((a, b) => a.sources[0].top - b.sources[0].top);
+  
+  for (const line of byTop) {
+    const box = line.sources[0];
+    const row = rows[rows.length - 1];
+    if (row && Math.abs(box.top - row.top) < TABLE_ROW_TOLERANCE) {
+      row.cells.push(line);
+      row.height = Math.max(row.height, box.height);
+    } else {
+      rows.push({ top: box.top, height: box.height, cells: [line] });
+    }
+  }
+  
+  for (const row of rows) {
+    row.cells.sort((a, b) => a.sources[0].left - b.sources[0].left);
+  }
+  return rows;
+}
+
+/**
+ * Check if the cells of a region read like table entries rather than lines of
+ * prose sitting side by side
+ */
+function hasTableCells(region) {
+  const cells = region.flatMap(row => row.cells);
+  const words = cells.reduce((total, cell) => total + cell.content.trim().split(/\s+/).length, 0);
+  return words / cells.length <= MAX_TABLE_CELL_WORDS;
+}
+
+/**
+ * Find runs of consecutive grid rows: rows of several short cells, no more
+ * than about a line apart
+ */
+function findTableRegions(rows) {
+  const regions = [];
+  let current = [];
+  
+  const isGridRow = row => row.cells.length >= 2 &&
+    row.cells.every(cell => cell.content.trim().length <= MAX_TABLE_CELL_LENGTH);
+  
+  for (const row of rows) {
+    const previous = current[current.length - 1];
+    const isClose = previous && row.top - (previous.top + previous.height) <= previous.height * 1.5;
+    
+    if (isGridRow(row) && (!previous || isClose)) {
+      current.push(row);
+      continue;
+    }
+    
+    if (current.length >= MIN_TABLE_ROWS) regions.push(current);
+    current = isGridRow(row) ? [row] : [];
+  }
+  if (current.length >= MIN_TABLE_ROWS) regions.push(current);
+  
+  return regions.filter(hasTableCells);
+}
+
+/**
+ * Derive the columns of a table from the horizontal extent of its cells.
+ * Overlapping cells fall into the same column.
+ */
+function getTableColumns(rows) {
+  const spans = rows
+    .flatMap(row => row.cells.map(cell => cell.sources[0]))
+    .map(box => ({ left: box.left, right: box.left + box.width }))
+    .sort((a, b) => a.left - b.left);
+  
+  const columns = [];
+  for (const span of spans) {
+    const column = columns[columns.length - 1];
+    if (column && span.left < column.right) {
+      column.right = Math.max(column.right, span.right);
+    } else {
+      columns.push({ ...span });
+    }
+  }
+  return columns;
+}
+
+/**
+ * Place each row's cells in the table's columns, or return null when the
+ * grid is too irregular to trust (cells sharing a column, mostly empty rows)
+ */
+function buildTableRows(rows, columns) {
+  if (columns.length < 2) return null;
+  
+  let filled = 0;
+  const tableRows = [];
+  for (const row of rows) {
+    const cells = columns.map(() => null);
+    for (const cell of row.cells) {
+      const box = cell.sources[0];
+      const column = columns.findIndex(candidate => box.left >= candidate.left && box.left < candidate.right);
+      if (cells[column]) return null;
+      cells[column] = trimRuns(cell.runs);
+      filled++;
+    }
+    tableRows.push(cells.map(cell => cell || []));
+  }
+  
+  if (filled / (rows.length * columns.length) < MIN_TABLE_FILL_RATIO) return null;
+  return tableRows;
+}
+
+/**
+ * Check if a table cell holds a number, e.g. "52.9", "-3%" or "76.0 ± 0.2"
+ */
+function isNumericCell(runs) {
+  return /^[-+−±]?[\d.,%()±\s−+]+$/.test(getRunsText(runs).trim()) && /\d/.test(getRunsText(runs));
+}
+
+/**
+ * Join the cells of a row into one line of text runs
+ */
+function joinRowCells(row) {
+  return row.cells.reduce(
+    (runs, cell, i) => i ? concatRuns(runs, '  ', trimRuns(cell.runs)) : trimRuns(cell.runs),
+    []
+  );
+}
+
+/**
+ * Replace grids of short lines with 'table' sections.
+ * Runs on one page's raw lines, before columns are ordered, while cells are
+ * still separate lines. Regular grids are rebuilt as rows of cells; irregular
+ * ones keep rows as null so the reader can show an image of the region.
+ */
+function detectTables(page) {
+  const lines = page.sections.filter(section =>
+    (section.type === 'paragraph' || section.type === 'heading') && section.sources && section.sources[0]
+  );
+  const regions = findTableRegions(groupLinesIntoRows(lines));
+  if (regions.length === 0) return page.sections;
+  
+  const tables = new Map();
+  const removed = new Set();
+  
+  for (const region of regions) {
+    const cells = region.flatMap(row => row.cells);
+    const table = createTextSection('table', []);
+    table.rows = buildTableRows(region, getTableColumns(region));
+    table.headerRows = table.rows && !table.rows[0].some(isNumericCell) &&
+      table.rows.slice(1).some(row => row.some(isNumericCell)) ? 1 : 0;
+    table.lines = region.map(joinRowCells);
+    table.sources = cells.reduce((sources, cell) => mergeSources({ sources }, cell), []);
+    
+    const first = page.sections.find(section => cells.includes(section));
+    tables.set(first, table);
+    for (const cell of cells) removed.add(cell);
+  }
+  
+  return page.sections
+    .filter(section => tables.has(section) || !removed.has(section))
+    .map(section => tables.get(section) || section);
+}
+
+// Largest gap (points) between an image and its caption, or between the
+// images of a multi-part figure
+const CAPTION_MAX_DISTANCE = 40;
+
+/**
+ * Get the label a caption starts with ("Figure 3:", "Fig. 3.", "Table II."),
+ * or null if the text is not a caption
+ */
+function getCaptionLabel(text) {
+  const match = text.match(/^(Figure|Fig\.|Table|Tab\.)\s*(\d+|[IVX]+)\s*[.:|–—]/i);
+  if (!match) return null;
+  return {
+    kind: /^t/i.test(match[1]) ? 'table' : 'figure',
+    number: match[2].toUpperCase()
+  };
+}
+
+/**
+ * Group a page's images into figures; images close to each other form one
+ * multi-part figure
+ */
+function groupFigureImages(images) {
+  const groups = [];
+  
+  for (const image of images) {
+    const box = image.sources[0];
+    const group = groups.find(candidate => candidate.some(other => {
+      const otherBox = other.sources[0];
+      const verticalGap = Math.max(box.top - (otherBox.top + otherBox.height), otherBox.top - (box.top + box.height));
+      const horizontalGap = Math.max(box.left - (otherBox.left + otherBox.width), otherBox.left - (box.left + box.width));
+      return verticalGap <= CAPTION_MAX_DISTANCE && horizontalGap <= CAPTION_MAX_DISTANCE;
+    }));
+    if (group) {
+      group.push(image);
+    } else {
+      groups.push([image]);
+    }
+  }
+  
+  return groups;
+}
+
+/**
+ * Get the vertical gap between a figure's images and a caption line below or
+ * above them, or Infinity if the caption is not next to the figure
+ */
+function getCaptionDistance(box, line) {
+  const lineBox = line.sources[0];
+  const overlapsHorizontally = lineBox.left < box.left + box.width && box.left < lineBox.left + lineBox.width;
+  if (!overlapsHorizontally) return Infinity;
+  
+  const gap = Math.max(lineBox.top - (box.top + box.height), box.top - (lineBox.top + lineBox.height));
+  return gap <= CAPTION_MAX_DISTANCE ? Math.max(gap, 0) : Infinity;
+}
+
+/**
+ * Collect a caption's label line and the lines continuing it: same text size,
+ * no more than a tight line gap apart, and not another caption
+ */
+function collectCaptionLines(sections, start) {
+  const lines = [sections[start]];
+  
+  for (let i = start + 1; i < sections.length; i++) {
+    const previous = lines[lines.length - 1].sources[0];
+    const line = sections[i];
+    if (line.type !== 'paragraph' || !line.sources[0] || getCaptionLabel(line.content)) break;
+    
+    const box = line.sources[0];
+    const gap = box.top - (previous.top + previous.height);
+    if (box.page !== previous.page || Math.abs(box.fontSize - previous.fontSize) > 0.5 || gap < -1 || gap > previous.height * 0.6) {
+      break;
+    }
+    lines.push(line);
+  }
+  
+  return lines;
+}
+
+/**
+ * Attach captions to the images and tables they describe.
+ * Runs on one page's raw lines in reading order: each group of images takes
+ * the closest caption line above or below it, plus the lines continuing the
+ * caption, and becomes a 'figure' section placed where its first image was.
+ * Tables keep their section and take the caption as their text.
+ */
+function attachCaptions(page) {
+  const images = page.sections.filter(section => section.type === 'image' && section.sources[0]);
+  const tables = page.sections.filter(section => section.type === 'table' && section.sources[0]);
+  if (images.length === 0 && tables.length === 0) return page.sections;
+  
+  const removed = new Set();
+  const figures = new Map();
+  
+  for (const group of [...groupFigureImages(images), ...tables.map(table => [table])]) {
+    const isTable = group[0].type === 'table';
+    const [box] = group.reduce((sources, image) => mergeSources({ sources }, image), []);
+    
+    let captionIndex = -1;
+    let captionDistance = Infinity;
+    page.sections.forEach((section, index) => {
+      if (removed.has(section) || !section.runs || !section.sources[0]) return;
+      const label = getCaptionLabel(section.content.trim());
+      if (!label || (isTable && label.kind !== 'table')) return;
+      
+      const distance = getCaptionDistance(box, section);
+      if (distance < captionDistance) {
+        captionIndex = index;
+        captionDistance = distance;
+      }
+    });
+    if (captionIndex === -1) continue;
+    
+    const lines = collectCaptionLines(page.sections, captionIndex);
+    const runs = lines.slice(1).reduce((joined, line) => appendLine(joined, line.runs), trimRuns(lines[0].runs));
+    
+    const figure = isTable ? group[0] : createTextSection('figure', []);
+    figure.runs = runs;
+    figure.content = getRunsText(runs);
+    figure.images = group.flatMap(image => image.images);
+    figure.sources = [...group, ...lines].reduce((sources, section) => mergeSources({ sources }, section), []);
+    figure.figure = { ...getCaptionLabel(figure.content), id: null };
+    
+    for (const section of [...group, ...lines]) removed.add(section);
+    figures.set(group[0], figure);
+  }
+  
+  return page.sections
+    .filter(section => figures.has(section) || !removed.has(section))
+    .map(section => figures.get(section) || section);
+}
+
+/**
+ * Give figures unique anchor ids and link body references ("Fig. 2",
+ * "Table 1") to them. References already covered by a PDF link are kept.
+ */
+function linkFigureReferences(sections) {
+  const targets = new Map();
+  const usedIds = new Set();
+  
+  for (const section of sections) {
+    if (!section.figure) continue;
+    
+    const { kind, number } = section.figure;
+    let id = `${kind}-${number.toLowerCase()}`;
+    for (let n = 2; usedIds.has(id); n++) id = `${kind}-${number.toLowerCase()}-${n}`;
+    usedIds.add(id);
+    section.figure.id = id;
+    
+    const key = `${kind}:${number}`;
+    if (!targets.has(key)) targets.set(key, id);
+  }
+  if (targets.size === 0) return;
+  
+  const pattern = /\b(Figures?|Figs?\.|Tables?|Tabs?\.)\s*(\d+|[IVX]+)\b/g;
+  
+  for (const section of sections) {
+    if (section.type === 'heading') continue;
+    
+    for (const block of getTextBlocks(section)) {
+      const text = getRunsText(block.runs);
+      const parts = [];
+      let last = 0;
+      let match;
+      
+      while (match = pattern.exec(text)) {
+        const kind = /^t/i.test(match[1]) ? 'table' : 'figure';
+        const id = targets.get(`${kind}:${match[2]}`);
+        if (!id || (section.figure && section.figure.id === id)) continue;
+        
+        const matched = sliceRuns(block.runs, match.index, match.index + match[0].length);
+        if (matched.some(run => run.link || run.citation || run.footnote)) continue;
+        
+        parts.push(sliceRuns(block.runs, last, match.index));
+        parts.push(matched.map(run => ({ ...run, link: { anchor: id } })));
+        last = match.index + match[0].length;
+      }
+      
+      if (last === 0) continue;
+      parts.push(sliceRuns(block.runs, last));
+      block.runs = normalizeRuns(parts.flat());
+    }
+  }
+}
+
+// Bullet glyphs that start a list item
+const LIST_BULLET_PATTERN = /^([•◦▪▫■□●○‣⁃∙·*–-])\s+(?=\S)/;
+
+// Enumerators that start a list item: "1.", "2)", "(3)", "a.", "(b)", "iv."
+const LIST_ENUMERATOR_PATTERN = /^(?:\((\d{1,3}|[a-z]|[ivx]{1,5})\)|(\d{1,3}|[a-z]|[ivx]{1,5})[.)])\s+(?=\S)/;
+
+// Horizontal slack (points) when comparing the left edges of list lines
+const LIST_INDENT_TOLERANCE = 2;
+
+// How many lines to look ahead for the second item of a new list
+const LIST_LOOKAHEAD = 10;
+
+/**
+ * Get the numeric value of an enumerator label in a list style
+ */
+function getEnumeratorValue(label, kind) {
+  if (kind === 'decimal') return parseInt(label);
+  if (kind === 'lower-alpha') return label.length === 1 ? label.charCodeAt(0) - 96 : NaN;
+  
+  const numerals = { i: 1, v: 5, x: 10 };
+  let value = 0;
+  for (let i = 0; i < label.length; i++) {
+    const current = numerals[label[i]];
+    const next = numerals[label[i + 1]] || 0;
+    value += current < next ? -current : current;
+  }
+  return value;
+}
+
+/**
+ * Get the list marker a line starts with, or null.
+ * A lone "i", "v" or "x" is a letter unless it starts or continues a roman list.
+ */
+function getListMarker(text, list = null) {
+  const bullet = text.match(LIST_BULLET_PATTERN);
+  if (bullet) {
+    return { ordered: false, kind: 'bullet', label: bullet[1], value: 0, length: bullet[0].length };
+  }
+  
+  const match = text.match(LIST_ENUMERATOR_PATTERN);
+  if (!match) return null;
+  
+  const label = match[1] || match[2];
+  let kind = 'decimal';
+  if (/^[a-z]+$/.test(label)) {
+    const isRoman = /^[ivx]+$/.test(label) && (label === 'i' || label.length > 1 || (list && list.kind === 'lower-roman'));
+    kind = isRoman ? 'lower-roman' : 'lower-alpha';
+  }
+  
+  return { ordered: true, kind, label: match[0].trim(), value: getEnumeratorValue(label, kind), length: match[0].length };
+}
+
+/**
+ * Check if a marker continues a list: the same bullet, or the next enumerator
+ */
+function continuesList(list, marker) {
+  if (list.kind !== marker.kind) return false;
+  return marker.ordered ? marker.value === list.last + 1 : marker.label === list.bullet;
+}
+
+/**
+ * Start a list (or nested list) at an item line
+ */
+function createList(line, marker) {
+  return {
+    ordered: marker.ordered,
+    kind: marker.kind,
+    bullet: marker.ordered ? null : marker.label,
+    start: marker.value,
+    last: marker.value,
+    left: line.sources[0].left,
+    items: [{ marker: marker.label, runs: trimRuns(sliceRuns(line.runs, marker.length)), children: null }]
+  };
+}
+
+/**
+ * Check if a line without a marker continues the last item of a list: it is
+ * indented past the marker and follows closely or mid-sentence, or it sits
+ * under the marker and wraps an unfinished sentence
+ */
+function continuesItem(list, line, previousBox) {
+  const box = line.sources[0];
+  const item = list.items[list.items.length - 1];
+  const itemText = getRunsText(item.runs);
+  const isSentenceEnd = /[.!?:;]$/.test(itemText);
+  
+  if (box.left > list.left + LIST_INDENT_TOLERANCE) {
+    const gap = box.top - (previousBox.top + previousBox.height);
+    return !isSentenceEnd || gap <= previousBox.height * 0.6;
+  }
+  return Math.abs(box.left - list.left) <= LIST_INDENT_TOLERANCE && !isSentenceEnd && /^\p{Ll}/u.test(line.content.trim());
+}
+
+/**
+ * Add a line to the open lists (innermost last), as a new item, the first
+ * item of a nested list, or the continuation of the last item.
+ * Returns false if the line is not part of the lists.
+ */
+function addToList(stack, line, previousBox) {
+  const box = line.sources[0];
+  
+  // Leave nested lists the line is no longer indented into
+  while (stack.length > 1 && box.left < stack[stack.length - 1].left - LIST_INDENT_TOLERANCE) {
+    stack.pop();
+  }
+  
+  const list = stack[stack.length - 1];
+  const item = list.items[list.items.length - 1];
+  const marker = getListMarker(line.content.trim(), list);
+  
+  if (marker && Math.abs(box.left - list.left) <= LIST_INDENT_TOLERANCE) {
+    if (!continuesList(list, marker)) return false;
+    list.items.push(createList(line, marker).items[0]);
+    list.last = marker.value;
+    return true;
+  }
+  
+  if (marker && box.left > list.left + LIST_INDENT_TOLERANCE) {
+    item.children = createList(line, marker);
+    stack.push(item.children);
+    return true;
+  }
+  
+  if (marker || !continuesItem(list, line, previousBox)) return false;
+  item.runs = appendLine(item.runs, line.runs);
+  return true;
+}
+
+/**
+ * Check if an item line starts a list: a second item of the same list
+ * follows it, with only the first item's wrapped lines in between
+ */
+function startsList(sections, index, marker) {
+  const list = createList(sections[index], marker);
+  let previousBox = sections[index].sources[0];
+  
+  for (const line of sections.slice(index + 1, index + 1 + LIST_LOOKAHEAD)) {
+    if (line.type !== 'paragraph' || !line.sources || !line.sources[0]) return false;
+    
+    const box = line.sources[0];
+    const next = getListMarker(line.content.trim(), list);
+    if (next && Math.abs(box.left - list.left) <= LIST_INDENT_TOLERANCE) return continuesList(list, next);
+    if (next || !continuesItem(list, line, previousBox)) return false;
+    
+    list.items[0].runs = appendLine(list.items[0].runs, line.runs);
+    previousBox = box;
+  }
+  
+  return false;
+}
+
+/**
+ * Convert an open list into the list data kept on sections
+ */
+function finishList(list) {
+  return {
+    ordered: list.ordered,
+    kind: list.kind,
+    start: list.start,
+    items: list.items.map(item => ({
+      marker: item.marker,
+      runs: item.runs,
+      content: getRunsText(item.runs),
+      children: item.children ? finishList(item.children) : null
+    }))
+  };
+}
+
+/**
+ * Get the plain text of a list, one item per line
+ */
+function getListText(list) {
+  return list.items
+    .flatMap(item => [`${item.marker} ${item.content}`, ...(item.children ? [getListText(item.children)] : [])])
+    .join('\n');
+}
+
+/**
+ * Group bulleted and numbered items among a page's raw lines into 'list'
+ * sections. Items start at a bullet or enumerator and take the lines
+ * wrapping them; an item indented past its list's marker starts a nested
+ * list. A lone item line is not a list.
+ */
+function detectLists(sections) {
+  const result = [];
+  let stack = [];
+  let current = null;
+  let previousBox = null;
+  
+  const finish = () => {
+    if (!current) return;
+    Object.assign(current.section, finishList(current.root));
+    current.section.content = getListText(current.section);
+    current = null;
+  };
+  
+  sections.forEach((line, index) => {
+    const box = line.type === 'paragraph' && line.sources && line.sources[0];
+    
+    if (current && box && addToList(stack, line, previousBox)) {
+      current.section.sources = mergeSources(current.section, line);
+      previousBox = box;
+      return;
+    }
+    
+    finish();
+    
+    const marker = box && getListMarker(line.content.trim());
+    if (!marker || !startsList(sections, index, marker)) {
+      result.push(line);
+      return;
+    }
+    
+    const section = createSection('list', '');
+    section.sources = line.sources;
+    const root = createList(line, marker);
+    stack = [root];
+    current = { section, root };
+    previousBox = box;
+    result.push(section);
+  });
+  
+  finish();
+  return result;
+}
+
+// Front matter is only looked for on the first pages
+const FRONT_MATTER_LAST_PAGE = 1;
+
+// Roles shown together in the title card
+const TITLE_CARD_ROLES = ['title', 'authors', 'affiliation', 'email'];
+
+// Words marking a line as an affiliation
+const AFFILIATION_PATTERN = /\b(universit|institut|research|laborator|labs?\b|department|dept\.|school|college|centre|center|inc\.|corporation|academy|hospital|faculty|google|facebook|microsoft|deepmind)/i;
+
+// Email addresses, including grouped ones ("{ada,alan}@cam.ac.uk")
+const EMAIL_PATTERN = /(\{[^}]+\}|[\w.+-]+)@[\w-]+(\.[\w-]+)+/g;
+
+// Keyword lines ("Keywords:", "Index Terms—")
+const KEYWORDS_PATTERN = /^(keywords|key words|index terms)\b/i;
+
+// Headings that name a part of a paper rather than its title
+const SECTION_NAME_PATTERN = /^(abstract|introduction|contents|table of contents|preface|acknowledg(e)?ments?|references|bibliography|appendix)\b/i;
+
+/**
+ * Normalize text for comparing it with metadata
+ */
+function normalizeForComparison(text) {
+  return (text || '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+}
+
+/**
+ * Find the lines of the document title: the lines of the metadata title,
+ * else the first unnumbered top-level heading on the first page and the
+ * heading lines continuing it
+ */
+function findTitleLines(lines, metadata) {
+  const firstPage = lines.slice(0, 15).filter(line => line.runs && line.sources[0] && line.sources[0].page === 0);
+  
+  const metadataTitle = normalizeForComparison(metadata && metadata.title);
+  if (metadataTitle.length >= 10) {
+    const start = firstPage.findIndex(line => {
+      const text = normalizeForComparison(line.content);
+      return text.length >= 10 && (metadataTitle.startsWith(text) || text.startsWith(metadataTitle));
+    });
+    if (start !== -1) {
+      const titleLines = [firstPage[start]];
+      let covered = normalizeForComparison(firstPage[start].content);
+      for (const line of firstPage.slice(start + 1)) {
+        const next = `${covered} ${normalizeForComparison(line.content)}`;
+        if (!metadataTitle.startsWith(next)) break;
+        titleLines.push(line);
+        covered = next;
+      }
+      return titleLines;
+    }
+  }
+  
+  const start = firstPage.slice(0, 5).findIndex(line => line.type === 'heading');
+  const heading = firstPage[start];
+  if (!heading || heading.level !== 1) return [];
+  const text = heading.content.trim();
+  if (/^(\d+|[IVX]+)\b/.test(text) || SECTION_NAME_PATTERN.test(text)) return [];
+  
+  const titleLines = [heading];
+  for (const line of firstPage.slice(start + 1)) {
+    if (line.type !== 'heading' || line.level !== heading.level) break;
+    titleLines.push(line);
+  }
+  return titleLines;
+}
+
+/**
+ * Get the surnames of the authors listed in the metadata
+ */
+function getMetadataSurnames(metadata) {
+  return ((metadata && metadata.author) || '')
+    .split(/[,;&]|\band\b/)
+    .map(name => name.trim().split(/\s+/).pop())
+    .filter(name => name && name.length > 1);
+}
+
+/**
+ * Check if a line is a list of person names ("Ada Lovelace1, Alan Turing and
+ * Grace Hopper"), ignoring affiliation markers
+ */
+function looksLikeNames(text) {
+  const parts = text
+    .replace(/[\d*†‡§¶]+/g, ' ')
+    .split(/,|;|\band\b|&/)
+    .map(part => part.trim())
+    .filter(Boolean);
+  const name = /^(\p{Lu}[\p{L}'’.-]*\s+)((van|von|de|der|da|di|del|la|le)\s+|\p{Lu}[\p{L}'’.-]*\s+){0,2}\p{Lu}[\p{L}'’-]+$/u;
+  return parts.length > 0 && parts.every(part => name.test(part));
+}
+
+/**
+ * Classify a line following the title, or return null if it is not part of
+ * the byline
+ */
+function classifyBylineLine(text, surnames) {
+  const emails = text.match(EMAIL_PATTERN);
+  if (emails && text.replace(EMAIL_PATTERN, '').replace(/[^\p{L}]/gu, '').length < 4) return 'email';
+  // Affiliations start with the marker linking them to authors ("1 MIT")
+  if (AFFILIATION_PATTERN.test(text) || /^[\d*†‡§¶]+\s*\p{L}/u.test(text)) return 'affiliation';
+  if (surnames.some(surname => text.includes(surname)) || looksLikeNames(text)) return 'authors';
+  return null;
+}
+
+/**
+ * Label the front matter of the first pages with a role: title, authors,
+ * affiliation, email, abstract or keywords. The PDF metadata ({ title,
+ * author }) is used when it names the title or authors, layout cues
+ * otherwise.
+ * Runs on raw lines, before byline lines get merged with each other;
+ * merged sections keep the role their lines share. Sections keep their
+ * type; the role drives the title card and is kept for exports.
+ */
+function classifyFrontMatter(pages, metadata) {
+  const sections = pages.slice(0, FRONT_MATTER_LAST_PAGE + 1).flatMap(page => page.sections);
+  const isAbstractStart = section => /^abstract\b/i.test(section.content.trim());
+  
+  const titleLines = findTitleLines(sections, metadata);
+  if (titleLines.length) {
+    for (const line of titleLines) {
+      line.role = 'title';
+      line.level = 1;
+    }
+    
+    // Byline: short lines between the title and the abstract
+    const surnames = getMetadataSurnames(metadata);
+    const titleEnd = sections.indexOf(titleLines[titleLines.length - 1]);
+    for (const section of sections.slice(titleEnd + 1)) {
+      const text = section.content.trim();
+      if (section.type !== 'paragraph' || isAbstractStart(section) || KEYWORDS_PATTERN.test(text)) break;
+      if (text.length > 150 || (text.match(/\p{Ll}{2}[.!?](\s|$)/gu) || []).length > 1) break;
+      const role = classifyBylineLine(text, surnames);
+      if (!role) break;
+      section.role = role;
+    }
+  }
+  
+  // Abstract and keywords, up to the first body heading
+  let inAbstract = false;
+  for (const section of sections) {
+    if (section.role || (section.type !== 'paragraph' && section.type !== 'heading')) continue;
+    
+    const text = section.content.trim();
+    if (section.type === 'heading') {
+      if (/^abstract[.:]?$/i.test(text)) {
+        inAbstract = true;
+        continue;
+      }
+      break;
+    }
+    
+    if (KEYWORDS_PATTERN.test(text)) {
+      section.role = 'keywords';
+      inAbstract = false;
+    } else if (inAbstract || isAbstractStart(section)) {
+      section.role = 'abstract';
+      inAbstract = true;
+    } else {
+      inAbstract = false;
+    }
+  }
+}
+
+/**
+ * Run the text merge passes over one page's sections
+ */
+function mergePageSections(sections) {
+  // Merge hyphenated words split across paragraphs
+  let mergedSections = mergeHyphenatedWords(sections);
+  
+  // Merge adjacent paragraphs that should be combined
+  mergedSections = mergeAdjacentParagraphs(mergedSections);
+  
+  // Merge adjacent headings with similar styling
+  return mergeAdjacentHeadings(mergedSections);
+}
+
+/**
+ * Join the runs of a paragraph continuing on the next page, or return null
+ * if the second paragraph starts a new one
+ */
+function joinAcrossPageBreak(current, next) {
+  const currentRuns = trimRuns(current.runs);
+  const nextRuns = trimRuns(next.runs);
+  const currentText = getRunsText(currentRuns);
+  const nextText = getRunsText(nextRuns);
+  if (!nextText) return null;
+  
+  const nextStartsLowercase = nextText[0].toLowerCase() === nextText[0];
+  
+  // Word split at the page break ("meth-" / "ods.")
+  if (/\w{2,}-$/.test(currentText) && nextStartsLowercase) {
+    return concatRuns(sliceRuns(currentRuns, 0, currentText.length - 1), nextRuns);
+  }
+  
+  // Sentence interrupted by the page break; closing quotes and brackets
+  // after the last full stop ('."', '.)') still end the paragraph
+  const currentEnd = currentText.replace(/["'”’)\]}»]+$/, '');
+  if (!/[.!?:]$/.test(currentEnd) && nextStartsLowercase) {
+    return concatRuns(currentRuns, ' ', nextRuns);
+  }
+  
+  return null;
+}
+
+/**
+ * Check if a section floats on the page (an image, figure or table)
+ */
+function isFloat(section) {
+  return section.type === 'image' || section.type === 'figure' || section.type === 'table';
+}
+
+/**
+ * Merge paragraphs continuing across page boundaries.
+ * Images, figures and tables floating at the bottom of a page or the top of the next one do not
+ * interrupt the paragraph; they are placed after it instead.
+ */
+function mergeAcrossPages(pages) {
+  const merged = [];
+  
+  for (const page of pages) {
+    const sections = [...page.sections];
+    
+    // Last paragraph so far, with only images after it
+    let tailIndex = merged.length - 1;
+    while (tailIndex >= 0 && isFloat(merged[tailIndex])) tailIndex--;
+    
+    // First paragraph on this page, with only images before it
+    let headIndex = 0;
+    while (headIndex < sections.length && isFloat(sections[headIndex])) headIndex++;
+    
+    const tail = merged[tailIndex];
+    const head = sections[headIndex];
+    
+    if (tail && head && tail.type === 'paragraph' && head.type === 'paragraph' && canMergeRoles(tail, head)) {
+      const joined = joinAcrossPageBreak(tail, head);
+      if (joined) {
+        const floats = [...merged.splice(tailIndex + 1), ...sections.splice(0, headIndex)];
+        sections.shift();
+        merged[tailIndex] = createMergedSection('paragraph', joined, 0, tail, head);
+        merged.push(...floats);
+      }
+    }
+    
+    merged.push(...sections);
+  }
+  
+  return merged;
+}
+
+/**
+ * Parse HTML into structured sections
+ * Accepts one page or a whole document of concatenated mupdf pages, so
+ * running headers, footers and the body text style can be detected across pages.
+ * Options override DEFAULT_PARSER_OPTIONS.
+ */
+export function parseHTMLIntoBlocks(html, options = {}) {
+  const tempDiv = document.createElement('div');
+  tempDiv.innerHTML = html;
+  
+  const parserOptions = { ...DEFAULT_PARSER_OPTIONS, ...options };
+  const context = {
+    options: parserOptions,
+    fontStats: buildFontStatistics(tempDiv, parserOptions)
+  };
+  
+  const pages = collectPages(tempDiv, context);
+  removeRunningHeadersAndFooters(pages);
+  
+  const footnotes = [];
+  for (const page of pages) {
+    page.sections = detectEquations(page);
+    page.sections = detectTables(page);
+    footnotes.push(...extractFootnotes(page, context));
+    page.sections = orderByColumns(page);
+    page.sections = attachCaptions(page);
+  }
+  
+  groupBibliography(pages);
+  classifyFrontMatter(pages, parserOptions.metadata);
+  
+  for (const page of pages) {
+    page.sections = mergePageSections(detectLists(page.sections));
+  }
+  
+  const sections = mergeAcrossPages(pages);
+  const referencedBy = linkFootnoteReferences(sections, footnotes);
+  linkCitations(sections);
+  linkFigureReferences(sections);
+  return insertFootnoteLists(sections, footnotes, referencedBy);
+}
+
+/**
+ * Escape HTML to prevent XSS
+ */
+export function escapeHtml(text) {
+  const div = document.createElement('div');
+  div.textContent = text;
+  return div.innerHTML;
+}
+
+/**
+ * Escape text for use inside a double-quoted HTML attribute
+ */
+function escapeAttribute(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/"/g, '&quot;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+/**
+ * Wrap rendered text in an anchor for its link. External links open in a new
+ * tab; internal ones carry their destination for the reader to scroll to, and
+ * figure references point at the figure's id.
+ */
+function renderLink(link, html) {
+  if (link.anchor) {
+    return `<a href="#${link.anchor}" class="figure-link" data-anchor="${link.anchor}">${html}</a>`;
+  }
+  
+  if (link.href) {
+    if (!/^(https?|mailto|ftp):/i.test(link.href)) return html;
+    return `<a href="${escapeAttribute(link.href)}" target="_blank" rel="noopener noreferrer">${html}</a>`;
+  }
+  
+  const y = link.y === null ? '' : link.y;
+  return `<a href="#" class="internal-link" data-page="${link.page}" data-y="${y}">${html}</a>`;
+}
+
+/**
+ * Render a footnote reference as a button opening a popover with the note.
+ * The key, from the section index and the run's place in it, makes the
+ * popover id unique when a footnote is referenced twice.
+ */
+function renderFootnoteReference(footnote, key) {
+  const popoverId = `${footnote.id}-popover-${key}`;
+  return `<button type="button" class="footnote-ref" popovertarget="${popoverId}" data-footnote="${footnote.id}">` +
+    `${escapeHtml(footnote.marker)}</button>` +
+    `<span id="${popoverId}" class="footnote-popover" popover>${renderRuns(footnote.runs, `${key}-p`)}</span>`;
+}
+
+/**
+ * Render a citation as a button opening a popover with the cited entries
+ */
+function renderCitation(run, key) {
+  const { citation } = run;
+  const popoverId = `${citation.ids[0]}-popover-${key}`;
+  const entries = citation.entries.map((entry, i) =>
+    `<span class="citation-entry">${entry.label ? `[${escapeHtml(entry.label)}] ` : ''}${renderRuns(entry.runs, `${key}-p${i}`)}</span>`
+  );
+  return `<button type="button" class="citation-ref" popovertarget="${popoverId}" data-reference="${citation.ids[0]}">` +
+    `${escapeHtml(run.text)}</button>` +
+    `<span id="${popoverId}" class="footnote-popover" popover>${entries.join('')}</span>`;
+}
+
+/**
+ * Render formatted text runs to HTML. The key must be unique in the
+ * document, as the ids of the runs' popovers are built from it.
+ */
+function renderRuns(runs, key) {
+  return runs.map((run, i) => {
+    if (run.footnote) return renderFootnoteReference(run.footnote, `${key}-${i}`);
+    if (run.citation) return renderCitation(run, `${key}-${i}`);
+    
+    let html = escapeHtml(run.text);
+    if (run.code) html = `<code>${html}</code>`;
+    if (run.italic) html = `<em>${html}</em>`;
+    if (run.bold) html = `<strong>${html}</strong>`;
+    if (run.sup) html = `<sup>${html}</sup>`;
+    if (run.sub) html = `<sub>${html}</sub>`;
+    if (run.link) html = renderLink(run.link, html);
+    return html;
+  }).join('');
+}
+
+/**
+ * Render the text of a section, with inline formatting when available
+ */
+function renderSectionText(section, index) {
+  if (!section.runs) return escapeHtml(section.content);
+  
+  // Headings are already bold; only keep other formatting inside them
+  const runs = section.type === 'heading'
+    ? normalizeRuns(section.runs.map(run => ({ ...run, bold: false })))
+    : section.runs;
+  return renderRuns(runs, index);
+}
+
+/**
+ * Render a bibliography as an ordered list of its entries
+ */
+function renderBibliography(section, index, attrs) {
+  const items = section.entries.map((entry, i) => {
+    const label = entry.label ? `<span class="reference-label">[${escapeHtml(entry.label)}]</span> ` : '';
+    return `<li id="${entry.id}">${label}${renderRuns(entry.runs, `${index}-b${i}`)}</li>`;
+  });
+  return `<ol class="bibliography" ${attrs}>${items.join('')}</ol>`;
+}
+
+/**
+ * Render a figure with its caption, which doubles as the images' alt text
+ */
+function renderFigure(section, index, attrs) {
+  const alt = escapeAttribute(section.content);
+  const images = section.images
+    .filter(image => image && image.src)
+    .map(image => `<img src="${image.src}" alt="${alt}" />`);
+  return `<figure id="${section.figure.id}" class="figure-${section.figure.kind}" ${attrs}>${images.join('')}` +
+    `<figcaption>${renderSectionText(section, index)}</figcaption></figure>`;
+}
+
+/**
+ * Render a table. Tables that could not be rebuilt show an image of their
+ * page region when the reader rendered one, else their lines of text.
+ */
+function renderTable(section, index, attrs) {
+  let body;
+  if (section.rows) {
+    const renderRow = (row, r, tag) =>
+      `<tr>${row.map((cell, c) => `<${tag}>${renderRuns(cell, `${index}-r${r}-c${c}`)}</${tag}>`).join('')}</tr>`;
+    const head = section.rows.slice(0, section.headerRows).map((row, r) => renderRow(row, r, 'th'));
+    const rows = section.rows.slice(section.headerRows).map((row, r) => renderRow(row, r + section.headerRows, 'td'));
+    body = `<div class="table-scroll"><table>${head.length ? `<thead>${head.join('')}</thead>` : ''}` +
+      `<tbody>${rows.join('')}</tbody></table></div>`;
+  } else if (section.images.length) {
+    const alt = escapeAttribute(section.content || 'Table');
+    body = section.images.map(image => `<img class="table-image" src="${image.src}" alt="${alt}" />`).join('');
+  } else {
+    body = `<div class="table-scroll">${section.lines.map((line, i) => `<p class="table-line">${renderRuns(line, `${index}-l${i}`)}</p>`).join('')}</div>`;
+  }
+  
+  if (!section.figure) {
+    return `<div class="table" ${attrs}>${body}</div>`;
+  }
+  return `<figure id="${section.figure.id}" class="figure-table" ${attrs}>` +
+    `<figcaption>${renderSectionText(section, index)}</figcaption>${body}</figure>`;
+}
+
+/**
+ * Render a display equation as the image of its page region, with its text
+ * as alt text, or as plain text when no image was rendered
+ */
+function renderEquation(section, attrs) {
+  if (section.images.length === 0) {
+    const number = section.number ? ` <span class="equation-number">(${escapeHtml(section.number)})</span>` : '';
+    return `<div class="equation" ${attrs}><code class="equation-text">${escapeHtml(section.content)}</code>${number}</div>`;
+  }
+  
+  const alt = escapeAttribute(section.content);
+  const images = section.images.map(image => {
+    const width = image.width ? ` style="--equation-width: ${image.width}px"` : '';
+    return `<img class="equation-image" src="${image.src}" alt="${alt}"${width} />`;
+  });
+  return `<div class="equation" ${attrs}>${images.join('')}</div>`;
+}
+
+/**
+ * Render a list and its nested lists. The key is the list's place in the
+ * document, its section index for a top-level list.
+ */
+function renderList(list, key, attrs = '') {
+  const items = list.items.map((item, i) =>
+    `<li>${renderRuns(item.runs, `${key}-i${i}`)}${item.children ? renderList(item.children, `${key}-i${i}`) : ''}</li>`
+  );
+  if (!list.ordered) {
+    return `<ul${attrs ? ` ${attrs}` : ''}>${items.join('')}</ul>`;
+  }
+  
+  const type = { 'lower-alpha': ' type="a"', 'lower-roman': ' type="i"' }[list.kind] || '';
+  const start = list.start !== 1 ? ` start="${list.start}"` : '';
+  return `<ol${type}${start}${attrs ? ` ${attrs}` : ''}>${items.join('')}</ol>`;
+}
+
+/**
+ * Render a chapter's footnote list
+ */
+function renderFootnoteList(section, index, attrs) {
+  const items = section.footnotes.map((footnote, i) =>
+    `<li id="${footnote.id}"><span class="footnote-marker">${escapeHtml(footnote.marker)}</span> ` +
+    `${renderRuns(footnote.runs, `${index}-f${i}`)}</li>`
+  );
+  return `<aside class="footnotes" ${attrs}><p class="footnotes-title">Footnotes</p>` +
+    `<ul class="footnote-list">${items.join('')}</ul></aside>`;
+}
+
+/**
+ * Render a single section to HTML
+ * Every element is tagged with the section index so the reader can find it
+ */
+export function renderSection(section, index) {
+  if (!section.content && section.images.length === 0 && section.type !== 'table') {
+    return '';
+  }
+  
+  const attrs = `data-section="${index}"`;
+  const roleClass = section.role ? ` class="${section.role}"` : '';
+  let html = '';
+  
+  if (section.type === 'footnotes') {
+    html += renderFootnoteList(section, index, attrs);
+  } else if (section.type === 'bibliography') {
+    html += renderBibliography(section, index, attrs);
+  } else if (section.type === 'list') {
+    html += renderList(section, index, attrs);
+  } else if (section.type === 'equation') {
+    html += renderEquation(section, attrs);
+  } else if (section.type === 'table') {
+    html += renderTable(section, index, attrs);
+  } else if (section.type === 'figure') {
+    html += renderFigure(section, index, attrs);
+  } else if (section.type === 'heading') {
+    const tag = `h${Math.min(section.level || 2, 6)}`;
+    html += `<${tag} id="section-${index}"${roleClass} ${attrs}>${renderSectionText(section, index)}</${tag}>`;
+  } else if (section.type === 'image') {
+    for (const image of section.images) {
       if (image && image.src) {
-        html += `<img src="${image.src}" alt="" />`;
+        html += `<img src="${image.src}" alt="" ${attrs} />`;
       }
     }
   } else if (section.content.trim()) {
-    html += `<p>${escapeHtml(section.content)}</p>`;
+    html += `<p${roleClass} ${attrs}>${renderSectionText(section, index)}</p>`;
     
     // Render images after paragraph
     for (const image of section.images) {
       if (image && image.src) {
-        html += `<img src="${image.src}" alt="" />`;
+        html += `<img src="${image.src}" alt="" ${attrs} />`;
       }
     }
   }
@@ -520,9 +3101,203 @@ function renderSection(section) {
 }
 
 /**
- * Render sections array to HTML
+ * Render sections array to HTML, or the sections from start up to end
+ * The title, authors, affiliations and emails are grouped into a title card.
+ */
+export function renderSections(sections, start = 0, end = sections.length) {
+  let html = '';
+  let inTitleCard = false;
+  
+  for (let index = start; index < end; index++) {
+    const section = sections[index];
+    const isTitleCard = TITLE_CARD_ROLES.includes(section.role);
+    if (isTitleCard && !inTitleCard) html += '<header class="title-card">';
+    if (!isTitleCard && inTitleCard) html += '</header>';
+    inTitleCard = isTitleCard;
+    html += renderSection(section, index);
+  }
+  
+  if (inTitleCard) html += '</header>';
+  return html;
+}
+
+// Characters with a meaning in Markdown text
+const MARKDOWN_SPECIAL_PATTERN = /[\\`*_[\]<>|]/g;
+
+// Line starts Markdown would read as a heading, quote, list item or rule
+const MARKDOWN_BLOCK_START_PATTERN = /^(#{1,6}\s|[-+>]\s|\d+[.)]\s|={3,}|-{3,})/;
+
+/**
+ * Escape text for Markdown
+ */
+function escapeMarkdown(text) {
+  return text.replace(MARKDOWN_SPECIAL_PATTERN, '\\$&');
+}
+
+/**
+ * Render formatted text runs to Markdown; footnote references become
+ * Markdown footnotes and only web links are kept
+ */
+function renderMarkdownRuns(runs) {
+  return runs.map(run => {
+    if (run.footnote) return `[^${run.footnote.id}]`;
+    
+    // Emphasis markers must hug the text, so keep surrounding spaces outside
+    const [, lead, core, trail] = /^(\s*)([\s\S]*?)(\s*)$/.exec(run.text);
+    if (!core) return run.text;
+    
+    let markdown = run.code ? `\`${core}\`` : escapeMarkdown(core);
+    if (run.italic) markdown = `*${markdown}*`;
+    if (run.bold) markdown = `**${markdown}**`;
+    if (run.sup) markdown = `<sup>${markdown}</sup>`;
+    if (run.sub) markdown = `<sub>${markdown}</sub>`;
+    if (run.link && run.link.href && /^(https?|mailto|ftp):/i.test(run.link.href)) {
+      markdown = `[${markdown}](${run.link.href.replace(/[()\s]/g, encodeURIComponent)})`;
+    }
+    return lead + markdown + trail;
+  }).join('');
+}
+
+/**
+ * Render a section's text to Markdown, escaping a line start that would
+ * otherwise be read as block syntax
+ */
+function renderMarkdownText(section) {
+  const runs = section.type === 'heading' && section.runs
+    ? normalizeRuns(section.runs.map(run => ({ ...run, bold: false })))
+    : section.runs;
+  const markdown = runs ? renderMarkdownRuns(runs) : escapeMarkdown(section.content);
+  return markdown.trim().replace(MARKDOWN_BLOCK_START_PATTERN, start =>
+    /^\d/.test(start) ? start.replace(/[.)]/, '\\$&') : `\\${start}`
+  );
+}
+
+/**
+ * Render a list to Markdown, nesting child lists under their items
+ */
+function renderMarkdownList(list, indent = '') {
+  return list.items.map((item, i) => {
+    const marker = list.ordered ? `${(list.start || 1) + i}.` : '-';
+    const children = item.children
+      ? `\n${renderMarkdownList(item.children, indent + ' '.repeat(marker.length + 1))}`
+      : '';
+    return `${indent}${marker} ${renderMarkdownRuns(item.runs).trim()}${children}`;
+  }).join('\n');
+}
+
+/**
+ * Render a table to Markdown: rebuilt rows as a pipe table (the first row
+ * is its header), otherwise its image or its text lines
+ */
+function renderMarkdownTable(section) {
+  if (section.rows) {
+    const renderRow = row => `| ${row.map(cell => renderMarkdownRuns(cell).trim()).join(' | ')} |`;
+    const [header, ...rows] = section.rows;
+    return [renderRow(header), `|${header.map(() => ' --- |').join('')}`, ...rows.map(renderRow)].join('\n');
+  }
+  
+  if (section.images.length) {
+    return section.images.map(image => `![Table](${image.src})`).join('\n\n');
+  }
+  return ['```', ...section.lines.map(getRunsText), '```'].join('\n');
+}
+
+/**
+ * Render a single section to Markdown
+ */
+function renderMarkdownSection(section) {
+  const caption = section.content ? escapeMarkdown(section.content.replace(/\s+/g, ' ').trim()) : '';
+  
+  if (section.type === 'heading') {
+    return `${'#'.repeat(Math.min(section.level || 2, 6))} ${renderMarkdownText(section)}`;
+  }
+  if (section.type === 'image') {
+    return section.images.map(image => `![](${image.src})`).join('\n\n');
+  }
+  if (section.type === 'figure') {
+    const images = section.images.map(image => `![${caption}](${image.src})`);
+    return [...images, `*${renderMarkdownText(section)}*`].join('\n\n');
+  }
+  if (section.type === 'table') {
+    const table = renderMarkdownTable(section);
+    return section.figure ? `*${renderMarkdownText(section)}*\n\n${table}` : table;
+  }
+  if (section.type === 'equation') {
+    if (section.images.length) {
+      return section.images.map(image => `![${caption}](${image.src})`).join('\n\n');
+    }
+    return ['```', section.content, '```'].join('\n');
+  }
+  if (section.type === 'list') {
+    return renderMarkdownList(section);
+  }
+  if (section.type === 'bibliography') {
+    return section.entries.map(entry =>
+      `- ${entry.label ? `\\[${escapeMarkdown(entry.label)}\\] ` : ''}${renderMarkdownRuns(entry.runs).trim()}`
+    ).join('\n');
+  }
+  if (section.type === 'footnotes') {
+    return section.footnotes.map(footnote => `[^${footnote.id}]: ${renderMarkdownRuns(footnote.runs).trim()}`).join('\n');
+  }
+  
+  const text = section.content.trim() ? renderMarkdownText(section) : '';
+  const images = section.images.map(image => `![](${image.src})`);
+  return [text, ...images].filter(Boolean).join('\n\n');
+}
+
+/**
+ * Render sections array to Markdown
+ */
+export function renderMarkdown(sections) {
+  return sections
+    .map(renderMarkdownSection)
+    .filter(block => block.trim())
+    .join('\n\n') + '\n';
+}
+
+/**
+ * Get the plain text of text runs; footnote references are bracketed so
+ * they do not run into the word before them
+ */
+function renderPlainRuns(runs) {
+  return runs.map(run => run.footnote ? `[${run.footnote.marker}]` : run.text).join('');
+}
+
+/**
+ * Get the plain text of a list, indenting nested lists under their items
+ */
+function renderPlainList(list, indent = '') {
+  return list.items.map(item => {
+    const children = item.children ? `\n${renderPlainList(item.children, `${indent}  `)}` : '';
+    return `${indent}${item.marker} ${renderPlainRuns(item.runs).trim()}${children}`;
+  }).join('\n');
+}
+
+/**
+ * Get the plain text of a single section; images are left out
  */
-export function renderSections(sections) {
-  return sections.map(renderSection).join('');
+function renderPlainSection(section) {
+  if (section.type === 'list') {
+    return renderPlainList(section);
+  }
+  if (section.type === 'footnotes') {
+    return section.footnotes.map(footnote => `[${footnote.marker}] ${renderPlainRuns(footnote.runs).trim()}`).join('\n');
+  }
+  if (section.type === 'table') {
+    const body = section.rows
+      ? section.rows.map(row => row.map(cell => renderPlainRuns(cell).trim()).join('\t')).join('\n')
+      : section.lines.map(renderPlainRuns).join('\n');
+    return [section.runs ? renderPlainRuns(section.runs).trim() : section.content, body].filter(Boolean).join('\n\n');
+  }
+  return section.runs ? renderPlainRuns(section.runs).trim() : section.content.trim();
 }
 
+/**
+ * Render sections array to plain text, one block per section
+ */
+export function renderPlainText(sections) {
+  return sections
+    .map(renderPlainSection)
+    .filter(Boolean)
+    .join('\n\n') + '\n';
+}
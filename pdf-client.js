@@ -0,0 +1,177 @@
+/**
+ * PDF Client
+ * Main thread side of the PDF worker: loads documents page by page and
+ * requests page region images, page columns and annotated copies, one
+ * promise per request
+ */
+
+// Lazily started worker and the handlers of requests in flight, by id
+let worker = null;
+const handlers = new Map();
+let nextId = 1;
+
+/**
+ * Error rejecting a load that was cancelled
+ */
+export class LoadCancelledError extends Error {
+  constructor() {
+    super('Loading was cancelled');
+    this.name = 'LoadCancelledError';
+  }
+}
+
+/**
+ * Error rejecting a load of a protected PDF whose password is missing or
+ * wrong (wrongPassword)
+ */
+export class PasswordRequiredError extends Error {
+  constructor(wrongPassword) {
+    super(wrongPassword ? 'The password is incorrect' : 'This PDF is protected by a password');
+    this.name = 'PasswordRequiredError';
+    this.wrongPassword = wrongPassword;
+  }
+}
+
+// Turn an error message from the worker into an error
+function toError(message) {
+  return message.needsPassword ? new PasswordRequiredError(message.wrongPassword) : new Error(message.message);
+}
+
+function getWorker() {
+  if (worker) return worker;
+  
+  worker = new Worker(new URL('./pdf-worker.js', import.meta.url), { type: 'module' });
+  worker.addEventListener('message', e => {
+    const handler = handlers.get(e.data.id);
+    if (handler) handler(e.data);
+  });
+  worker.addEventListener('error', e => {
+    for (const handler of handlers.values()) {
+      handler({ type: 'error', message: e.message || 'The PDF worker failed' });
+    }
+  });
+  
+  return worker;
+}
+
+/**
+ * Open a PDF in the worker and stream its pages, unlocking it with password
+ * when given. onOpen receives { pageCount, metadata, outline, laidOut }, onPage
+ * each page's { index, pageCount, html, links, width, height, textLength,
+ * imageCover }.
+ * Returns { promise, cancel }; the promise resolves once every page was
+ * sent, rejects with LoadCancelledError when cancelled and with
+ * PasswordRequiredError when the PDF is protected.
+ */
+export function loadDocument(data, layout, { onOpen, onPage, password = null }) {
+  const id = nextId++;
+  let settle = null;
+  
+  const promise = new Promise((resolve, reject) => {
+    settle = { resolve, reject };
+    handlers.set(id, message => {
+      if (message.type === 'opened') {
+        onOpen(message);
+      } else if (message.type === 'page') {
+        onPage(message);
+      } else if (message.type === 'done') {
+        handlers.delete(id);
+        resolve();
+      } else if (message.type === 'error') {
+        handlers.delete(id);
+        reject(toError(message));
+      }
+    });
+  });
+  
+  getWorker().postMessage({ type: 'open', id, data, layout, password }, [data]);
+  
+  const cancel = () => {
+    if (!handlers.has(id)) return;
+    handlers.delete(id);
+    getWorker().postMessage({ type: 'cancel', id });
+    settle.reject(new LoadCancelledError());
+  };
+  
+  return { promise, cancel };
+}
+
+/**
+ * Open a PDF in the worker without extracting its pages, so regions of a
+ * document parsed earlier can be rendered. A null layout leaves the
+ * document as it is, for documents that could not be laid out.
+ */
+export function openForRendering(data, layout, password = null) {
+  const id = nextId++;
+  return new Promise((resolve, reject) => {
+    handlers.set(id, message => {
+      handlers.delete(id);
+      if (message.type === 'loaded') {
+        resolve();
+      } else {
+        reject(toError(message));
+      }
+    });
+    getWorker().postMessage({ type: 'load', id, data, layout, password }, [data]);
+  });
+}
+
+/**
+ * Render page regions of the open document
+ * ([{ section, box, scale, padding }] to [{ section, src, width, height }])
+ */
+export function renderRegions(requests) {
+  if (requests.length === 0) return Promise.resolve([]);
+  
+  const id = nextId++;
+  return new Promise((resolve, reject) => {
+    handlers.set(id, message => {
+      handlers.delete(id);
+      if (message.type === 'regions') {
+        resolve(message.images);
+      } else {
+        reject(new Error(message.message));
+      }
+    });
+    getWorker().postMessage({ type: 'render-regions', id, requests });
+  });
+}
+
+/**
+ * Get a copy of the open PDF with highlight annotations added
+ * ([{ text, boxes, color, note }]). Resolves to { data, missing }, where
+ * missing counts the highlights not found in the PDF.
+ */
+export function annotateDocument(annotations) {
+  const id = nextId++;
+  return new Promise((resolve, reject) => {
+    handlers.set(id, message => {
+      handlers.delete(id);
+      if (message.type === 'annotated') {
+        resolve({ data: message.data, missing: message.missing });
+      } else {
+        reject(new Error(message.message));
+      }
+    });
+    getWorker().postMessage({ type: 'annotate', id, annotations });
+  });
+}
+
+/**
+ * Find the columns of text on a page of the open document, as page boxes
+ * in reading order
+ */
+export function findPageColumns(page) {
+  const id = nextId++;
+  return new Promise((resolve, reject) => {
+    handlers.set(id, message => {
+      handlers.delete(id);
+      if (message.type === 'columns') {
+        resolve(message.boxes);
+      } else {
+        reject(new Error(message.message));
+      }
+    });
+    getWorker().postMessage({ type: 'find-columns', id, page });
+  });
+}
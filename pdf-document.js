@@ -0,0 +1,396 @@
+/**
+ * PDF Document
+ * mupdf access shared by the PDF worker and the command-line converter:
+ * opening and laying out documents, extracting each page's structured text
+ * and links, reading metadata and the outline, rendering page regions and
+ * finding the columns of scanned pages.
+ */
+
+import mupdf from 'mupdf';
+
+/**
+ * Error thrown when a PDF is protected and the password is missing or wrong
+ */
+export class PasswordError extends Error {
+  constructor(wrongPassword) {
+    super(wrongPassword ? 'The password is incorrect.' : 'This PDF is protected by a password.');
+    this.name = 'PasswordError';
+    this.wrongPassword = wrongPassword;
+  }
+}
+
+/**
+ * Open PDF bytes, unlocking them with the password when they are protected.
+ * Throws a PasswordError when a protected PDF cannot be unlocked.
+ */
+export function openDocument(data, password = null) {
+  const doc = mupdf.Document.openDocument(new Uint8Array(data), 'application/pdf');
+  
+  // Without the password mupdf reads the encrypted streams as garbage
+  if (doc.needsPassword()) {
+    if (!password) throw new PasswordError(false);
+    if (!doc.authenticatePassword(password)) throw new PasswordError(true);
+  }
+  
+  return doc;
+}
+
+/**
+ * Lay a document out for reflow. Returns false when mupdf cannot lay it
+ * out; its structured text still reflows, in the reading order mupdf works
+ * out from the page layout.
+ */
+export function layoutDocument(doc, layout) {
+  try {
+    doc.layout(layout.width, layout.height, layout.emSize);
+  } catch (layoutErr) {
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Get a page's links, with internal destinations resolved to page locations
+ */
+function extractPageLinks(doc, page, pageIndex) {
+  const links = [];
+  
+  for (const link of page.getLinks()) {
+    const [x0, y0, x1, y1] = link.getBounds();
+    const entry = { page: pageIndex, rect: { left: x0, top: y0, right: x1, bottom: y1 } };
+    
+    if (link.isExternal()) {
+      links.push({ ...entry, uri: link.getURI() });
+      continue;
+    }
+    
+    try {
+      const dest = doc.resolveLinkDestination(link);
+      links.push({ ...entry, dest: { page: dest.page, y: dest.y } });
+    } catch (linkErr) {
+      console.warn('Could not resolve link:', link.getURI(), linkErr);
+    }
+  }
+  
+  return links;
+}
+
+/**
+ * Share of a page (0 to 1) its largest image covers; a scanned page is one
+ * image, with any recognised text laid over it
+ */
+function getImageCover(text, width, height) {
+  let cover = 0;
+  text.walk({
+    onImageBlock([x0, y0, x1, y1]) {
+      cover = Math.max(cover, (x1 - x0) * (y1 - y0) / (width * height));
+    }
+  });
+  return Math.min(1, cover);
+}
+
+/**
+ * Get a page's structured text HTML and links, its size in points, the
+ * length of its text (none on scanned pages) and the share of it covered by
+ * its largest image
+ */
+export function extractPage(doc, pageIndex) {
+  const page = doc.loadPage(pageIndex);
+  const text = page.toStructuredText('preserve-images');
+  const [x0, y0, x1, y1] = page.getBounds();
+  return {
+    html: text.asHTML(pageIndex),
+    links: extractPageLinks(doc, page, pageIndex),
+    width: x1 - x0,
+    height: y1 - y0,
+    textLength: text.asText().trim().length,
+    imageCover: getImageCover(text, x1 - x0, y1 - y0)
+  };
+}
+
+/**
+ * Title and authors from the document info, to help find the front matter
+ */
+export function getDocumentMetadata(doc) {
+  const read = key => {
+    try {
+      return (doc.getMetaData(key) || '').trim();
+    } catch (metadataErr) {
+      return '';
+    }
+  };
+  return { title: read('info:Title'), author: read('info:Author') };
+}
+
+// Outline items as plain data that can be posted or serialized
+function toPlainOutline(items) {
+  return items.map(item => ({
+    title: item.title,
+    page: item.page,
+    down: item.down ? toPlainOutline(item.down) : undefined
+  }));
+}
+
+/**
+ * Get the document outline ({ title, page, down }), or [] when it has none
+ */
+export function getDocumentOutline(doc) {
+  try {
+    return toPlainOutline(doc.loadOutline() || []);
+  } catch (outlineErr) {
+    console.warn('Could not load PDF outline:', outlineErr);
+    return [];
+  }
+}
+
+// Convert PNG bytes to a data URL
+function toDataURL(png) {
+  let binary = '';
+  for (let i = 0; i < png.length; i += 0x8000) {
+    binary += String.fromCharCode(...png.subarray(i, i + 0x8000));
+  }
+  return `data:image/png;base64,${btoa(binary)}`;
+}
+
+/**
+ * Render a box ({ page, top, left, width, height } in points) of a page,
+ * returning its data URL and the size of the rendered region in points.
+ * A box of just { page } renders the whole page.
+ */
+export function renderPageRegion(doc, box, scale, padding = 0) {
+  const page = doc.loadPage(box.page);
+  const [x0, y0, x1, y1] = page.getBounds();
+  
+  const region = box.width === undefined ? [x0, y0, x1, y1] : [
+    Math.max(x0, box.left - padding),
+    Math.max(y0, box.top - padding),
+    Math.min(x1, box.left + box.width + padding),
+    Math.min(y1, box.top + box.height + padding)
+  ];
+  
+  const pixmap = new mupdf.Pixmap(mupdf.ColorSpace.DeviceRGB, region.map(value => Math.round(value * scale)), false);
+  pixmap.clear(255);
+  const device = new mupdf.DrawDevice(mupdf.Matrix.scale(scale, scale), pixmap);
+  page.run(device, mupdf.Matrix.identity);
+  device.close();
+  
+  return {
+    src: toDataURL(pixmap.asPNG()),
+    width: region[2] - region[0],
+    height: region[3] - region[1]
+  };
+}
+
+/**
+ * Pick the search hit nearest a section's boxes on a page
+ */
+function findClosestHit(hits, boxes) {
+  let best = null;
+  
+  for (const hit of hits) {
+    const [, y0, , , , y1] = hit[0];
+    const distance = Math.min(...boxes.map(box =>
+      Math.max(0, box.top - y1, y0 - (box.top + box.height))
+    ));
+    if (!best || distance < best.distance) best = { hit, distance };
+  }
+  
+  return best && best.hit;
+}
+
+/**
+ * Write highlights into a copy of a PDF as highlight annotations.
+ * Each annotation ({ text, boxes, color, note }) is found by searching its
+ * text on the pages of its boxes. Returns the new PDF bytes (protected like
+ * the original) and how many highlights could not be found.
+ */
+export function addHighlightAnnotations(data, annotations, password = null) {
+  const doc = openDocument(data, password).asPDF();
+  let missing = 0;
+  
+  for (const annotation of annotations) {
+    const pages = [...new Set(annotation.boxes.map(box => box.page))];
+    let added = false;
+    
+    for (const pageIndex of pages) {
+      const page = doc.loadPage(pageIndex);
+      const boxes = annotation.boxes.filter(box => box.page === pageIndex);
+      const hit = findClosestHit(page.search(annotation.text, 50), boxes);
+      if (!hit) continue;
+      
+      const highlight = page.createAnnotation('Highlight');
+      highlight.setColor(annotation.color);
+      highlight.setQuadPoints(hit);
+      if (annotation.note) highlight.setContents(annotation.note);
+      highlight.update();
+      added = true;
+      break;
+    }
+    
+    if (!added) missing++;
+  }
+  
+  const buffer = doc.saveToBuffer('incremental');
+  const bytes = buffer.asUint8Array().slice();
+  buffer.destroy();
+  doc.destroy();
+  return { data: bytes, missing };
+}
+
+// Scale pages are rendered at to find their columns; coarse is enough
+const COLUMN_SCALE = 0.5;
+
+// Grey level below which a pixel is ink
+const INK_LEVEL = 160;
+
+// Share of the content's rows a gutter may have ink in (e.g. a title
+// spanning the columns)
+const GUTTER_INK_SHARE = 0.05;
+
+// Narrowest gutter, as a share of the page width (wider than the spaces
+// between the words of a title), and narrowest column, as a share of the
+// content width
+const MIN_GUTTER_WIDTH = 0.02;
+const MIN_COLUMN_WIDTH = 0.2;
+
+// Shortest content, as a share of the page height, that is looked at for
+// columns; a few lines have too little text to tell gutters from gaps
+const MIN_COLUMNS_HEIGHT = 0.2;
+
+// Shortest run of rows across the gutters, as a share of the page height,
+// that is kept whole rather than cut into the columns (a hyphen or a stray
+// speck in a gutter is not)
+const MIN_SPAN_HEIGHT = 0.01;
+
+/**
+ * Find the bounds of the ink in rows [top, bottom) and pixel columns
+ * [from, to), as { left, top, width, height } in pixels, or null when there
+ * is none
+ */
+function findInkBounds(pixels, stride, [top, bottom], [from, to]) {
+  let inkTop = -1;
+  let inkBottom = -1;
+  let left = to;
+  let right = from;
+  
+  for (let y = top; y < bottom; y++) {
+    for (let x = from; x < to; x++) {
+      if (pixels[y * stride + x] >= INK_LEVEL) continue;
+      if (inkTop === -1) inkTop = y;
+      inkBottom = y;
+      left = Math.min(left, x);
+      right = Math.max(right, x);
+    }
+  }
+  
+  return inkTop === -1 ? null : { left, top: inkTop, width: right - left + 1, height: inkBottom - inkTop + 1 };
+}
+
+/**
+ * Find the gutters of some content: the wide runs of pixel columns that are
+ * blank in (nearly) every row, with a column's width of content each side.
+ * Returns [from, to) ranges.
+ */
+function findGutters(pixels, width, stride, content) {
+  const right = content.left + content.width;
+  const inkRows = new Uint32Array(width);
+  for (let y = content.top; y < content.top + content.height; y++) {
+    for (let x = content.left; x < right; x++) {
+      if (pixels[y * stride + x] < INK_LEVEL) inkRows[x]++;
+    }
+  }
+  
+  const maxInk = content.height * GUTTER_INK_SHARE;
+  const minColumn = content.width * MIN_COLUMN_WIDTH;
+  const gutters = [];
+  let columnStart = content.left;
+  let gutterStart = -1;
+  
+  for (let x = content.left; x <= right; x++) {
+    const blank = x < right && inkRows[x] <= maxInk;
+    if (blank && gutterStart === -1) gutterStart = x;
+    if (blank || gutterStart === -1) continue;
+    
+    if (x - gutterStart >= width * MIN_GUTTER_WIDTH && gutterStart - columnStart >= minColumn && right - x >= minColumn) {
+      gutters.push([gutterStart, x]);
+      columnStart = x;
+    }
+    gutterStart = -1;
+  }
+  
+  return gutters;
+}
+
+/**
+ * Split a grey page image into the parts to read in turn: bands of rows
+ * that run across the gutters (titles, wide figures) are kept whole, and
+ * the bands between them are cut into columns. Returns pixel boxes in
+ * reading order.
+ */
+function findInkColumns(pixels, width, height, stride) {
+  const content = findInkBounds(pixels, stride, [0, height], [0, width]);
+  if (!content) return [];
+  if (content.height < height * MIN_COLUMNS_HEIGHT) return [content];
+  
+  const gutters = findGutters(pixels, width, stride, content);
+  if (gutters.length === 0) return [content];
+  
+  const right = content.left + content.width;
+  const columns = [];
+  let columnStart = content.left;
+  for (const [from, to] of gutters) {
+    columns.push([columnStart, from]);
+    columnStart = to;
+  }
+  columns.push([columnStart, right]);
+  
+  // Runs of rows with ink in a gutter, too short ones left to the columns
+  const spans = [];
+  let spanStart = -1;
+  for (let y = content.top; y <= content.top + content.height; y++) {
+    const spanning = y < content.top + content.height && gutters.some(([from, to]) => {
+      for (let x = from; x < to; x++) {
+        if (pixels[y * stride + x] < INK_LEVEL) return true;
+      }
+      return false;
+    });
+    if (spanning && spanStart === -1) spanStart = y;
+    if (spanning || spanStart === -1) continue;
+    
+    if (y - spanStart >= height * MIN_SPAN_HEIGHT) spans.push([spanStart, y]);
+    spanStart = -1;
+  }
+  
+  const parts = [];
+  let bandStart = content.top;
+  for (const span of [...spans, [content.top + content.height, content.top + content.height]]) {
+    for (const column of columns) {
+      parts.push(findInkBounds(pixels, stride, [bandStart, span[0]], column));
+    }
+    parts.push(findInkBounds(pixels, stride, span, [content.left, right]));
+    bandStart = span[1];
+  }
+  
+  return parts.filter(Boolean);
+}
+
+/**
+ * Find the columns of text on a page, for reading scanned pages a column
+ * at a time. Returns boxes ({ page, top, left, width, height } in points) in
+ * reading order, or [] for a blank page.
+ */
+export function findPageColumns(doc, pageIndex) {
+  const page = doc.loadPage(pageIndex);
+  const [x0, y0] = page.getBounds();
+  const pixmap = page.toPixmap(mupdf.Matrix.scale(COLUMN_SCALE, COLUMN_SCALE), mupdf.ColorSpace.DeviceGray, false);
+  const columns = findInkColumns(pixmap.getPixels(), pixmap.getWidth(), pixmap.getHeight(), pixmap.getStride());
+  pixmap.destroy();
+  
+  return columns.map(column => ({
+    page: pageIndex,
+    left: x0 + column.left / COLUMN_SCALE,
+    top: y0 + column.top / COLUMN_SCALE,
+    width: column.width / COLUMN_SCALE,
+    height: column.height / COLUMN_SCALE
+  }));
+}
@@ -0,0 +1,143 @@
+/**
+ * PDF Worker
+ * Runs mupdf off the main thread: opens and lays out a document, streams
+ * each page's structured text HTML and links back as it is extracted,
+ * renders page regions to images, finds the columns of scanned pages and
+ * writes highlights into a copy of the PDF on request.
+ *
+ * Messages in:  { type: 'open', id, data, layout: { width, height, emSize }, password }
+ *               { type: 'load', id, data, layout, password }
+ *               { type: 'cancel', id }
+ *               { type: 'render-regions', id, requests: [{ section, box, scale, padding }] }
+ *               { type: 'annotate', id, annotations: [{ text, boxes, color, note }] }
+ *               { type: 'find-columns', id, page }
+ * Messages out: { type: 'opened', id, pageCount, metadata, outline, laidOut }
+ *               { type: 'page', id, index, pageCount, html, links, width, height, textLength, imageCover }
+ *               { type: 'done', id }
+ *               { type: 'loaded', id }
+ *               { type: 'regions', id, images: [{ section, src, width, height }] }
+ *               { type: 'annotated', id, data, missing }
+ *               { type: 'columns', id, boxes: [{ page, top, left, width, height }] }
+ *               { type: 'error', id, message, needsPassword, wrongPassword }
+ *
+ * Errors about a protected PDF set needsPassword, and wrongPassword when a
+ * password was given but is incorrect. 'opened' reports laidOut: false when
+ * the document could not be laid out; its pages are still extracted, in the
+ * reading order mupdf works out from the page layout. A 'load' with a null
+ * layout skips laying the document out, for documents known to fail it.
+ */
+
+import {
+  openDocument,
+  layoutDocument,
+  extractPage,
+  getDocumentMetadata,
+  getDocumentOutline,
+  renderPageRegion,
+  findPageColumns,
+  addHighlightAnnotations,
+  PasswordError
+} from './pdf-document.js';
+
+// Document currently open, used for rendering regions, and its bytes and
+// password, from which annotated copies are made
+let currentDoc = null;
+let currentData = null;
+let currentPassword = null;
+
+// Id of the extraction in progress; a new 'open' or a 'cancel' replaces it
+let currentJob = null;
+
+// Let queued messages (a cancel or a new document) run between pages
+function yieldToMessages() {
+  return new Promise(resolve => setTimeout(resolve, 0));
+}
+
+// Forget the open document, so a document that fails to open is not
+// rendered from the one before it
+function closeDocument() {
+  currentDoc = null;
+  currentData = null;
+  currentPassword = null;
+}
+
+async function extractDocument(id, data, layout, password) {
+  currentJob = id;
+  closeDocument();
+  currentDoc = openDocument(data, password);
+  currentData = data;
+  currentPassword = password;
+  const doc = currentDoc;
+  const laidOut = layoutDocument(doc, layout);
+  const pageCount = doc.countPages();
+  
+  self.postMessage({
+    type: 'opened',
+    id,
+    pageCount,
+    metadata: getDocumentMetadata(doc),
+    outline: getDocumentOutline(doc),
+    laidOut
+  });
+  
+  for (let i = 0; i < pageCount; i++) {
+    await yieldToMessages();
+    if (currentJob !== id) return;
+    
+    self.postMessage({ type: 'page', id, index: i, pageCount, ...extractPage(doc, i) });
+  }
+  
+  self.postMessage({ type: 'done', id });
+}
+
+function renderRegions(id, requests) {
+  const images = [];
+  
+  for (const request of requests) {
+    try {
+      images.push({ section: request.section, ...renderPageRegion(currentDoc, request.box, request.scale, request.padding) });
+    } catch (err) {
+      console.warn('Could not render page region:', err);
+    }
+  }
+  
+  self.postMessage({ type: 'regions', id, images });
+}
+
+self.addEventListener('message', async e => {
+  const message = e.data;
+  
+  try {
+    if (message.type === 'open') {
+      await extractDocument(message.id, message.data, message.layout, message.password);
+    } else if (message.type === 'load') {
+      // Open without extracting, only to render regions of a cached document
+      currentJob = null;
+      closeDocument();
+      currentDoc = openDocument(message.data, message.password);
+      if (message.layout) layoutDocument(currentDoc, message.layout);
+      currentData = message.data;
+      currentPassword = message.password;
+      self.postMessage({ type: 'loaded', id: message.id });
+    } else if (message.type === 'cancel') {
+      if (currentJob === message.id) currentJob = null;
+    } else if (message.type === 'render-regions') {
+      renderRegions(message.id, message.requests);
+    } else if (message.type === 'annotate') {
+      if (!currentData) throw new Error('No PDF is open');
+      const { data, missing } = addHighlightAnnotations(currentData, message.annotations, currentPassword);
+      self.postMessage({ type: 'annotated', id: message.id, data, missing }, [data.buffer]);
+    } else if (message.type === 'find-columns') {
+      if (!currentDoc) throw new Error('No PDF is open');
+      self.postMessage({ type: 'columns', id: message.id, boxes: findPageColumns(currentDoc, message.page) });
+    }
+  } catch (err) {
+    self.postMessage({
+      type: 'error',
+      id: message.id,
+      message: err.message,
+      needsPassword: err instanceof PasswordError,
+      wrongPassword: err instanceof PasswordError && err.wrongPassword
+    });
+  }
+});
@@ -0,0 +1,229 @@
+/**
+ * Search
+ * Finds text in the parsed sections, so the whole document is searched
+ * even when the virtual reader has not rendered it, and highlights matches
+ * in rendered sections. Matching ignores case, accents, ligatures, runs of
+ * whitespace and hyphens left at line breaks.
+ */
+
+import { getRunsText, escapeHtml } from './parser.js';
+
+// Characters of context shown on each side of a match in the results
+const CONTEXT_LENGTH = 40;
+
+// Results listed at most; the counter still shows every match
+const MAX_LISTED_RESULTS = 200;
+
+/**
+ * Fold text for matching, keeping the index in the original text of each
+ * folded character so matches can be mapped back
+ */
+function foldText(text) {
+  let folded = '';
+  const map = [];
+  let i = 0;
+  
+  while (i < text.length) {
+    const char = String.fromCodePoint(text.codePointAt(i));
+    const next = i + char.length;
+    
+    // A hyphen at a line break between two parts of a word
+    const hyphenBreak = char === '-' && /\p{L}/u.test(text[i - 1] || '') && /^\s+\p{Ll}/u.exec(text.slice(next, next + 4));
+    if (hyphenBreak) {
+      i = next + hyphenBreak[0].length - 1;
+      continue;
+    }
+    
+    if (/\s/.test(char)) {
+      if (folded && !folded.endsWith(' ')) {
+        folded += ' ';
+        map.push(i);
+      }
+    } else if (char !== '\u00AD') {
+      for (const part of char.normalize('NFKD').replace(/\p{M}/gu, '').toLowerCase()) {
+        folded += part;
+        map.push(i);
+      }
+    }
+    i = next;
+  }
+  
+  map.push(text.length);
+  return { folded, map };
+}
+
+/**
+ * Normalize a query the way searched text is folded
+ */
+function foldQuery(query) {
+  return foldText(query.trim()).folded.trim();
+}
+
+/**
+ * Find a folded query in text, as [{ start, end }] offsets in the original text
+ */
+function findInText(text, foldedQuery) {
+  if (!foldedQuery) return [];
+  
+  const { folded, map } = foldText(text);
+  const matches = [];
+  let at = folded.indexOf(foldedQuery);
+  
+  while (at !== -1) {
+    const last = at + foldedQuery.length - 1;
+    matches.push({ start: map[at], end: map[last] + String.fromCodePoint(text.codePointAt(map[last])).length });
+    at = folded.indexOf(foldedQuery, at + foldedQuery.length);
+  }
+  
+  return matches;
+}
+
+/**
+ * Get the text of a list's items and nested lists, which the reader shows
+ * without their markers
+ */
+function getListText(list) {
+  return list.items.map(item =>
+    [getRunsText(item.runs), item.children ? getListText(item.children) : ''].filter(Boolean).join('\n')
+  ).join('\n');
+}
+
+/**
+ * Get the text of a section as the reader shows it
+ */
+function getSearchText(section) {
+  if (section.type === 'footnotes') {
+    return section.footnotes.map(footnote => `${footnote.marker} ${footnote.content}`).join('\n');
+  }
+  if (section.type === 'table') {
+    return [section.content, ...section.lines.map(getRunsText)].filter(Boolean).join('\n');
+  }
+  if (section.type === 'list') {
+    return getListText(section);
+  }
+  return section.content || '';
+}
+
+/**
+ * Search the sections for a query.
+ * Returns every match in document order as { section, index, before, text,
+ * after }, where index counts the matches within its section.
+ */
+export function searchSections(sections, query) {
+  const foldedQuery = foldQuery(query);
+  const results = [];
+  
+  sections.forEach((section, sectionIndex) => {
+    const text = getSearchText(section);
+    findInText(text, foldedQuery).forEach((match, index) => {
+      const before = text.slice(Math.max(0, match.start - CONTEXT_LENGTH), match.start);
+      const after = text.slice(match.end, match.end + CONTEXT_LENGTH);
+      results.push({
+        section: sectionIndex,
+        index,
+        before: (match.start > CONTEXT_LENGTH ? '…' : '') + before.replace(/\s+/g, ' '),
+        text: text.slice(match.start, match.end),
+        after: after.replace(/\s+/g, ' ') + (match.end + CONTEXT_LENGTH < text.length ? '…' : '')
+      });
+    });
+  });
+  
+  return results;
+}
+
+/**
+ * Get the text nodes of an element with their offsets in its text,
+ * leaving out popovers (their text belongs to other sections)
+ */
+export function getTextNodes(el) {
+  const walker = document.createTreeWalker(el, NodeFilter.SHOW_TEXT, {
+    acceptNode: node => node.parentElement.closest('.footnote-popover')
+      ? NodeFilter.FILTER_REJECT
+      : NodeFilter.FILTER_ACCEPT
+  });
+  const nodes = [];
+  let offset = 0;
+  let node;
+  
+  while (node = walker.nextNode()) {
+    nodes.push({ node, start: offset, end: offset + node.data.length });
+    offset += node.data.length;
+  }
+  
+  return { nodes, text: nodes.map(({ node }) => node.data).join('') };
+}
+
+/**
+ * Wrap part of a text node in a match highlight
+ */
+function wrapText(node, start, end, matchIndex) {
+  const range = document.createRange();
+  range.setStart(node, start);
+  range.setEnd(node, end);
+  
+  const mark = document.createElement('mark');
+  mark.className = 'search-match';
+  mark.dataset.match = matchIndex;
+  range.surroundContents(mark);
+}
+
+/**
+ * Highlight a query in the sections rendered inside an element.
+ * Each highlight is tagged with its index within its section; a match
+ * spanning formatted runs is highlighted in parts with the same index.
+ */
+export function highlightMatches(root, query) {
+  const foldedQuery = foldQuery(query);
+  if (!foldedQuery) return;
+  
+  for (const el of root.querySelectorAll('[data-section]')) {
+    const { nodes, text } = getTextNodes(el);
+    const matches = findInText(text, foldedQuery);
+    
+    // Wrap from the end so earlier offsets stay valid as nodes are split
+    for (let m = matches.length - 1; m >= 0; m--) {
+      const { start, end } = matches[m];
+      for (let n = nodes.length - 1; n >= 0; n--) {
+        const part = nodes[n];
+        if (part.end <= start || part.start >= end) continue;
+        wrapText(part.node, Math.max(start, part.start) - part.start, Math.min(end, part.end) - part.start, m);
+      }
+    }
+  }
+}
+
+/**
+ * Remove all match highlights inside an element
+ */
+export function clearHighlights(root) {
+  for (const mark of root.querySelectorAll('mark.search-match')) {
+    const parent = mark.parentNode;
+    mark.replaceWith(...mark.childNodes);
+    parent.normalize();
+  }
+}
+
+/**
+ * Render search results with their context; selecting one calls onSelect
+ * with its position in the results
+ */
+export function renderSearchResults(container, results, onSelect) {
+  if (results.length === 0) {
+    container.innerHTML = '<li class="search-empty">No matches</li>';
+    return;
+  }
+  
+  container.innerHTML = results.slice(0, MAX_LISTED_RESULTS).map((result, position) =>
+    `<li><button type="button" class="search-result" data-result="${position}">` +
+    `${escapeHtml(result.before)}<mark>${escapeHtml(result.text)}</mark>${escapeHtml(result.after)}</button></li>`
+  ).join('');
+  
+  if (results.length > MAX_LISTED_RESULTS) {
+    container.insertAdjacentHTML('beforeend',
+      `<li class="search-empty">Showing the first ${MAX_LISTED_RESULTS} of ${results.length} matches</li>`);
+  }
+  
+  container.querySelectorAll('.search-result').forEach(button => {
+    button.addEventListener('click', () => onSelect(parseInt(button.dataset.result)));
+  });
+}
@@ -0,0 +1,150 @@
+/**
+ * Reader Settings
+ * Typography, margins and theme of the reflowed text. Settings are kept in
+ * localStorage and applied as CSS custom properties and data attributes on
+ * the root element, so changing them never re-parses the document.
+ */
+
+const STORAGE_KEY = 'mobpdf-settings';
+
+/**
+ * Default settings: font family, font size (% of the base size), line
+ * height, justification with hyphenation, side margins (rem), theme and
+ * whether dark themes invert images
+ */
+export const DEFAULT_SETTINGS = {
+  fontFamily: 'sans',
+  fontSize: 100,
+  lineHeight: 1.6,
+  justify: false,
+  margin: 0,
+  theme: 'auto',
+  invertImages: false
+};
+
+const FONT_FAMILIES = {
+  sans: "-apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, Cantarell, sans-serif",
+  serif: "Charter, 'Bitstream Charter', 'Iowan Old Style', Georgia, 'Times New Roman', serif",
+  dyslexic: "OpenDyslexic, 'Atkinson Hyperlegible', Lexend, Verdana, Tahoma, sans-serif"
+};
+
+const THEMES = ['auto', 'light', 'sepia', 'dark', 'black'];
+
+// Settings that change the size of the text, so the reader has to be laid out again
+export const LAYOUT_SETTINGS = ['fontFamily', 'fontSize', 'lineHeight', 'justify', 'margin'];
+
+/**
+ * Keep a value of a known type, falling back to the default
+ */
+function sanitizeSettings(settings) {
+  const result = { ...DEFAULT_SETTINGS };
+  
+  for (const key of Object.keys(DEFAULT_SETTINGS)) {
+    if (typeof settings[key] === typeof DEFAULT_SETTINGS[key]) {
+      result[key] = settings[key];
+    }
+  }
+  
+  if (!FONT_FAMILIES[result.fontFamily]) result.fontFamily = DEFAULT_SETTINGS.fontFamily;
+  if (!THEMES.includes(result.theme)) result.theme = DEFAULT_SETTINGS.theme;
+  return result;
+}
+
+/**
+ * Read the saved settings, or the defaults
+ */
+export function loadSettings() {
+  try {
+    return sanitizeSettings(JSON.parse(localStorage.getItem(STORAGE_KEY)) || {});
+  } catch (err) {
+    console.warn('Could not read settings:', err);
+    return { ...DEFAULT_SETTINGS };
+  }
+}
+
+export function saveSettings(settings) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+  } catch (err) {
+    console.warn('Could not save settings:', err);
+  }
+}
+
+/**
+ * Apply settings to the page; 'auto' follows the system colour scheme
+ */
+export function applySettings(settings, root = document.documentElement) {
+  if (settings.theme === 'auto') {
+    delete root.dataset.theme;
+  } else {
+    root.dataset.theme = settings.theme;
+  }
+  root.toggleAttribute('data-invert-images', settings.invertImages);
+  
+  const dyslexic = settings.fontFamily === 'dyslexic';
+  root.style.setProperty('--reader-font', FONT_FAMILIES[settings.fontFamily]);
+  root.style.setProperty('--reader-font-size', `${settings.fontSize / 100}rem`);
+  root.style.setProperty('--reader-line-height', String(settings.lineHeight));
+  root.style.setProperty('--reader-letter-spacing', dyslexic ? '0.05em' : 'normal');
+  root.style.setProperty('--reader-word-spacing', dyslexic ? '0.15em' : 'normal');
+  root.style.setProperty('--reader-align', settings.justify ? 'justify' : 'left');
+  root.style.setProperty('--reader-hyphens', settings.justify ? 'auto' : 'manual');
+  root.style.setProperty('--reader-margin', `${settings.margin}rem`);
+}
+
+/**
+ * Read settings from the form; fields are named after the settings
+ */
+function readSettingsForm(form) {
+  const settings = {};
+  
+  for (const key of Object.keys(DEFAULT_SETTINGS)) {
+    const field = form.elements[key];
+    if (!field) continue;
+    
+    if (typeof DEFAULT_SETTINGS[key] === 'boolean') {
+      settings[key] = field.checked;
+    } else if (typeof DEFAULT_SETTINGS[key] === 'number') {
+      settings[key] = parseFloat(field.value);
+    } else {
+      settings[key] = field.value;
+    }
+  }
+  
+  return sanitizeSettings(settings);
+}
+
+/**
+ * Show a range's value in its output element (output[data-for=name])
+ */
+function updateOutputs(form, settings) {
+  for (const output of form.querySelectorAll('output[data-for]')) {
+    const key = output.dataset.for;
+    output.textContent = key === 'fontSize' ? `${settings[key]}%` : String(settings[key]);
+  }
+}
+
+/**
+ * Fill the settings form and call onChange with the new settings whenever
+ * a field changes
+ */
+export function bindSettingsForm(form, settings, onChange) {
+  for (const key of Object.keys(settings)) {
+    const field = form.elements[key];
+    if (!field) continue;
+    
+    if (typeof settings[key] === 'boolean') {
+      field.checked = settings[key];
+    } else {
+      field.value = String(settings[key]);
+    }
+  }
+  updateOutputs(form, settings);
+  
+  form.addEventListener('input', () => {
+    const changed = readSettingsForm(form);
+    updateOutputs(form, changed);
+    onChange(changed);
+  });
+  form.addEventListener('submit', e => e.preventDefault());
+}
@@ -0,0 +1,192 @@
+/**
+ * Source View
+ * Shows the part of the original page a section was reflowed from, so text
+ * the reflow mangled can be checked against the PDF. Sections keep the boxes
+ * of their lines on each page; these are rendered by the PDF worker, or the
+ * whole pages when asked, and can be zoomed with a pinch.
+ */
+
+// Render scale per device pixel; 2x leaves room to zoom in before blurring
+const SOURCE_SCALE = 2;
+
+// Device pixel ratios above this are not worth the memory of a full page
+const MAX_PIXEL_RATIO = 2;
+
+// Space (points) kept around a section, as text widths are only estimated
+const SOURCE_PADDING = 24;
+
+// How long a press lasts, and how far (px) it may move, to be a long press
+const LONG_PRESS_DELAY = 500;
+const LONG_PRESS_TOLERANCE = 10;
+
+const MIN_ZOOM = 1;
+const MAX_ZOOM = 6;
+
+/**
+ * List the page regions to render for a section: one box per page covering
+ * its lines there, or the whole pages when fullPage is set
+ */
+export function getSourceRequests(sections, sectionIndex, { fullPage = false, pixelRatio = 1 } = {}) {
+  const scale = Math.min(pixelRatio, MAX_PIXEL_RATIO) * SOURCE_SCALE;
+  const pages = new Map();
+  
+  for (const box of sections[sectionIndex].sources || []) {
+    const merged = pages.get(box.page);
+    if (!merged) {
+      pages.set(box.page, { page: box.page, top: box.top, left: box.left, width: box.width, height: box.height });
+      continue;
+    }
+    
+    const right = Math.max(merged.left + merged.width, box.left + box.width);
+    const bottom = Math.max(merged.top + merged.height, box.top + box.height);
+    merged.left = Math.min(merged.left, box.left);
+    merged.top = Math.min(merged.top, box.top);
+    merged.width = right - merged.left;
+    merged.height = bottom - merged.top;
+  }
+  
+  return [...pages.values()].map(box => ({
+    section: sectionIndex,
+    box: fullPage ? { page: box.page } : box,
+    scale,
+    padding: SOURCE_PADDING
+  }));
+}
+
+/**
+ * Show rendered regions, or a note when there are none
+ */
+export function renderSourceImages(container, images) {
+  if (images.length === 0) {
+    container.innerHTML = '<p class="source-status">The original page is not available for this section</p>';
+    return;
+  }
+  
+  container.innerHTML = images.map(image =>
+    `<img class="source-image" src="${image.src}" alt="" style="aspect-ratio: ${image.width} / ${image.height}" />`
+  ).join('');
+}
+
+/**
+ * Call onLongPress with the pressed element when a pointer is held still.
+ * The click ending a long press is swallowed, and so is the context menu
+ * touch screens open for it.
+ */
+export function bindLongPress(element, onLongPress) {
+  let timer = null;
+  let start = null;
+  let pressed = false;
+  
+  const cancel = () => {
+    clearTimeout(timer);
+    timer = null;
+  };
+  
+  // A long press on touch screens also selects text, which is left to the
+  // browser so the text can be highlighted
+  const fire = target => {
+    cancel();
+    if (!window.getSelection().isCollapsed) return;
+    pressed = true;
+    onLongPress(target);
+  };
+  
+  element.addEventListener('pointerdown', e => {
+    cancel();
+    pressed = false;
+    if (!e.isPrimary || e.button !== 0) return;
+    
+    start = { x: e.clientX, y: e.clientY };
+    timer = setTimeout(() => fire(e.target), LONG_PRESS_DELAY);
+  });
+  element.addEventListener('pointermove', e => {
+    if (timer && Math.hypot(e.clientX - start.x, e.clientY - start.y) > LONG_PRESS_TOLERANCE) cancel();
+  });
+  element.addEventListener('pointerup', cancel);
+  element.addEventListener('pointercancel', cancel);
+  window.addEventListener('scroll', cancel, { passive: true });
+  
+  // Some browsers open their menu before the timer runs out
+  element.addEventListener('contextmenu', e => {
+    if (timer) fire(e.target);
+    if (pressed) e.preventDefault();
+  });
+  element.addEventListener('click', e => {
+    if (!pressed) return;
+    pressed = false;
+    e.preventDefault();
+    e.stopPropagation();
+  }, true);
+}
+
+/**
+ * Zoom content inside a scrolling viewport with a two-finger pinch (or a
+ * trackpad pinch), keeping the point between the fingers in place.
+ * onZoom, when given, is called with each new zoom. Returns { reset }.
+ */
+export function bindPinchZoom(viewport, content, onZoom = null) {
+  const pointers = new Map();
+  let zoom = MIN_ZOOM;
+  let pinch = null;
+  
+  const getPinch = () => {
+    const [a, b] = [...pointers.values()];
+    return {
+      distance: Math.hypot(a.x - b.x, a.y - b.y),
+      x: (a.x + b.x) / 2,
+      y: (a.y + b.y) / 2
+    };
+  };
+  
+  function setZoom(value, originX, originY) {
+    const next = Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, value));
+    const rect = viewport.getBoundingClientRect();
+    const x = originX - rect.left;
+    const y = originY - rect.top;
+    const ratio = next / zoom;
+    
+    zoom = next;
+    content.style.width = `${zoom * 100}%`;
+    viewport.scrollLeft = (viewport.scrollLeft + x) * ratio - x;
+    viewport.scrollTop = (viewport.scrollTop + y) * ratio - y;
+    if (onZoom) onZoom(zoom);
+  }
+  
+  viewport.addEventListener('pointerdown', e => {
+    pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+    if (pointers.size === 2) pinch = { ...getPinch(), zoom };
+  });
+  viewport.addEventListener('pointermove', e => {
+    if (!pointers.has(e.pointerId)) return;
+    
+    pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+    if (pinch && pointers.size === 2) {
+      const current = getPinch();
+      setZoom(pinch.zoom * current.distance / pinch.distance, current.x, current.y);
+    }
+  });
+  
+  const release = e => {
+    pointers.delete(e.pointerId);
+    if (pointers.size < 2) pinch = null;
+  };
+  viewport.addEventListener('pointerup', release);
+  viewport.addEventListener('pointercancel', release);
+  
+  // Trackpad pinches arrive as wheel events with the control key
+  viewport.addEventListener('wheel', e => {
+    if (!e.ctrlKey) return;
+    e.preventDefault();
+    setZoom(zoom * Math.exp(-e.deltaY / 100), e.clientX, e.clientY);
+  }, { passive: false });
+  
+  function reset() {
+    pointers.clear();
+    pinch = null;
+    zoom = MIN_ZOOM;
+    content.style.width = '';
+    viewport.scrollTo(0, 0);
+  }
+  
+  return { reset };
+}
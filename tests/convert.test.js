@@ -0,0 +1,82 @@
+/**
+ * Converter Tests using Jest
+ */
+
+import { describe, test, expect } from '@jest/globals';
+import mupdf from 'mupdf';
+import { execFileSync } from 'child_process';
+import { readFileSync, writeFileSync, mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { formatDocument } from '../convert.js';
+import { parseHTMLIntoBlocks } from '../parser.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const CONVERT = join(__dirname, '..', 'convert.js');
+
+// A one-page PDF with a line of text, titled in its metadata
+function createPDF() {
+  const doc = new mupdf.PDFDocument();
+  const resources = doc.newDictionary();
+  const fonts = doc.newDictionary();
+  fonts.put('F1', doc.addSimpleFont(new mupdf.Font('Helvetica')));
+  resources.put('Font', fonts);
+  const content = 'BT /F1 12 Tf 72 700 Td (Deep clustering learns visual features without any labels.) Tj ET';
+  doc.insertPage(-1, doc.addPage([0, 0, 612, 792], 0, resources, content));
+  doc.setMetaData('info:Title', 'Deep Clustering & Features');
+  return doc.saveToBuffer().asUint8Array().slice();
+}
+
+describe('Converter Tests', () => {
+  test('a parsed fixture should be written as JSON, HTML and Markdown', () => {
+    const referencesHTML = readFileSync(join(__dirname, 'mock-references.html'), 'utf-8');
+    const sections = parseHTMLIntoBlocks(referencesHTML);
+    const parsed = { sections, metadata: { title: 'Clustering & Features' }, outline: [] };
+    
+    const json = JSON.parse(formatDocument(parsed, 'json', 'Clustering & Features'));
+    expect(json.metadata.title).toBe('Clustering & Features');
+    expect(json.outline).toEqual([]);
+    expect(json.sections.map(s => s.type)).toEqual(sections.map(s => s.type));
+    expect(json.sections.find(s => s.type === 'bibliography').entries.map(entry => entry.label)).toEqual(['1', '2', '3']);
+    
+    const html = formatDocument(parsed, 'html', 'Clustering & Features');
+    expect(html.startsWith('<!DOCTYPE html>')).toBe(true);
+    expect(html).toContain('<title>Clustering &amp; Features</title>');
+    expect(html).toContain('<ol class="bibliography"');
+    expect(html).toContain('<li id="ref-1-2"><span class="reference-label">[2]</span> Bojanowski');
+    
+    const markdown = formatDocument(parsed, 'markdown', 'Clustering & Features');
+    expect(markdown).toContain('# References\n');
+    expect(markdown).toContain('- \\[2\\] Bojanowski, P., Joulin, A.: Unsupervised learning by predicting noise. In: ICML (2017)');
+    expect(markdown).toContain('never at this scale \\[1-3\\].');
+  });
+
+  test('the command should convert a PDF file in each format', () => {
+    const dir = mkdtempSync(join(tmpdir(), 'mobpdf-convert-'));
+    try {
+      const file = join(dir, 'paper.pdf');
+      writeFileSync(file, createPDF());
+      const convert = (...args) => execFileSync(process.execPath, [CONVERT, file, ...args], { encoding: 'utf-8', timeout: 60000 });
+      
+      const json = JSON.parse(convert('--format', 'json'));
+      expect(json.metadata.title).toBe('Deep Clustering & Features');
+      expect(json.sections.map(s => s.content)).toContain('Deep clustering learns visual features without any labels.');
+      
+      const output = join(dir, 'paper.html');
+      expect(convert('-f', 'html', '-o', output)).toBe('');
+      const html = readFileSync(output, 'utf-8');
+      expect(html).toContain('<title>Deep Clustering &amp; Features</title>');
+      expect(html).toContain('Deep clustering learns visual features without any labels.');
+      
+      expect(convert()).toContain('Deep clustering learns visual features without any labels.');
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('the command should fail with its usage on a bad format', () => {
+    expect(() => execFileSync(process.execPath, [CONVERT, 'paper.pdf', '--format', 'docx'], { stdio: 'pipe', timeout: 60000 }))
+      .toThrow(/Expected one PDF file and a format of json, html, markdown, text/);
+  });
+});
@@ -0,0 +1,81 @@
+/**
+ * EPUB Export Tests using Jest
+ */
+
+import { describe, test, expect } from '@jest/globals';
+import { parseHTMLIntoBlocks } from '../parser.js';
+import { buildEPUBFiles } from '../epub.js';
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+function loadSections(name) {
+  return parseHTMLIntoBlocks(readFileSync(join(__dirname, name), 'utf-8'));
+}
+
+function getFile(files, name) {
+  return files.find(file => file.name === name);
+}
+
+function expectWellFormed(xml) {
+  const doc = new DOMParser().parseFromString(xml, 'application/xml');
+  expect(doc.getElementsByTagName('parsererror').length).toBe(0);
+  return doc;
+}
+
+const METADATA = { title: 'A Thesis', author: 'Jane Doe', identifier: 'urn:test:1' };
+
+describe('EPUB Export Tests', () => {
+  test('package should list chapters split at top-level headings', () => {
+    const sections = loadSections('mock-thesis.html');
+    const files = buildEPUBFiles(sections, METADATA);
+    
+    expect(files[0]).toEqual({ name: 'mimetype', data: 'application/epub+zip' });
+    expect(getFile(files, 'META-INF/container.xml').data).toContain('OEBPS/content.opf');
+    
+    const opf = expectWellFormed(getFile(files, 'OEBPS/content.opf').data);
+    expect(opf.getElementsByTagName('dc:title')[0].textContent).toBe('A Thesis');
+    expect(opf.getElementsByTagName('dc:creator')[0].textContent).toBe('Jane Doe');
+    
+    const chapters = files.filter(file => /^OEBPS\/chapter-\d+\.xhtml$/.test(file.name));
+    expect(opf.getElementsByTagName('itemref').length).toBe(chapters.length);
+    for (const chapter of chapters) {
+      expectWellFormed(chapter.data);
+    }
+    
+    const chapterWithHeading = chapters.find(chapter => chapter.data.includes('1 Introduction</h'));
+    expect(chapterWithHeading.data).toContain('1.1 Motivation');
+  });
+
+  test('nav document should link to the headings', () => {
+    const sections = loadSections('mock-thesis.html');
+    const files = buildEPUBFiles(sections, METADATA);
+    const nav = expectWellFormed(getFile(files, 'OEBPS/nav.xhtml').data);
+    
+    const links = [...nav.getElementsByTagName('a')];
+    expect(links.map(link => link.textContent)).toEqual(['1 Introduction', '1.1 Motivation']);
+    for (const link of links) {
+      const [file, id] = link.getAttribute('href').split('#');
+      expect(getFile(files, `OEBPS/${file}`).data).toContain(`id="${id}"`);
+    }
+  });
+
+  test('embedded images should become files and footnotes note links', () => {
+    const figures = buildEPUBFiles(loadSections('mock-figures.html'), METADATA);
+    const images = figures.filter(file => file.name.startsWith('OEBPS/images/'));
+    expect(images.length).toBeGreaterThan(0);
+    expect(images[0].data).toBeInstanceOf(Uint8Array);
+    
+    const xhtml = figures.filter(file => file.name.endsWith('.xhtml')).map(file => file.data).join('');
+    expect(xhtml).not.toContain('data:image');
+    expect(getFile(figures, 'OEBPS/content.opf').data).toContain(`href="${images[0].name.slice('OEBPS/'.length)}"`);
+    
+    const footnotes = buildEPUBFiles(loadSections('mock-footnotes.html'), METADATA);
+    const text = footnotes.filter(file => file.name.endsWith('.xhtml')).map(file => file.data).join('');
+    expect(text).toContain('epub:type="noteref"');
+    expect(text).not.toContain('popover');
+  });
+});
@@ -0,0 +1,129 @@
+/**
+ * Highlights Tests using Jest
+ */
+
+import { describe, test, expect } from '@jest/globals';
+import { parseHTMLIntoBlocks, renderSections } from '../parser.js';
+import {
+  createHighlight,
+  anchorHighlights,
+  applyHighlights,
+  exportHighlightsJSON,
+  exportHighlightsMarkdown,
+  getAnnotationRequests
+} from '../highlights.js';
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+function loadSections(name) {
+  return parseHTMLIntoBlocks(readFileSync(join(__dirname, name), 'utf-8'));
+}
+
+// Render sections and select a phrase in the first section containing it
+function selectText(sections, phrase) {
+  const root = document.createElement('div');
+  root.innerHTML = renderSections(sections);
+
+  const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+  let node;
+  while (node = walker.nextNode()) {
+    const at = node.data.indexOf(phrase);
+    if (at === -1) continue;
+    
+    const range = document.createRange();
+    range.setStart(node, at);
+    range.setEnd(node, at + phrase.length);
+    return { root, range };
+  }
+  throw new Error(`Text not found: ${phrase}`);
+}
+
+describe('Highlights Tests', () => {
+  test('selections should become highlights anchored by offsets and context', () => {
+    const sections = loadSections('mock-footnotes.html');
+    const { range } = selectText(sections, 'report the average');
+    const highlight = createHighlight(range, 'green');
+    
+    const section = sections.findIndex(s => s.content.includes('report the average'));
+    expect(highlight).toEqual(expect.objectContaining({ section, color: 'green', note: '', text: 'report the average' }));
+    expect(highlight.prefix.endsWith('full dataset1 and ')).toBe(true);
+    expect(highlight.suffix.startsWith(' over five runs')).toBe(true);
+    
+    // Footnote markers count, popover text does not
+    expect(highlight.start).toBe('We train on the full dataset1 and '.length);
+  });
+
+  test('highlights should be marked in rendered sections', () => {
+    const sections = loadSections('mock-formatting.html');
+    const { root, range } = selectText(sections, 'very important');
+    const highlight = createHighlight(range, 'pink');
+    
+    const rendered = document.createElement('div');
+    rendered.innerHTML = renderSections(sections);
+    applyHighlights(rendered, [highlight, { ...highlight, id: 'gone', orphaned: true }]);
+    
+    const marks = rendered.querySelectorAll('mark.highlight');
+    expect(marks.length).toBe(1);
+    expect(marks[0].textContent).toBe('very important');
+    expect(marks[0].dataset).toEqual(expect.objectContaining({ highlight: highlight.id, color: 'pink' }));
+    expect(root.textContent).toBe(rendered.textContent);
+  });
+
+  test('highlights should be found again after the sections change', () => {
+    const sections = loadSections('mock-lists.html');
+    const { range } = selectText(sections, 'transfer to object detection');
+    const highlight = createHighlight(range, 'yellow');
+    
+    // Unchanged sections keep the anchor
+    expect(anchorHighlights(sections, [highlight])).toEqual({ highlights: [highlight], changed: false });
+    
+    // A section inserted before it moves the highlight along
+    const inserted = [{ ...sections[0] }, ...sections];
+    const moved = anchorHighlights(inserted, [highlight]);
+    expect(moved.changed).toBe(true);
+    expect(moved.highlights[0]).toEqual({ ...highlight, section: highlight.section + 1 });
+    
+    // Text that is gone leaves the highlight orphaned, keeping its note
+    const removed = sections.filter((s, i) => i !== highlight.section);
+    const orphaned = anchorHighlights(removed, [{ ...highlight, note: 'Check this' }]);
+    expect(orphaned.highlights[0]).toEqual(expect.objectContaining({ orphaned: true, note: 'Check this' }));
+    
+    // and is anchored again once the text is back
+    expect(anchorHighlights(sections, orphaned.highlights).highlights[0].orphaned).toBeUndefined();
+  });
+
+  test('highlights should export as JSON, Markdown and PDF annotations', () => {
+    const sections = loadSections('mock-footnotes.html');
+    const highlight = { ...createHighlight(selectText(sections, 'report the average').range, 'blue'), note: 'Five seeds only' };
+    const metadata = { title: 'A Paper', author: 'Jane Doe' };
+    
+    const json = JSON.parse(exportHighlightsJSON(sections, [highlight], metadata));
+    expect(json.title).toBe('A Paper');
+    expect(json.highlights[0]).toEqual(expect.objectContaining({ text: 'report the average', note: 'Five seeds only', page: 1 }));
+    
+    expect(exportHighlightsMarkdown(sections, [highlight], metadata)).toBe([
+      '# A Paper',
+      '',
+      '*Jane Doe*',
+      '',
+      '## 1 Introduction',
+      '',
+      '> report the average (p. 1)',
+      '',
+      'Five seeds only',
+      ''
+    ].join('\n'));
+    
+    const [annotation] = getAnnotationRequests(sections, [highlight, { ...highlight, orphaned: true }]);
+    expect(annotation).toEqual({
+      text: 'report the average',
+      boxes: sections[highlight.section].sources,
+      color: [0.45, 0.75, 0.99],
+      note: 'Five seeds only'
+    });
+  });
+});
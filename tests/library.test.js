@@ -0,0 +1,114 @@
+/**
+ * Library Tests using Jest
+ * Runs in node, as fake-indexeddb schedules its work with setImmediate
+ *
+ * @jest-environment node
+ */
+
+import { describe, test, expect } from '@jest/globals';
+import { indexedDB } from 'fake-indexeddb';
+import {
+  saveDocument,
+  getDocument,
+  getDocumentFile,
+  listDocuments,
+  savePosition,
+  getParsedDocument,
+  saveParsedDocument,
+  getHighlights,
+  saveHighlights,
+  deleteDocument
+} from '../library.js';
+
+global.indexedDB = indexedDB;
+
+const view = { mode: 'reflow', pages: [{ width: 612, height: 792 }] };
+
+function addDocument(id, title = 'A Paper') {
+  return saveDocument({ id, title, author: 'A. Author', fileName: `${id}.pdf`, pageCount: 1 }, new Uint8Array([1, 2, 3]));
+}
+
+// Write a record straight into a store of the library's database
+function putRecord(storeName, record) {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open('mobpdf-library');
+    request.onerror = () => reject(request.error);
+    request.onsuccess = () => {
+      const db = request.result;
+      const transaction = db.transaction([storeName], 'readwrite');
+      transaction.objectStore(storeName).put(record);
+      transaction.oncomplete = () => {
+        db.close();
+        resolve();
+      };
+      transaction.onerror = () => reject(transaction.error);
+    };
+  });
+}
+
+describe('Library Tests', () => {
+  test('documents should be stored with their files', async () => {
+    await addDocument('doc-1');
+    
+    const doc = await getDocument('doc-1');
+    expect(doc).toEqual(expect.objectContaining({ title: 'A Paper', pageCount: 1, position: null }));
+    expect([...await getDocumentFile('doc-1')]).toEqual([1, 2, 3]);
+    expect((await listDocuments()).map(entry => entry.id)).toContain('doc-1');
+  });
+
+  test('reading positions should be saved and kept when a document is added again', async () => {
+    await addDocument('doc-2');
+    await savePosition('doc-2', { section: 12, offset: 0.5, progress: 0.4 });
+    expect((await getDocument('doc-2')).position).toEqual({ section: 12, offset: 0.5, progress: 0.4 });
+    
+    await addDocument('doc-2', 'A Renamed Paper');
+    const doc = await getDocument('doc-2');
+    expect(doc.title).toBe('A Renamed Paper');
+    expect(doc.position).toEqual({ section: 12, offset: 0.5, progress: 0.4 });
+    
+    // Positions of documents not in the library are dropped
+    await savePosition('missing', { section: 1, offset: 0, progress: 0 });
+    expect(await getDocument('missing')).toBeUndefined();
+  });
+
+  test('parse results from an older parser should be ignored', async () => {
+    const sections = [{ type: 'paragraph', content: 'Cached text', images: [] }];
+    await saveParsedDocument('doc-3', sections, [], view);
+    expect(await getParsedDocument('doc-3')).toEqual({ sections, outline: [], view });
+    
+    await putRecord('parsed', { id: 'doc-3', version: 1, sections, outline: [], view });
+    expect(await getParsedDocument('doc-3')).toBe(null);
+    
+    await putRecord('parsed', { id: 'doc-4', sections, outline: [], view });
+    expect(await getParsedDocument('doc-4')).toBe(null);
+  });
+
+  test('the text of protected PDFs should not be cached', async () => {
+    const sections = [{ type: 'paragraph', content: 'Secret text', images: [] }];
+    await saveDocument({ id: 'doc-7', title: 'Locked', fileName: 'locked.pdf', pageCount: 1, isProtected: true }, new Uint8Array([1]));
+    await saveParsedDocument('doc-7', sections, [], view);
+    expect(await getParsedDocument('doc-7')).toBe(null);
+    
+    // Nor is a parse result written before the PDF was known to be protected shown
+    await putRecord('parsed', { id: 'doc-7', version: 3, sections, outline: [], view });
+    expect(await getParsedDocument('doc-7')).toBe(null);
+  });
+
+  test('deleting a document should remove its file, parse result and highlights', async () => {
+    await addDocument('doc-5');
+    await saveParsedDocument('doc-5', [], [], view);
+    await saveHighlights('doc-5', [{ id: 'h-1', section: 0, start: 0, end: 4 }]);
+    await addDocument('doc-6');
+    await saveHighlights('doc-6', [{ id: 'h-2', section: 0, start: 0, end: 4 }]);
+    
+    await deleteDocument('doc-5');
+    expect(await getDocument('doc-5')).toBeUndefined();
+    expect(await getDocumentFile('doc-5')).toBe(null);
+    expect(await getParsedDocument('doc-5')).toBe(null);
+    expect(await getHighlights('doc-5')).toEqual([]);
+    
+    // Other documents are left alone
+    expect(await getDocument('doc-6')).toBeDefined();
+    expect(await getHighlights('doc-6')).toHaveLength(1);
+  });
+});
@@ -0,0 +1,37 @@
+/**
+ * Page Viewer Tests using Jest
+ */
+
+import { describe, test, expect } from '@jest/globals';
+import { getViewMode } from '../page-viewer.js';
+
+function pagesWithText(...textLengths) {
+  return textLengths.map(textLength => ({ width: 612, height: 792, textLength, imageCover: 0 }));
+}
+
+describe('Page Viewer Tests', () => {
+  test('documents with text that were laid out should be reflowed', () => {
+    expect(getViewMode(true, pagesWithText(2400, 3100, 1800))).toBe('reflow');
+  });
+
+  test('documents that could not be laid out should be reflowed from the page layout', () => {
+    expect(getViewMode(false, pagesWithText(2400, 3100, 1800))).toBe('untagged');
+  });
+
+  test('documents whose pages are mostly images should be shown as pages', () => {
+    // Scans may have a few stray characters, or text on the cover only
+    expect(getViewMode(false, pagesWithText(0, 3, 0, 0))).toBe('scanned');
+    expect(getViewMode(true, pagesWithText(900, 0, 0, 0))).toBe('scanned');
+    expect(getViewMode(false, pagesWithText(900, 1200, 0, 800))).toBe('untagged');
+  });
+
+  test('documents whose text was recognised from scans should be reflowed from the page layout', () => {
+    const recognised = pagesWithText(2400, 3100, 1800).map(page => ({ ...page, imageCover: 1 }));
+    expect(getViewMode(true, recognised)).toBe('untagged');
+    expect(getViewMode(true, [...recognised.slice(0, 1), ...pagesWithText(2400, 3100)])).toBe('reflow');
+  });
+
+  test('empty documents should not be treated as scanned', () => {
+    expect(getViewMode(true, [])).toBe('reflow');
+  });
+});
@@ -3,7 +3,7 @@
  */
 
 import { describe, test, expect } from '@jest/globals';
-import { parseHTMLIntoBlocks, renderSections } from '../parser.js';
+import { parseHTMLIntoBlocks, renderSections, getSectionPages, getRunsText, findSectionAtLocation, findSectionByAnchor, renderMarkdown, renderPlainText } from '../parser.js';
 import { readFileSync } from 'fs';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
@@ -47,7 +47,7 @@ describe('Parser Component Tests', () => {
     const titleSection = findSection(sections, 'Deep Clustering for Unsupervised Learning');
     expect(titleSection).toBeDefined();
     expect(titleSection.type).toBe('heading');
-    expect(titleSection.level).toBe(3);
+    expect(titleSection.level).toBe(1);
   });
 
   test('title should contain full text', () => {
@@ -109,12 +109,6 @@ describe('Parser Component Tests', () => {
     );
     expect(hasPageMarker).toBe(false);
     
-    // But content inside page markers should still be parsed
-    const hasContent = pageChangeSections.some(s => 
-      s.content && s.content.includes('Deep Clustering for Unsupervised Learning of Visual Features')
-    );
-    expect(hasContent).toBe(true);
-    
     // Content from both pages should be present
     const hasPage1Content = pageChangeSections.some(s => 
       s.content && s.content.includes('impact of these choices')
@@ -126,6 +120,536 @@ describe('Parser Component Tests', () => {
     expect(hasPage2Content).toBe(true);
   });
 
+  test('running header and page number should be stripped at page change', () => {
+    const pageChangeHTML = readFileSync(join(__dirname, 'mock-page-change.html'), 'utf-8');
+    const pageChangeSections = parseHTMLIntoBlocks(pageChangeHTML);
+    
+    const hasRunningHeader = pageChangeSections.some(s => 
+      s.content && s.content.includes('Deep Clustering for Unsupervised Learning of Visual Features')
+    );
+    expect(hasRunningHeader).toBe(false);
+    
+    const hasPageNumber = pageChangeSections.some(s => 
+      s.content && /(^|\s)3(\s|$)/.test(s.content)
+    );
+    expect(hasPageNumber).toBe(false);
+  });
+
+  test('paragraphs should be merged across page boundaries', () => {
+    const pageChangeHTML = readFileSync(join(__dirname, 'mock-page-change.html'), 'utf-8');
+    const pageChangeSections = parseHTMLIntoBlocks(pageChangeHTML);
+    
+    const merged = findSection(pageChangeSections, 'unsupervised methods. We demonstrate');
+    expect(merged).toBeDefined();
+    expect(merged.type).toBe('paragraph');
+    expect(getSectionPages(merged)).toEqual([1, 2]);
+  });
+
+  test('paragraphs ending at a page break should not be merged with the next page', () => {
+    const breaksHTML = readFileSync(join(__dirname, 'mock-page-breaks.html'), 'utf-8');
+    const contents = parseHTMLIntoBlocks(breaksHTML).map(s => s.content.trim());
+    
+    // A full stop inside closing quotes ends the paragraph
+    expect(contents).toContain('At the bottom of the page the guard told them "stop."');
+    expect(contents).toContain('Then a new paragraph starts at the top of the page.');
+    
+    // So does a formula when the next page starts a capitalised paragraph
+    expect(contents).toContain('The total is given by the formula x = y + 1');
+    expect(contents).toContain('The result follows from the formula on the page before.');
+    
+    expect(contents).toContain('This sentence does not end at the bottom of the page and goes on across the page break to finish on the next one.');
+  });
+
+  test('intra-word hyphens should be kept', () => {
+    const linesHTML = readFileSync(join(__dirname, 'mock-lines.html'), 'utf-8');
+    const rendered = renderSections(parseHTMLIntoBlocks(linesHTML));
+    expect(rendered).toContain('end-to-end');
+  });
+
+  test('text repeated in the margins of several pages should be stripped', () => {
+    const headersHTML = readFileSync(join(__dirname, 'mock-running-headers.html'), 'utf-8');
+    const headerSections = parseHTMLIntoBlocks(headersHTML);
+    const rendered = renderSections(headerSections);
+    
+    expect(rendered).not.toContain('Journal of Reflow Studies');
+    expect(rendered).not.toContain('of 3');
+    expect(rendered).toContain('A Study of Running Heads');
+    expect(rendered).toContain('The second page starts below the running head.');
+    expect(rendered).toContain('The third page also starts below the running head.');
+  });
+
+  test('words and section numbers that read as roman numerals should stay in the margins', () => {
+    const romanHTML = readFileSync(join(__dirname, 'mock-roman-margins.html'), 'utf-8');
+    const romanSections = parseHTMLIntoBlocks(romanHTML);
+    const contents = romanSections.map(s => s.content.trim());
+    const text = contents.join('\n');
+    
+    expect(text).toMatch(/^II\b/m);
+    expect(text).toMatch(/^did$/m);
+    expect(text).toMatch(/^Mix$/m);
+    expect(text).toContain('The second part starts right below its number.');
+    
+    // Roman page numbers running through the footers are still stripped
+    expect(contents).not.toContain('i');
+    expect(contents).not.toContain('ii');
+    expect(contents).not.toContain('iii');
+  });
+
+  test('two-column pages should be read column by column', () => {
+    const columnsHTML = readFileSync(join(__dirname, 'mock-two-column.html'), 'utf-8');
+    const rendered = renderSections(parseHTMLIntoBlocks(columnsHTML));
+    
+    const order = [
+      'Two Column Layouts in Practice',
+      'The left column opens the discussion and keeps going on the second line before ending on the third line.',
+      'The right column continues the story with its own second line of text and closes on its third line.',
+      '<img',
+      'Left column text below the figure.',
+      'Right column text below the figure.'
+    ].map(text => rendered.indexOf(text));
+    
+    expect(order.every(index => index >= 0)).toBe(true);
+    expect([...order].sort((a, b) => a - b)).toEqual(order);
+  });
+
+  test('headings should be ranked relative to the body text', () => {
+    const thesisHTML = readFileSync(join(__dirname, 'mock-thesis.html'), 'utf-8');
+    const thesisSections = parseHTMLIntoBlocks(thesisHTML);
+    
+    const chapter = findSection(thesisSections, '1 Introduction');
+    expect(chapter.type).toBe('heading');
+    expect(chapter.level).toBe(1);
+    
+    const subsection = findSection(thesisSections, '1.1 Motivation');
+    expect(subsection.type).toBe('heading');
+    expect(subsection.level).toBe(2);
+    
+    const emphasis = findSection(thesisSections, 'This bold sentence is emphasised');
+    expect(emphasis.type).toBe('paragraph');
+  });
+
+  test('heading thresholds should be overridable through options', () => {
+    const thesisHTML = readFileSync(join(__dirname, 'mock-thesis.html'), 'utf-8');
+    const thesisSections = parseHTMLIntoBlocks(thesisHTML, { headingSizeRatio: 1.5, boldHeadings: false });
+    
+    expect(findSections(thesisSections, s => s.type === 'heading').length).toBe(0);
+  });
+
+  test('inline formatting should be preserved through merging', () => {
+    const formattingHTML = readFileSync(join(__dirname, 'mock-formatting.html'), 'utf-8');
+    const formattingSections = parseHTMLIntoBlocks(formattingHTML);
+    
+    // Both lines form one paragraph whose content stays plain text
+    expect(formattingSections.length).toBe(1);
+    const paragraph = formattingSections[0];
+    expect(paragraph.content).toContain('loss over k clusters with cost x2 and the very important call');
+    expect(paragraph.runs.find(run => run.text === 'k').italic).toBe(true);
+    
+    const rendered = renderSections(formattingSections);
+    expect(rendered).toContain('<em>k</em>');
+    expect(rendered).toContain('x<sup>2</sup>');
+    expect(rendered).toContain('<strong>very important</strong>');
+    expect(rendered).toContain('<code>fit(&lt;data&gt;)</code>');
+    expect(rendered).toContain('appendix.<sup>1</sup>');
+  });
+
+  test('page links should be rendered as anchors on the text they cover', () => {
+    const linksHTML = readFileSync(join(__dirname, 'mock-links.html'), 'utf-8');
+    // "Section 3" covers characters 79-87 of the line, about 5pt per character
+    const links = [
+      { page: 0, rect: { left: 140, top: 100, right: 330, bottom: 110 }, uri: 'https://github.com/facebookresearch/deepcluster' },
+      { page: 0, rect: { left: 466, top: 100, right: 513, bottom: 110 }, dest: { page: 2, y: 36 } }
+    ];
+    const rendered = renderSections(parseHTMLIntoBlocks(linksHTML, { links }));
+    
+    expect(rendered).toContain(
+      '<a href="https://github.com/facebookresearch/deepcluster" target="_blank" rel="noopener noreferrer">' +
+      'https://github.com/facebookresearch/deepcluster</a> and'
+    );
+    expect(rendered).toContain('<a href="#" class="internal-link" data-page="2" data-y="36">Section 3</a>.');
+    expect(rendered).toContain('A third line without any links.');
+  });
+
+  test('link destinations should resolve to the section at that location', () => {
+    const pageChangeHTML = readFileSync(join(__dirname, 'mock-page-change.html'), 'utf-8');
+    const pageChangeSections = parseHTMLIntoBlocks(pageChangeHTML);
+    
+    expect(findSectionAtLocation(pageChangeSections, 2, 36)).toBe(0);
+    expect(findSectionAtLocation(pageChangeSections, 5, null)).toBe(-1);
+  });
+
+  test('footnotes should be pulled out of the flow and linked to their markers', () => {
+    const footnotesHTML = readFileSync(join(__dirname, 'mock-footnotes.html'), 'utf-8');
+    const footnoteSections = parseHTMLIntoBlocks(footnotesHTML);
+    
+    const paragraph = findSection(footnoteSections, 'We train on the full dataset');
+    expect(paragraph.content).not.toContain('available from the authors');
+    const reference = paragraph.runs.find(run => run.footnote);
+    expect(reference.footnote.marker).toBe('1');
+    
+    // The chapter's footnote list comes before the next chapter heading
+    const types = footnoteSections.map(s => s.type);
+    const listIndex = types.indexOf('footnotes');
+    expect(listIndex).toBe(footnoteSections.findIndex(s => s.content === '2 Method') - 1);
+    expect(footnoteSections[listIndex].footnotes[0].content).toBe(
+      'The dataset is available from the authors on request and is distributed under a research license.'
+    );
+    
+    const rendered = renderSections(footnoteSections);
+    expect(rendered).toMatch(/<button type="button" class="footnote-ref" popovertarget="fn-0-1-popover-[^"]+" data-footnote="fn-0-1">1<\/button>/);
+    expect(rendered).toContain('popover>The dataset is available');
+    expect(rendered).toContain('<li id="fn-0-1">');
+  });
+
+  test('bibliography should be split into numbered entries', () => {
+    const referencesHTML = readFileSync(join(__dirname, 'mock-references.html'), 'utf-8');
+    const referenceSections = parseHTMLIntoBlocks(referencesHTML);
+    
+    const heading = findSection(referenceSections, 'References');
+    expect(heading.type).toBe('heading');
+    
+    const bibliography = referenceSections.find(s => s.type === 'bibliography');
+    expect(bibliography.entries.map(entry => entry.label)).toEqual(['1', '2', '3']);
+    expect(bibliography.entries[2].content).toBe(
+      'Caron, M., Bojanowski, P., Joulin, A., Douze, M.: Deep clustering for unsupervised learning of visual features. In: ECCV (2018)'
+    );
+    
+    const rendered = renderSections(referenceSections);
+    expect(rendered).toContain('<ol class="bibliography"');
+    expect(rendered).toContain('<li id="ref-1-2"><span class="reference-label">[2]</span> Bojanowski');
+  });
+
+  test('numeric citations should be linked to bibliography entries', () => {
+    const referencesHTML = readFileSync(join(__dirname, 'mock-references.html'), 'utf-8');
+    const referenceSections = parseHTMLIntoBlocks(referencesHTML);
+    
+    const paragraph = findSection(referenceSections, 'Clustering has been combined');
+    const citations = paragraph.runs.filter(run => run.citation);
+    expect(citations.map(run => run.text)).toEqual(['[2]', '[1, 3]', '[1-3]']);
+    expect(citations[1].citation.ids).toEqual(['ref-1-1', 'ref-1-3']);
+    expect(citations[2].citation.ids).toEqual(['ref-1-1', 'ref-1-2', 'ref-1-3']);
+    
+    const rendered = renderSections(referenceSections);
+    expect(rendered).toContain('class="citation-ref"');
+    expect(rendered).toContain('<span class="citation-entry">[2] Bojanowski');
+  });
+
+  test('author-year citations should be linked to entries split by hanging indent', () => {
+    const referencesHTML = readFileSync(join(__dirname, 'mock-references-author-year.html'), 'utf-8');
+    const referenceSections = parseHTMLIntoBlocks(referencesHTML);
+    
+    const bibliography = referenceSections.find(s => s.type === 'bibliography');
+    expect(bibliography.entries.length).toBe(2);
+    expect(bibliography.entries[1].content).toContain('Doersch, C.');
+    
+    const paragraph = findSection(referenceSections, 'Deep clustering works well');
+    const citations = paragraph.runs.filter(run => run.citation);
+    expect(citations.map(run => run.text)).toEqual(['(Caron et al., 2018)', '(2015)']);
+    expect(citations[1].citation.ids).toEqual([bibliography.entries[1].id]);
+  });
+
+  test('text after a bibliography should not be appended to its last entry', () => {
+    const referencesHTML = readFileSync(join(__dirname, 'mock-references-trailing.html'), 'utf-8');
+    const referenceSections = parseHTMLIntoBlocks(referencesHTML);
+    
+    // Entries still continue across the page break
+    const bibliography = referenceSections.find(s => s.type === 'bibliography');
+    expect(bibliography.entries.map(entry => entry.label)).toEqual(['1', '2', '3']);
+    expect(bibliography.entries[1].content).toContain('predicting noise. In: ICML (2017)');
+    expect(bibliography.entries[2].content).toMatch(/In: ECCV \(2018\)$/);
+    
+    // Text after the last entry, on the same page and the next, stays body text
+    expect(findSection(referenceSections, 'An appendix without a heading').type).toBe('paragraph');
+    expect(findSection(referenceSections, 'Second page text').type).toBe('paragraph');
+  });
+
+  test('captions should be attached to the images they describe', () => {
+    const figuresHTML = readFileSync(join(__dirname, 'mock-figures.html'), 'utf-8');
+    const figureSections = parseHTMLIntoBlocks(figuresHTML);
+    
+    const figures = figureSections.filter(s => s.type === 'figure');
+    expect(figures.length).toBe(2);
+    expect(figures[0].content).toBe(
+      'Fig. 1. Overview of the method: features are clustered and the cluster assignments are used as pseudo-labels for the classifier.'
+    );
+    expect(figures[0].images.map(image => image.src)).toEqual(['data:image/png;base64,AAAA', 'data:image/png;base64,BBBB']);
+    expect(figures[0].figure).toEqual({ kind: 'figure', number: '1', id: 'figure-1' });
+    expect(figures[1].figure).toEqual({ kind: 'table', number: '2', id: 'table-2' });
+    
+    // The caption lines are no longer loose paragraphs
+    expect(figureSections.some(s => s.type === 'paragraph' && s.content.includes('pseudo-labels'))).toBe(false);
+    expect(findSection(figureSections, 'We repeat this').type).toBe('paragraph');
+    
+    // An image without a caption stays a plain image
+    expect(figureSections.filter(s => s.type === 'image').length).toBe(1);
+    
+    const rendered = renderSections(figureSections);
+    expect(rendered).toContain('<figure id="figure-1" class="figure-figure"');
+    expect(rendered).toContain('alt="Fig. 1. Overview of the method');
+    expect(rendered).toContain('<figcaption><strong>Fig. 1.</strong> Overview');
+  });
+
+  test('sections should be found by anchor and rendered by range', () => {
+    const figuresHTML = readFileSync(join(__dirname, 'mock-figures.html'), 'utf-8');
+    const sections = parseHTMLIntoBlocks(figuresHTML);
+    
+    const figureIndex = findSectionByAnchor(sections, 'figure-1');
+    expect(sections[figureIndex].figure.id).toBe('figure-1');
+    expect(findSectionByAnchor(sections, 'missing')).toBe(-1);
+    
+    // A range keeps the sections' document indexes
+    const rendered = renderSections(sections, figureIndex, figureIndex + 1);
+    expect(rendered).toContain(`data-section="${figureIndex}"`);
+    expect(rendered).not.toContain(`data-section="${figureIndex + 1}"`);
+    expect(renderSections(sections, 0, sections.length)).toBe(renderSections(sections));
+  });
+
+  test('body references should link to figures and tables', () => {
+    const figuresHTML = readFileSync(join(__dirname, 'mock-figures.html'), 'utf-8');
+    const figureSections = parseHTMLIntoBlocks(figuresHTML);
+    
+    const paragraph = findSection(figureSections, 'The pipeline in');
+    const links = paragraph.runs.filter(run => run.link);
+    expect(links.map(run => [run.text, run.link.anchor])).toEqual([['Fig. 1', 'figure-1'], ['Table 2', 'table-2']]);
+    
+    // References to figures that were not found stay plain text
+    expect(findSection(figureSections, 'Figure 3 is not').runs.some(run => run.link)).toBe(false);
+    
+    expect(renderSections(figureSections)).toContain('<a href="#figure-1" class="figure-link" data-anchor="figure-1">Fig. 1</a>');
+  });
+
+  test('grids of short lines should be rebuilt as tables', () => {
+    const tablesHTML = readFileSync(join(__dirname, 'mock-tables.html'), 'utf-8');
+    const tableSections = parseHTMLIntoBlocks(tablesHTML);
+    
+    const tables = tableSections.filter(s => s.type === 'table');
+    expect(tables.length).toBe(2);
+    
+    const [table] = tables;
+    expect(table.content).toBe('Table 1: Linear probe accuracy.');
+    expect(table.figure).toEqual({ kind: 'table', number: '1', id: 'table-1' });
+    expect(table.headerRows).toBe(1);
+    expect(table.rows.map(row => row.map(getRunsText))).toEqual([
+      ['Method', 'Top-1', 'Top-5'],
+      ['Random', '12.1', '30.4'],
+      ['DeepCluster', '48.4', '72.1'],
+      ['Ours', '52.9', '76.0']
+    ]);
+    
+    // The cells are no longer loose paragraphs
+    expect(tableSections.some(s => s.type === 'paragraph' && s.content.includes('DeepCluster'))).toBe(false);
+    expect(findSection(tableSections, 'The gains hold').type).toBe('paragraph');
+    
+    const rendered = renderSections(tableSections);
+    expect(rendered).toContain('<figure id="table-1" class="figure-table"');
+    expect(rendered).toContain('<div class="table-scroll"><table><thead><tr><th>Method</th><th>Top-1</th><th>Top-5</th></tr></thead>');
+    expect(rendered).toContain('<tr><td>Ours</td><td>52.9</td><td>76.0</td></tr>');
+    expect(rendered).toContain('<a href="#table-1" class="figure-link" data-anchor="table-1">Table 1</a>');
+  });
+
+  test('irregular tables should be left for an image of their region', () => {
+    const tablesHTML = readFileSync(join(__dirname, 'mock-tables.html'), 'utf-8');
+    const tableSections = parseHTMLIntoBlocks(tablesHTML);
+    
+    const table = tableSections.filter(s => s.type === 'table')[1];
+    expect(table.rows).toBeNull();
+    expect(table.sources).toEqual([expect.objectContaining({ page: 0, top: 220, left: 72 })]);
+    expect(table.lines.map(getRunsText)).toEqual(['Setting  A  B', 'Small  1.0   2.0   3.0   4.0   5.0', 'Large  6.0  7.0']);
+    
+    // Without a rendered image the lines are shown as text
+    expect(renderSections(tableSections)).toContain('<p class="table-line">Large  6.0  7.0</p>');
+    
+    table.images = [{ src: 'data:image/png;base64,AAAA' }];
+    expect(renderSections(tableSections)).toContain('<img class="table-image" src="data:image/png;base64,AAAA" alt="Table" />');
+  });
+
+  test('display equations should become equation sections', () => {
+    const equationsHTML = readFileSync(join(__dirname, 'mock-equations.html'), 'utf-8');
+    const equationSections = parseHTMLIntoBlocks(equationsHTML);
+    
+    const equations = equationSections.filter(s => s.type === 'equation');
+    expect(equations.length).toBe(2);
+    
+    // Fragments below the main line and the equation number join the equation
+    expect(equations[0].number).toBe('1');
+    expect(equations[0].content).toBe('minθ,W 1N ∑ℓ(f) n=1');
+    expect(equations[0].sources).toEqual([expect.objectContaining({ page: 0, top: 100, left: 240 })]);
+    
+    // A centred numbered line is an equation even without math fonts
+    expect(equations[1]).toEqual(expect.objectContaining({ content: 'Z = softmax(QK) V', number: '2' }));
+    
+    // Inline math stays in its paragraph, which is not merged across the equation
+    expect(findSection(equationSections, 'We minimise').type).toBe('paragraph');
+    expect(findSection(equationSections, 'We minimise').content).not.toContain('where the loss');
+    expect(findSection(equationSections, 'The attention output').type).toBe('paragraph');
+  });
+
+  test('equations should render as images with their text as alt text', () => {
+    const equationsHTML = readFileSync(join(__dirname, 'mock-equations.html'), 'utf-8');
+    const equationSections = parseHTMLIntoBlocks(equationsHTML);
+    
+    expect(renderSections(equationSections)).toContain(
+      '<code class="equation-text">Z = softmax(QK) V</code> <span class="equation-number">(2)</span>'
+    );
+    
+    const equation = equationSections.find(s => s.type === 'equation');
+    equation.images = [{ src: 'data:image/png;base64,AAAA', width: 320 }];
+    expect(renderSections(equationSections)).toContain(
+      '<img class="equation-image" src="data:image/png;base64,AAAA" alt="minθ,W 1N ∑ℓ(f) n=1" style="--equation-width: 320px" />'
+    );
+  });
+
+  test('bulleted lists should keep wrapped lines and nested lists in their items', () => {
+    const listsHTML = readFileSync(join(__dirname, 'mock-lists.html'), 'utf-8');
+    const listSections = parseHTMLIntoBlocks(listsHTML);
+    
+    const [bullets] = listSections.filter(s => s.type === 'list');
+    expect(bullets.ordered).toBe(false);
+    expect(bullets.items.map(item => item.content)).toEqual([
+      'We propose a clustering method that scales to millions of images without any labels.',
+      'We evaluate it on several benchmarks [1]:',
+      'We release the code and the trained models.'
+    ]);
+    
+    const nested = bullets.items[1].children;
+    expect(nested).toEqual(expect.objectContaining({ ordered: true, kind: 'lower-alpha', start: 1 }));
+    expect(nested.items.map(item => item.content)).toEqual([
+      'linear classification on ImageNet,',
+      'transfer to object detection and segmentation.'
+    ]);
+    
+    // Citations inside items are linked too
+    expect(bullets.items[1].runs.some(run => run.citation)).toBe(true);
+    
+    expect(findSection(listSections, 'Our contributions').type).toBe('paragraph');
+    expect(findSection(listSections, 'The rest of the paper').type).toBe('paragraph');
+  });
+
+  test('numbered lists should be detected from consecutive enumerators', () => {
+    const listsHTML = readFileSync(join(__dirname, 'mock-lists.html'), 'utf-8');
+    const listSections = parseHTMLIntoBlocks(listsHTML);
+    
+    const lists = listSections.filter(s => s.type === 'list');
+    expect(lists.length).toBe(2);
+    expect(lists[1].ordered).toBe(true);
+    expect(lists[1].items.map(item => item.content)).toEqual([
+      'We review related work on self-supervision and clustering in Section 2.',
+      'We describe our method in Section 3.'
+    ]);
+    
+    // A single numbered line is not a list, and bibliography entries are not lists
+    expect(findSection(listSections, '1. This line only looks').type).toBe('paragraph');
+    expect(listSections.find(s => s.type === 'bibliography').entries.length).toBe(1);
+    
+    const rendered = renderSections(listSections);
+    expect(rendered).toContain('<ul data-section="1"><li>We propose');
+    expect(rendered).toContain('<ol type="a"><li>linear classification on ImageNet,</li>');
+    expect(rendered).toContain('<ol data-section="3"><li>We review related work');
+  });
+
+  test('popovers should have unique ids when a citation is repeated across list items', () => {
+    const listsHTML = readFileSync(join(__dirname, 'mock-lists.html'), 'utf-8');
+    const listSections = parseHTMLIntoBlocks(listsHTML);
+    
+    // Cite the same entry in a second item and in the nested list
+    const bullets = listSections.find(s => s.type === 'list');
+    const cited = bullets.items[1];
+    bullets.items[2] = { ...bullets.items[2], runs: cited.runs };
+    cited.children.items[0] = { ...cited.children.items[0], runs: cited.runs };
+    
+    const rendered = renderSections(listSections);
+    const ids = [...rendered.matchAll(/<span id="([^"]+)" class="footnote-popover"/g)].map(match => match[1]);
+    const targets = [...rendered.matchAll(/popovertarget="([^"]+)"/g)].map(match => match[1]);
+    expect(ids.length).toBe(3);
+    expect(new Set(ids).size).toBe(ids.length);
+    expect(targets).toEqual(ids);
+  });
+
+  test('sections should be written as Markdown', () => {
+    const listsHTML = readFileSync(join(__dirname, 'mock-lists.html'), 'utf-8');
+    const listMarkdown = renderMarkdown(parseHTMLIntoBlocks(listsHTML));
+    
+    expect(listMarkdown).toContain([
+      '- We evaluate it on several benchmarks \\[1\\]:',
+      '  1. linear classification on ImageNet,',
+      '  2. transfer to object detection and segmentation.'
+    ].join('\n'));
+    expect(listMarkdown).toContain('\n\n1\\. This line only looks like a list item.\n');
+    expect(listMarkdown).toContain('\n\n# References\n');
+    
+    const formattingHTML = readFileSync(join(__dirname, 'mock-formatting.html'), 'utf-8');
+    expect(renderMarkdown(parseHTMLIntoBlocks(formattingHTML))).toContain(
+      'over *k* clusters with cost x<sup>2</sup> and the **very important** call to `fit(<data>)`'
+    );
+    
+    const footnotesHTML = readFileSync(join(__dirname, 'mock-footnotes.html'), 'utf-8');
+    const footnoteMarkdown = renderMarkdown(parseHTMLIntoBlocks(footnotesHTML));
+    expect(footnoteMarkdown).toContain('the full dataset[^fn-0-1] and report');
+    expect(footnoteMarkdown).toContain('\n[^fn-0-1]: The dataset is available');
+    
+    const tablesHTML = readFileSync(join(__dirname, 'mock-tables.html'), 'utf-8');
+    expect(renderMarkdown(parseHTMLIntoBlocks(tablesHTML))).toContain([
+      '*Table 1: Linear probe accuracy.*',
+      '',
+      '| Method | Top-1 | Top-5 |',
+      '| --- | --- | --- |',
+      '| Random | 12.1 | 30.4 |'
+    ].join('\n'));
+  });
+
+  test('sections should be written as plain text', () => {
+    const listsHTML = readFileSync(join(__dirname, 'mock-lists.html'), 'utf-8');
+    const text = renderPlainText(parseHTMLIntoBlocks(listsHTML));
+    
+    expect(text).toMatch(/^Our contributions are the following\.\n\n• We propose/);
+    expect(text).toContain('• We evaluate it on several benchmarks [1]:\n  (a) linear classification on ImageNet,');
+    expect(text).not.toMatch(/[*#<]/);
+    
+    const tablesHTML = readFileSync(join(__dirname, 'mock-tables.html'), 'utf-8');
+    expect(renderPlainText(parseHTMLIntoBlocks(tablesHTML))).toContain('Method\tTop-1\tTop-5\nRandom\t12.1\t30.4');    
+    // Footnote markers are bracketed rather than glued to the word before them
+    const footnotesHTML = readFileSync(join(__dirname, 'mock-footnotes.html'), 'utf-8');
+    const footnoteText = renderPlainText(parseHTMLIntoBlocks(footnotesHTML));
+    expect(footnoteText).toContain('We train on the full dataset[1] and report');
+    expect(footnoteText).toContain('\n\n[1] The dataset is available from the authors');
+  });
+
+  test('front matter should be labelled with roles', () => {
+    expect(findSection(sections, 'Deep Clustering for Unsupervised Learning').role).toBe('title');
+    expect(findSection(sections, 'Mathilde Caron').role).toBe('authors');
+    expect(findSection(sections, 'Facebook AI Research').role).toBe('affiliation');
+    expect(findSection(sections, 'Clustering is a class of unsupervised learning').role).toBe('abstract');
+    expect(findSection(sections, 'Keywords:').role).toBe('keywords');
+  });
+
+  test('front matter should be found from metadata and layout cues', () => {
+    const frontMatterHTML = readFileSync(join(__dirname, 'mock-front-matter.html'), 'utf-8');
+    const frontSections = parseHTMLIntoBlocks(frontMatterHTML, {
+      metadata: { title: 'Reflowing Scientific Papers for Small Screens', author: 'Ada Lovelace; Alan Turing' }
+    });
+    
+    const roles = frontSections.filter(s => s.role).map(s => [s.role, s.content]);
+    expect(roles).toEqual([
+      ['title', 'Reflowing Scientific Papers for Small Screens'],
+      ['authors', 'Ada Lovelace1 and Alan Turing2'],
+      ['affiliation', '1 Analytical Engine Society, London'],
+      ['affiliation', '2 Bletchley Park, Milton Keynes'],
+      ['email', '{ada,alan}@reflow.org'],
+      ['abstract', 'Phones make reading fixed-layout papers tiring. We reflow them into a single column of text with figures, tables and equations kept intact.'],
+      ['keywords', 'Index Terms—reflow, reading, mobile devices']
+    ]);
+    
+    // The body after the first section heading is left alone
+    expect(findSection(frontSections, 'Most papers are published').role).toBeUndefined();
+  });
+
+  test('title card should group the title and byline', () => {
+    const rendered = renderSections(sections);
+    expect(rendered).toMatch(/^<header class="title-card"><h1 id="section-0" class="title" data-section="0">/);
+    expect(rendered).toContain('<p class="affiliation" data-section="2">Facebook AI Research</p></header><p class="abstract"');
+    expect(rendered).toContain('<p class="keywords"');
+  });
+
   test('lines in a section should be combined', () => {
     const linesHTML = readFileSync(join(__dirname, 'mock-lines.html'), 'utf-8');
     const sections = parseHTMLIntoBlocks(linesHTML);
@@ -0,0 +1,134 @@
+/**
+ * PDF Client Tests using Jest
+ */
+
+import { describe, test, expect, beforeEach } from '@jest/globals';
+import { loadDocument, openForRendering, renderRegions, LoadCancelledError, PasswordRequiredError } from '../pdf-client.js';
+
+/**
+ * Stand-in for the PDF worker: records the messages posted to it and lets
+ * tests answer them
+ */
+class FakeWorker {
+  constructor() {
+    this.messages = [];
+    this.listeners = { message: [], error: [] };
+    FakeWorker.instance = this;
+  }
+
+  addEventListener(type, listener) {
+    this.listeners[type].push(listener);
+  }
+
+  postMessage(message) {
+    this.messages.push(message);
+  }
+
+  lastMessage() {
+    return this.messages[this.messages.length - 1];
+  }
+
+  reply(data) {
+    this.listeners.message.forEach(listener => listener({ data }));
+  }
+
+  fail(message) {
+    this.listeners.error.forEach(listener => listener({ message }));
+  }
+}
+
+global.Worker = FakeWorker;
+
+describe('PDF Client Tests', () => {
+  let worker = null;
+
+  beforeEach(() => {
+    // The client keeps one worker, created with its first request
+    renderRegions([{ section: 0, box: { page: 0 }, scale: 1, padding: 0 }]).catch(() => {});
+    worker = FakeWorker.instance;
+    worker.reply({ type: 'regions', id: worker.lastMessage().id, images: [] });
+  });
+
+  test('loading should stream the opened document and its pages', async () => {
+    const opened = [];
+    const pages = [];
+    const load = loadDocument(new ArrayBuffer(8), { width: 400, height: 700, emSize: 12 }, {
+      onOpen: info => opened.push(info),
+      onPage: page => pages.push(page)
+    });
+    
+    const { id, type, password } = worker.lastMessage();
+    expect(type).toBe('open');
+    expect(password).toBe(null);
+    
+    worker.reply({ type: 'opened', id, pageCount: 2, metadata: {}, outline: [], laidOut: true });
+    worker.reply({ type: 'page', id, index: 0, pageCount: 2, html: '<p>One</p>', links: [] });
+    worker.reply({ type: 'page', id: id + 100, index: 0, pageCount: 1, html: '<p>Other</p>', links: [] });
+    worker.reply({ type: 'page', id, index: 1, pageCount: 2, html: '<p>Two</p>', links: [] });
+    worker.reply({ type: 'done', id });
+    await load.promise;
+    
+    expect(opened.map(info => info.pageCount)).toEqual([2]);
+    expect(pages.map(page => page.html)).toEqual(['<p>One</p>', '<p>Two</p>']);
+  });
+
+  test('cancelling should reject the load and tell the worker', async () => {
+    const pages = [];
+    const load = loadDocument(new ArrayBuffer(8), { width: 400, height: 700, emSize: 12 }, {
+      onOpen: () => {},
+      onPage: page => pages.push(page)
+    });
+    const { id } = worker.lastMessage();
+    
+    load.cancel();
+    await expect(load.promise).rejects.toBeInstanceOf(LoadCancelledError);
+    expect(worker.lastMessage()).toEqual({ type: 'cancel', id });
+    
+    // Pages the worker sent before it saw the cancel are dropped
+    worker.reply({ type: 'page', id, index: 0, pageCount: 1, html: '<p>Late</p>', links: [] });
+    expect(pages).toEqual([]);
+  });
+
+  test('worker errors should reject the request they answer', async () => {
+    const load = loadDocument(new ArrayBuffer(8), { width: 400, height: 700, emSize: 12 }, {
+      onOpen: () => {},
+      onPage: () => {}
+    });
+    worker.reply({ type: 'error', id: worker.lastMessage().id, message: 'Broken PDF', needsPassword: false });
+    await expect(load.promise).rejects.toThrow('Broken PDF');
+    
+    const regions = renderRegions([{ section: 0, box: { page: 0 }, scale: 1, padding: 0 }]);
+    worker.reply({ type: 'error', id: worker.lastMessage().id, message: 'No PDF is open' });
+    await expect(regions).rejects.toThrow('No PDF is open');
+  });
+
+  test('protected PDFs should reject with a PasswordRequiredError', async () => {
+    const load = loadDocument(new ArrayBuffer(8), { width: 400, height: 700, emSize: 12 }, {
+      onOpen: () => {},
+      onPage: () => {},
+      password: 'guess'
+    });
+    expect(worker.lastMessage().password).toBe('guess');
+    worker.reply({ type: 'error', id: worker.lastMessage().id, message: 'The password is incorrect.', needsPassword: true, wrongPassword: true });
+    await expect(load.promise).rejects.toEqual(expect.objectContaining({ name: 'PasswordRequiredError', wrongPassword: true }));
+    
+    // Reopening a cached document for rendering asks for the password too
+    const rendering = openForRendering(new ArrayBuffer(8), null);
+    expect(worker.lastMessage()).toEqual(expect.objectContaining({ type: 'load', layout: null, password: null }));
+    worker.reply({ type: 'error', id: worker.lastMessage().id, message: 'This PDF is protected by a password.', needsPassword: true, wrongPassword: false });
+    await expect(rendering).rejects.toBeInstanceOf(PasswordRequiredError);
+    await expect(rendering).rejects.toEqual(expect.objectContaining({ wrongPassword: false }));
+  });
+
+  test('a failing worker should reject every request in flight', async () => {
+    const load = loadDocument(new ArrayBuffer(8), { width: 400, height: 700, emSize: 12 }, {
+      onOpen: () => {},
+      onPage: () => {}
+    });
+    const regions = renderRegions([{ section: 0, box: { page: 0 }, scale: 1, padding: 0 }]);
+    
+    worker.fail('Out of memory');
+    await expect(load.promise).rejects.toThrow('Out of memory');
+    await expect(regions).rejects.toThrow('Out of memory');
+  });
+});
@@ -0,0 +1,102 @@
+/**
+ * PDF Document Tests using Jest
+ */
+
+import { describe, test, expect } from '@jest/globals';
+import mupdf from 'mupdf';
+import { openDocument, layoutDocument, extractPage, PasswordError } from '../pdf-document.js';
+import { getViewMode } from '../page-viewer.js';
+
+const LAYOUT = { width: 400, height: 700, emSize: 12 };
+
+// A one-page PDF encrypted with the password 'secret'
+function createProtectedPDF() {
+  const doc = new mupdf.PDFDocument();
+  doc.insertPage(-1, doc.addPage([0, 0, 200, 200], 0, doc.newDictionary(), ''));
+  return doc.saveToBuffer('encrypt=aes-128,user-password=secret,owner-password=owner').asUint8Array().slice();
+}
+
+const PAGE_TEXT = 'BT /F1 12 Tf 72 700 Td (Deep clustering learns visual features without any labels.) Tj ET';
+const PAGE_IMAGE = 'q 612 0 0 792 0 0 cm /Im1 Do Q';
+const PAGE_RECOGNISED = `${PAGE_IMAGE} ${PAGE_TEXT.replace('BT', 'BT 3 Tr')}`;
+
+// A PDF of letter pages drawn from content streams: text, a full-page image
+// (a scan), or a scan with the recognised text laid over it invisibly
+function createPDF(contents) {
+  const doc = new mupdf.PDFDocument();
+  const font = doc.addSimpleFont(new mupdf.Font('Helvetica'));
+  const scan = new mupdf.Pixmap(mupdf.ColorSpace.DeviceGray, [0, 0, 100, 100], false);
+  scan.clear(200);
+  const image = doc.addImage(new mupdf.Image(scan));
+  
+  for (const content of contents) {
+    const resources = doc.newDictionary();
+    const fonts = doc.newDictionary();
+    const xobjects = doc.newDictionary();
+    fonts.put('F1', font);
+    xobjects.put('Im1', image);
+    resources.put('Font', fonts);
+    resources.put('XObject', xobjects);
+    doc.insertPage(-1, doc.addPage([0, 0, 612, 792], 0, resources, content));
+  }
+  return openDocument(doc.saveToBuffer('').asUint8Array().slice());
+}
+
+function getDocumentViewMode(contents) {
+  const doc = createPDF(contents);
+  const laidOut = layoutDocument(doc, LAYOUT);
+  const pages = Array.from({ length: doc.countPages() }, (_, i) => extractPage(doc, i));
+  return getViewMode(laidOut, pages);
+}
+
+function getPasswordError(data, password) {
+  try {
+    openDocument(data, password);
+  } catch (err) {
+    return err;
+  }
+  return null;
+}
+
+describe('PDF Document Tests', () => {
+  test('protected PDFs should need their password', () => {
+    const data = createProtectedPDF();
+    
+    const missing = getPasswordError(data, null);
+    expect(missing).toBeInstanceOf(PasswordError);
+    expect(missing.wrongPassword).toBe(false);
+    
+    const wrong = getPasswordError(data, 'guess');
+    expect(wrong).toBeInstanceOf(PasswordError);
+    expect(wrong.wrongPassword).toBe(true);
+    
+    expect(openDocument(data, 'secret').countPages()).toBe(1);
+  });
+
+  test('pages should report their text and how much of them a scan covers', () => {
+    const doc = createPDF([PAGE_TEXT, PAGE_IMAGE, PAGE_RECOGNISED]);
+    const [text, scan, recognised] = [0, 1, 2].map(i => extractPage(doc, i));
+    
+    expect(text).toEqual(expect.objectContaining({ width: 612, height: 792, imageCover: 0 }));
+    expect(text.textLength).toBeGreaterThan(0);
+    expect(scan).toEqual(expect.objectContaining({ textLength: 0, imageCover: 1 }));
+    expect(recognised.textLength).toBe(text.textLength);
+    expect(recognised.imageCover).toBe(1);
+  });
+
+  test('view modes should be detected from the documents themselves', () => {
+    expect(getDocumentViewMode([PAGE_TEXT, PAGE_TEXT])).toBe('reflow');
+    expect(getDocumentViewMode([PAGE_RECOGNISED, PAGE_RECOGNISED, PAGE_TEXT])).toBe('untagged');
+    expect(getDocumentViewMode([PAGE_IMAGE, PAGE_IMAGE, PAGE_TEXT])).toBe('scanned');
+  });
+
+  test('documents should be laid out unless layout fails', () => {
+    const calls = [];
+    const doc = { layout: (...args) => calls.push(args) };
+    expect(layoutDocument(doc, LAYOUT)).toBe(true);
+    expect(calls).toEqual([[400, 700, 12]]);
+    
+    const broken = { layout: () => { throw new Error('Cannot lay out this document'); } };
+    expect(layoutDocument(broken, LAYOUT)).toBe(false);
+  });
+});
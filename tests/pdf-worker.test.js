@@ -0,0 +1,61 @@
+/**
+ * PDF Worker Tests using Jest
+ */
+
+import { describe, test, expect, beforeAll } from '@jest/globals';
+import mupdf from 'mupdf';
+
+// Messages the worker posted, and its message listener
+const posted = [];
+let onMessage = null;
+
+global.self = {
+  addEventListener: (type, listener) => { onMessage = listener; },
+  postMessage: message => posted.push(message)
+};
+
+// A one-page PDF encrypted with the password 'secret'
+function createProtectedPDF() {
+  const doc = new mupdf.PDFDocument();
+  doc.insertPage(-1, doc.addPage([0, 0, 200, 200], 0, doc.newDictionary(), ''));
+  return doc.saveToBuffer('encrypt=aes-128,user-password=secret,owner-password=owner').asUint8Array().slice().buffer;
+}
+
+async function send(message) {
+  posted.length = 0;
+  await onMessage({ data: message });
+  return posted;
+}
+
+describe('PDF Worker Tests', () => {
+  const layout = { width: 400, height: 700, emSize: 12 };
+  let data;
+
+  beforeAll(async () => {
+    await import('../pdf-worker.js');
+    data = createProtectedPDF();
+  });
+
+  test('opening a protected PDF should report the missing or wrong password', async () => {
+    const [missing] = await send({ type: 'open', id: 1, data, layout, password: null });
+    expect(missing).toEqual(expect.objectContaining({ type: 'error', id: 1, needsPassword: true, wrongPassword: false }));
+    
+    const [wrong] = await send({ type: 'open', id: 2, data, layout, password: 'guess' });
+    expect(wrong).toEqual(expect.objectContaining({ type: 'error', id: 2, needsPassword: true, wrongPassword: true }));
+    
+    const messages = await send({ type: 'open', id: 3, data, layout, password: 'secret' });
+    expect(messages.map(message => message.type)).toEqual(['opened', 'page', 'done']);
+  });
+
+  test('loading a cached protected PDF should need its password too', async () => {
+    const [missing] = await send({ type: 'load', id: 4, data, layout: null, password: null });
+    expect(missing).toEqual(expect.objectContaining({ type: 'error', id: 4, needsPassword: true, wrongPassword: false }));
+    
+    // A failed load leaves no document to render from
+    const [columns] = await send({ type: 'find-columns', id: 5, page: 0 });
+    expect(columns).toEqual(expect.objectContaining({ type: 'error', message: 'No PDF is open', needsPassword: false }));
+    
+    const [loaded] = await send({ type: 'load', id: 6, data, layout: null, password: 'secret' });
+    expect(loaded).toEqual({ type: 'loaded', id: 6 });
+  });
+});
@@ -0,0 +1,86 @@
+/**
+ * Search Tests using Jest
+ */
+
+import { describe, test, expect } from '@jest/globals';
+import { parseHTMLIntoBlocks, renderSections } from '../parser.js';
+import { searchSections, highlightMatches, clearHighlights } from '../search.js';
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+function loadSections(name) {
+  return parseHTMLIntoBlocks(readFileSync(join(__dirname, name), 'utf-8'));
+}
+
+function createSection(content) {
+  return { type: 'paragraph', content, level: 0, images: [] };
+}
+
+describe('Search Tests', () => {
+  test('matches should ignore case, ligatures, accents and line-break hyphens', () => {
+    const sections = [
+      createSection('The ﬁrst eﬀect of self-supervised training'),
+      createSection('A naïve clus- tering baseline'),
+      createSection('Nothing here')
+    ];
+    
+    expect(searchSections(sections, 'FIRST effect').map(result => result.text)).toEqual(['ﬁrst eﬀect']);
+    expect(searchSections(sections, 'naive clustering')[0]).toMatchObject({ section: 1, index: 0, text: 'naïve clus- tering' });
+    expect(searchSections(sections, 'self-supervised').length).toBe(1);
+    expect(searchSections(sections, '  ')).toEqual([]);
+  });
+
+  test('results should count matches per section and carry context', () => {
+    const sections = loadSections('mock-thesis.html');
+    const results = searchSections(sections, 'motivation');
+    
+    expect(results.length).toBeGreaterThan(0);
+    for (const result of results) {
+      expect(sections[result.section].content.toLowerCase()).toContain('motivation');
+      expect(`${result.before}${result.text}${result.after}`.toLowerCase()).toContain('motivation');
+    }
+    
+    const bySection = results.filter(result => result.section === results[0].section);
+    expect(bySection.map(result => result.index)).toEqual(bySection.map((_, index) => index));
+  });
+
+  test('matches in lists should be counted without the item markers', () => {
+    const sections = loadSections('mock-lists.html');
+    const listIndex = sections.findIndex(s => s.type === 'list' && s.content.startsWith('1.'));
+    
+    // "2" is the second item's marker, which the reader does not show as text
+    const results = searchSections(sections, '2').filter(result => result.section === listIndex);
+    expect(results.map(result => `${result.text}${result.after}`)).toEqual(['2. We describe our method in Section 3.']);
+    
+    const container = document.createElement('div');
+    container.innerHTML = renderSections(sections, listIndex, listIndex + 1);
+    highlightMatches(container, '2');
+    expect([...container.querySelectorAll('mark.search-match')].map(mark => mark.dataset.match)).toEqual(['0']);
+    expect(container.querySelector('mark.search-match').parentElement.textContent).toContain('Section 2.');
+  });
+
+  test('rendered matches should be highlighted and cleared', () => {
+    const sections = [createSection('Deep clustering for deep features')];
+    sections[0].runs = [{ text: 'Deep ' }, { text: 'cluster', bold: true }, { text: 'ing for deep features' }];
+    
+    const container = document.createElement('div');
+    container.innerHTML = renderSections(sections);
+    highlightMatches(container, 'deep');
+    
+    const marks = [...container.querySelectorAll('mark.search-match')];
+    expect(marks.map(mark => [mark.textContent, mark.dataset.match])).toEqual([['Deep', '0'], ['deep', '1']]);
+    
+    // A match across formatted runs is highlighted in parts
+    clearHighlights(container);
+    highlightMatches(container, 'clustering');
+    expect([...container.querySelectorAll('mark.search-match')].map(mark => mark.textContent)).toEqual(['cluster', 'ing']);
+    
+    clearHighlights(container);
+    expect(container.querySelector('mark')).toBeNull();
+    expect(container.textContent).toBe('Deep clustering for deep features');
+  });
+});
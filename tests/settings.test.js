@@ -0,0 +1,43 @@
+/**
+ * Reader Settings Tests using Jest
+ */
+
+import { describe, test, expect, beforeEach } from '@jest/globals';
+import { DEFAULT_SETTINGS, loadSettings, saveSettings, applySettings } from '../settings.js';
+
+describe('Reader Settings Tests', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  test('saved settings should be loaded over the defaults', () => {
+    expect(loadSettings()).toEqual(DEFAULT_SETTINGS);
+    
+    saveSettings({ ...DEFAULT_SETTINGS, fontSize: 130, theme: 'sepia' });
+    expect(loadSettings()).toEqual({ ...DEFAULT_SETTINGS, fontSize: 130, theme: 'sepia' });
+  });
+
+  test('invalid saved settings should fall back to the defaults', () => {
+    localStorage.setItem('mobpdf-settings', JSON.stringify({ theme: 'neon', fontSize: 'large', justify: true }));
+    expect(loadSettings()).toEqual({ ...DEFAULT_SETTINGS, justify: true });
+    
+    localStorage.setItem('mobpdf-settings', '{not json');
+    expect(loadSettings()).toEqual(DEFAULT_SETTINGS);
+  });
+
+  test('settings should be applied as CSS properties and data attributes', () => {
+    const root = document.createElement('div');
+    applySettings({ ...DEFAULT_SETTINGS, fontSize: 120, justify: true, theme: 'black', invertImages: true }, root);
+    
+    expect(root.dataset.theme).toBe('black');
+    expect(root.hasAttribute('data-invert-images')).toBe(true);
+    expect(root.style.getPropertyValue('--reader-font-size')).toBe('1.2rem');
+    expect(root.style.getPropertyValue('--reader-align')).toBe('justify');
+    expect(root.style.getPropertyValue('--reader-hyphens')).toBe('auto');
+    
+    // The system theme is followed by leaving the theme unset
+    applySettings(DEFAULT_SETTINGS, root);
+    expect(root.dataset.theme).toBeUndefined();
+    expect(root.hasAttribute('data-invert-images')).toBe(false);
+  });
+});
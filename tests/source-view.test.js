@@ -0,0 +1,60 @@
+/**
+ * Source View Tests using Jest
+ */
+
+import { describe, test, expect } from '@jest/globals';
+import { parseHTMLIntoBlocks } from '../parser.js';
+import { getSourceRequests, renderSourceImages } from '../source-view.js';
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+function loadSections(name) {
+  return parseHTMLIntoBlocks(readFileSync(join(__dirname, name), 'utf-8'));
+}
+
+describe('Source View Tests', () => {
+  test('sections should request one region per page they span', () => {
+    const sections = loadSections('mock-page-change.html');
+    const index = sections.findIndex(s => s.sources.length > 1);
+    const [first, second] = sections[index].sources;
+    
+    const requests = getSourceRequests(sections, index, { pixelRatio: 3 });
+    expect(requests.map(request => request.box)).toEqual([
+      { page: first.page, top: first.top, left: first.left, width: first.width, height: first.height },
+      { page: second.page, top: second.top, left: second.left, width: second.width, height: second.height }
+    ]);
+    expect(requests.every(request => request.section === index && request.scale === 4)).toBe(true);
+    
+    const fullPages = getSourceRequests(sections, index, { fullPage: true });
+    expect(fullPages.map(request => request.box)).toEqual([{ page: first.page }, { page: second.page }]);
+  });
+
+  test('boxes on the same page should be merged into one region', () => {
+    const sections = [{
+      type: 'paragraph',
+      sources: [
+        { page: 2, top: 100, left: 72, width: 200, height: 10 },
+        { page: 2, top: 112, left: 60, width: 300, height: 10 }
+      ]
+    }];
+    
+    const [request] = getSourceRequests(sections, 0);
+    expect(request.box).toEqual({ page: 2, top: 100, left: 60, width: 300, height: 22 });
+    expect(getSourceRequests([{ type: 'paragraph' }], 0)).toEqual([]);
+  });
+
+  test('missing regions should be reported', () => {
+    const container = document.createElement('div');
+    renderSourceImages(container, []);
+    expect(container.textContent).toContain('not available');
+    
+    renderSourceImages(container, [{ src: 'data:image/png;base64,AAAA', width: 300, height: 40 }]);
+    expect(container.innerHTML).toBe(
+      '<img class="source-image" src="data:image/png;base64,AAAA" alt="" style="aspect-ratio: 300 / 40">'
+    );
+  });
+});
@@ -0,0 +1,49 @@
+/**
+ * Table of Contents Tests using Jest
+ */
+
+import { describe, test, expect } from '@jest/globals';
+import { parseHTMLIntoBlocks } from '../parser.js';
+import { buildTableOfContents, getTableOfContentsTargets } from '../toc.js';
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+function loadSections(name) {
+  return parseHTMLIntoBlocks(readFileSync(join(__dirname, name), 'utf-8'));
+}
+
+describe('Table of Contents Tests', () => {
+  test('headings should be nested by level when there is no outline', () => {
+    const sections = loadSections('mock-thesis.html');
+    const entries = buildTableOfContents(null, sections);
+    
+    expect(entries.length).toBe(1);
+    expect(entries[0].title).toBe('1 Introduction');
+    expect(entries[0].children.map(entry => entry.title)).toEqual(['1.1 Motivation']);
+    expect(sections[entries[0].children[0].sectionIndex].content).toBe('1.1 Motivation');
+  });
+
+  test('outline items should point to matching headings', () => {
+    const sections = loadSections('mock-thesis.html');
+    const outline = [
+      { title: 'Introduction', page: 0, down: [{ title: '1.1 Motivation', page: 0 }] }
+    ];
+    const entries = buildTableOfContents(outline, sections);
+    
+    expect(entries[0].title).toBe('Introduction');
+    expect(sections[entries[0].sectionIndex].content).toBe('1 Introduction');
+    expect(sections[entries[0].children[0].sectionIndex].content).toBe('1.1 Motivation');
+  });
+
+  test('outline items without a matching heading should fall back to their page', () => {
+    const sections = loadSections('mock-page-change.html');
+    const entries = buildTableOfContents([{ title: 'Method', page: 1 }], sections);
+    
+    expect(entries[0].sectionIndex).toBe(0);
+    expect(getTableOfContentsTargets(entries)).toEqual([0]);
+  });
+});
@@ -0,0 +1,174 @@
+/**
+ * Virtual Reader Tests using Jest
+ */
+
+import { describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import { createVirtualReader } from '../virtual-reader.js';
+
+// Height (px) every rendered section takes in the fake layout below
+const SECTION_HEIGHT = 100;
+
+// Stand-in for IntersectionObserver: tests say which chunks come into view
+class FakeIntersectionObserver {
+  constructor(callback) {
+    this.callback = callback;
+    this.targets = [];
+    FakeIntersectionObserver.instance = this;
+  }
+
+  observe(target) {
+    this.targets.push(target);
+  }
+
+  disconnect() {
+    this.targets = [];
+  }
+
+  show(index, isIntersecting = true) {
+    this.callback([{ target: this.targets[index], isIntersecting }]);
+  }
+}
+
+function createSections(count) {
+  return Array.from({ length: count }, (_, i) => ({
+    type: 'paragraph',
+    content: `Section ${i} text.`,
+    images: []
+  }));
+}
+
+/**
+ * Lay chunks out one below the other, rendered ones at SECTION_HEIGHT per
+ * section and the others at their spacer height, scrolled by scrollY
+ */
+function installLayout(container, state) {
+  const chunkHeight = el => el.childElementCount ? el.childElementCount * SECTION_HEIGHT : parseFloat(el.style.height) || 0;
+  const chunkTop = el => {
+    let top = -state.scrollY;
+    for (const other of container.children) {
+      if (other === el) break;
+      top += chunkHeight(other);
+    }
+    return top;
+  };
+  const rect = (top, height) => ({ top, bottom: top + height, height, left: 0, right: 400, width: 400 });
+  
+  const prototype = window.HTMLElement.prototype;
+  const original = prototype.getBoundingClientRect;
+  prototype.getBoundingClientRect = function () {
+    if (this.classList.contains('section-chunk')) return rect(chunkTop(this), chunkHeight(this));
+    if (this.dataset.section !== undefined) {
+      const chunk = this.parentElement;
+      return rect(chunkTop(chunk) + [...chunk.children].indexOf(this) * SECTION_HEIGHT, SECTION_HEIGHT);
+    }
+    return rect(0, 0);
+  };
+  Object.defineProperty(prototype, 'offsetHeight', {
+    configurable: true,
+    get() {
+      return this.classList.contains('section-chunk') ? chunkHeight(this) : 0;
+    }
+  });
+  
+  return () => {
+    prototype.getBoundingClientRect = original;
+    delete prototype.offsetHeight;
+  };
+}
+
+describe('Virtual Reader Tests', () => {
+  let container;
+  let state;
+  let restoreLayout;
+
+  beforeEach(() => {
+    global.IntersectionObserver = FakeIntersectionObserver;
+    container = document.createElement('div');
+    document.body.appendChild(container);
+    state = { scrollY: 0 };
+    window.scrollBy = (x, y) => { state.scrollY += y; };
+    restoreLayout = installLayout(container, state);
+  });
+
+  afterEach(() => {
+    restoreLayout();
+    container.remove();
+  });
+
+  test('chunks should start as spacers and render once in view', () => {
+    const rendered = [];
+    createVirtualReader(container, createSections(45), { onRender: el => rendered.push(el.dataset.chunk) });
+    const observer = FakeIntersectionObserver.instance;
+    
+    const chunks = [...container.querySelectorAll('.section-chunk')];
+    expect(chunks.length).toBe(3);
+    expect(observer.targets).toEqual(chunks);
+    expect(chunks.every(chunk => chunk.childElementCount === 0 && parseFloat(chunk.style.height) > 0)).toBe(true);
+    
+    observer.show(1);
+    expect(rendered).toEqual(['1']);
+    expect(chunks[1].style.height).toBe('');
+    const indexes = [...chunks[1].querySelectorAll('[data-section]')].map(el => parseInt(el.dataset.section));
+    expect(indexes).toEqual(Array.from({ length: 20 }, (_, i) => 20 + i));
+  });
+
+  test('chunks out of view should be released to spacers of their rendered height', () => {
+    createVirtualReader(container, createSections(45));
+    const observer = FakeIntersectionObserver.instance;
+    const chunk = container.querySelector('[data-chunk="2"]');
+    
+    observer.show(2);
+    expect(chunk.childElementCount).toBe(5);
+    
+    observer.show(2, false);
+    expect(chunk.childElementCount).toBe(0);
+    expect(chunk.style.height).toBe(`${5 * SECTION_HEIGHT}px`);
+  });
+
+  test('changed sections should be rendered again only when their chunk is in the DOM', () => {
+    const sections = createSections(45);
+    const reader = createVirtualReader(container, sections);
+    FakeIntersectionObserver.instance.show(0);
+    
+    sections[3].content = 'Section 3 with its images.';
+    sections[25].content = 'Section 25 with its images.';
+    reader.refreshSections([3, 25]);
+    expect(container.querySelector('[data-section="3"]').textContent).toBe('Section 3 with its images.');
+    expect(container.querySelector('[data-section="25"]')).toBe(null);
+  });
+
+  test('chunks rendered above the reading top should not move the text being read', () => {
+    const reader = createVirtualReader(container, createSections(45), { getReadingTop: () => 60 });
+    const observer = FakeIntersectionObserver.instance;
+    const spacer = parseFloat(container.querySelector('[data-chunk="1"]').style.height);
+    
+    // The first chunk starts below the reading top, so rendering it keeps the scroll
+    state.scrollY = -100;
+    observer.show(0);
+    expect(state.scrollY).toBe(-100);
+    
+    // The second chunk starts under the sticky header, above the reading top
+    state.scrollY = 20 * SECTION_HEIGHT - 30;
+    observer.show(1);
+    expect(state.scrollY).toBe(20 * SECTION_HEIGHT - 30 + 20 * SECTION_HEIGHT - spacer);
+    
+    // Revealing a section to look it up does not scroll
+    const before = state.scrollY;
+    reader.revealSection(44);
+    expect(state.scrollY).toBe(before);
+  });
+
+  test('reading positions should be read and restored at a viewport offset', () => {
+    const reader = createVirtualReader(container, createSections(45));
+    FakeIntersectionObserver.instance.show(0);
+    
+    // Section 1 spans 100-200, so an offset of 130 is 30% into it
+    expect(reader.getSectionAtOffset(130)).toBe(1);
+    expect(reader.getPosition(130)).toEqual({ section: 1, offset: 0.3 });
+    
+    // Sections in released chunks are rendered before scrolling to them
+    reader.scrollToPosition({ section: 22, offset: 0.5 }, 60);
+    expect(container.querySelector('[data-section="22"]')).not.toBe(null);
+    expect(reader.getPosition(60)).toEqual({ section: 22, offset: 0.5 });
+  });
+});
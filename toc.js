@@ -0,0 +1,153 @@
+/**
+ * Table of Contents
+ * Builds a nested table of contents from the PDF outline, or from the
+ * detected headings when the PDF has none, and renders it into the drawer
+ */
+
+import { getSectionPages, escapeHtml } from './parser.js';
+
+/**
+ * Normalize a title for fuzzy comparison, ignoring section numbering
+ */
+function normalizeTitle(text) {
+  return (text || '')
+    .toLowerCase()
+    .replace(/^\s*(\d+(\.\d+)*|[ivxlc]+|[a-z])[.)]?\s+/, '')
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+}
+
+/**
+ * Check if a heading matches an outline title (either may be truncated)
+ */
+function titlesMatch(heading, title) {
+  const a = normalizeTitle(heading);
+  const b = normalizeTitle(title);
+  if (!a || !b) return false;
+  return a === b || a.startsWith(b) || b.startsWith(a);
+}
+
+/**
+ * Find the section an outline item points to.
+ * Prefers a heading with a matching title on or after the target page,
+ * then falls back to the first section on that page.
+ */
+function findOutlineTarget(item, sections) {
+  const page = typeof item.page === 'number' ? item.page : -1;
+  const isOnOrAfterPage = section => page < 0 || getSectionPages(section).some(p => p >= page);
+  
+  const headingIndex = sections.findIndex(section =>
+    section.type === 'heading' && isOnOrAfterPage(section) && titlesMatch(section.content, item.title)
+  );
+  if (headingIndex !== -1) return headingIndex;
+  
+  if (page < 0) return -1;
+  return sections.findIndex(section => getSectionPages(section).includes(page));
+}
+
+/**
+ * Convert mupdf outline items into table of contents entries
+ */
+function buildFromOutline(outline, sections) {
+  return outline
+    .filter(item => item.title)
+    .map(item => ({
+      title: item.title.trim(),
+      sectionIndex: findOutlineTarget(item, sections),
+      children: item.down ? buildFromOutline(item.down, sections) : []
+    }));
+}
+
+/**
+ * Nest detected headings by level
+ */
+function buildFromHeadings(sections) {
+  const root = { level: 0, children: [] };
+  const stack = [root];
+  
+  sections.forEach((section, index) => {
+    if (section.type !== 'heading' || !section.content.trim()) return;
+    
+    const entry = { title: section.content.trim(), sectionIndex: index, level: section.level, children: [] };
+    while (stack.length > 1 && stack[stack.length - 1].level >= entry.level) {
+      stack.pop();
+    }
+    stack[stack.length - 1].children.push(entry);
+    stack.push(entry);
+  });
+  
+  const strip = entries => entries.map(({ title, sectionIndex, children }) => ({
+    title,
+    sectionIndex,
+    children: strip(children)
+  }));
+  return strip(root.children);
+}
+
+/**
+ * Build table of contents entries ({ title, sectionIndex, children }).
+ * Uses the PDF outline when present, else the headings found by the parser.
+ */
+export function buildTableOfContents(outline, sections) {
+  if (outline && outline.length > 0) {
+    return buildFromOutline(outline, sections);
+  }
+  return buildFromHeadings(sections);
+}
+
+/**
+ * Get the section indexes of all entries in document order
+ */
+export function getTableOfContentsTargets(entries) {
+  return entries.flatMap(entry => [
+    ...(entry.sectionIndex >= 0 ? [entry.sectionIndex] : []),
+    ...getTableOfContentsTargets(entry.children)
+  ]);
+}
+
+/**
+ * Render entries as nested lists; entries with children are collapsible
+ */
+function renderEntries(entries) {
+  const items = entries.map(entry => {
+    const button = `<button type="button" class="toc-entry" data-target="${entry.sectionIndex}"` +
+      `${entry.sectionIndex < 0 ? ' disabled' : ''}>${escapeHtml(entry.title)}</button>`;
+    
+    if (entry.children.length === 0) {
+      return `<li>${button}</li>`;
+    }
+    return `<li><details open><summary>${button}</summary>${renderEntries(entry.children)}</details></li>`;
+  });
+  
+  return `<ul>${items.join('')}</ul>`;
+}
+
+/**
+ * Render the table of contents into a container
+ */
+export function renderTableOfContents(container, entries, onSelect) {
+  if (entries.length === 0) {
+    container.innerHTML = '<p class="toc-empty">No sections found</p>';
+    return;
+  }
+  
+  container.innerHTML = renderEntries(entries);
+  container.querySelectorAll('.toc-entry').forEach(button => {
+    button.addEventListener('click', e => {
+      e.preventDefault();
+      onSelect(parseInt(button.dataset.target));
+    });
+  });
+}
+
+/**
+ * Highlight the entry for the section currently being read
+ */
+export function setActiveEntry(container, sectionIndex) {
+  container.querySelectorAll('.toc-entry.active').forEach(button => {
+    button.classList.remove('active');
+  });
+  
+  const active = container.querySelector(`.toc-entry[data-target="${sectionIndex}"]`);
+  if (active) active.classList.add('active');
+}
@@ -0,0 +1,204 @@
+/**
+ * Virtual Reader
+ * Renders a document in chunks of sections and keeps only the chunks near
+ * the viewport in the DOM. Chunks out of view are replaced by spacers of
+ * their measured (or estimated) height, so the scrollbar stays put and
+ * inline images are only decoded when their chunk comes into view.
+ */
+
+import { renderSections } from './parser.js';
+
+// Sections rendered together; small enough to render quickly while scrolling
+const CHUNK_SIZE = 20;
+
+// How far beyond the viewport chunks are kept rendered
+const RENDER_MARGIN = '150% 0px';
+
+// Height estimates for chunks that were never rendered
+const ESTIMATED_CHAR_WIDTH = 0.5;
+const ESTIMATED_LINE_HEIGHT = 1.6;
+const ESTIMATED_SECTION_SPACING = 1;
+const ESTIMATED_IMAGE_HEIGHT = 240;
+
+/**
+ * Split sections into chunks; front matter sections (which have a role)
+ * stay in one chunk so the title card is not split
+ */
+function splitIntoChunks(sections) {
+  const chunks = [];
+  let start = 0;
+  
+  while (start < sections.length) {
+    let end = Math.min(start + CHUNK_SIZE, sections.length);
+    while (end < sections.length && sections[end].role && sections[end - 1].role) {
+      end++;
+    }
+    chunks.push({ start, end, height: 0, rendered: false, el: null });
+    start = end;
+  }
+  
+  return chunks;
+}
+
+/**
+ * Estimate the height (px) of a chunk from its text length and images
+ */
+function estimateChunkHeight(sections, chunk, width, fontSize) {
+  const charsPerLine = Math.max(20, width / (fontSize * ESTIMATED_CHAR_WIDTH));
+  const lineHeight = fontSize * ESTIMATED_LINE_HEIGHT;
+  let height = 0;
+  
+  for (let i = chunk.start; i < chunk.end; i++) {
+    const section = sections[i];
+    const lines = Math.ceil((section.content || '').length / charsPerLine);
+    height += lines * lineHeight + ESTIMATED_SECTION_SPACING * fontSize;
+    height += section.images.length * ESTIMATED_IMAGE_HEIGHT;
+  }
+  
+  return Math.round(height);
+}
+
+/**
+ * Render sections into a container, virtualized. onRender is called with
+ * each chunk element once its sections are in the DOM; getReadingTop gives
+ * the viewport offset (px) where reading starts, below any sticky header.
+ * Returns the reader's controls: scrollToSection, scrollToPosition,
+ * revealSection, refreshSections, getSectionAtOffset, getPosition and destroy.
+ */
+export function createVirtualReader(container, sections, { onRender, getReadingTop = () => 0 } = {}) {
+  const chunks = splitIntoChunks(sections);
+  const width = container.getBoundingClientRect().width || window.innerWidth;
+  const fontSize = parseFloat(getComputedStyle(container).fontSize) || 16;
+  
+  container.innerHTML = chunks.map((chunk, index) => {
+    chunk.height = estimateChunkHeight(sections, chunk, width, fontSize);
+    return `<div class="section-chunk" data-chunk="${index}" style="height: ${chunk.height}px"></div>`;
+  }).join('');
+  
+  container.querySelectorAll('.section-chunk').forEach((el, index) => {
+    chunks[index].el = el;
+  });
+  
+  const findChunk = sectionIndex => chunks.find(chunk => sectionIndex >= chunk.start && sectionIndex < chunk.end);
+  
+  // Render a chunk; when it starts above the text being read, scroll by the
+  // change in its height so that text does not move
+  function renderChunk(chunk, keepPosition = true) {
+    if (chunk.rendered) return;
+    
+    const previousHeight = chunk.height;
+    chunk.el.innerHTML = renderSections(sections, chunk.start, chunk.end);
+    chunk.el.style.height = '';
+    chunk.rendered = true;
+    if (onRender) onRender(chunk.el);
+    chunk.height = chunk.el.offsetHeight;
+    
+    if (keepPosition && chunk.el.getBoundingClientRect().top < getReadingTop()) {
+      window.scrollBy(0, chunk.height - previousHeight);
+    }
+  }
+  
+  function releaseChunk(chunk) {
+    if (!chunk.rendered) return;
+    
+    chunk.height = chunk.el.offsetHeight;
+    chunk.el.style.height = `${chunk.height}px`;
+    chunk.el.innerHTML = '';
+    chunk.rendered = false;
+  }
+  
+  const observer = new IntersectionObserver(entries => {
+    for (const entry of entries) {
+      const chunk = chunks[parseInt(entry.target.dataset.chunk)];
+      if (entry.isIntersecting) {
+        renderChunk(chunk);
+      } else {
+        releaseChunk(chunk);
+      }
+    }
+  }, { rootMargin: RENDER_MARGIN });
+  
+  chunks.forEach(chunk => observer.observe(chunk.el));
+  
+  /**
+   * Make sure a section is in the DOM, e.g. before looking up an element in it
+   */
+  function revealSection(sectionIndex) {
+    const chunk = findChunk(sectionIndex);
+    if (chunk) renderChunk(chunk, false);
+  }
+  
+  /**
+   * Scroll a section to the top of the screen
+   */
+  function scrollToSection(sectionIndex) {
+    revealSection(sectionIndex);
+    const target = container.querySelector(`[data-section="${sectionIndex}"]`);
+    if (target) {
+      target.scrollIntoView({ block: 'start' });
+    }
+  }
+  
+  /**
+   * Scroll a reading position ({ section, offset }) to a viewport offset (px)
+   */
+  function scrollToPosition(position, top = 0) {
+    revealSection(position.section);
+    const target = container.querySelector(`[data-section="${position.section}"]`);
+    if (!target) return;
+    
+    const rect = target.getBoundingClientRect();
+    window.scrollBy(0, rect.top + rect.height * position.offset - top);
+  }
+  
+  /**
+   * Re-render sections that changed (e.g. once their page images arrive)
+   */
+  function refreshSections(sectionIndexes) {
+    const changed = new Set(sectionIndexes.map(findChunk).filter(Boolean));
+    for (const chunk of changed) {
+      if (!chunk.rendered) continue;
+      chunk.rendered = false;
+      renderChunk(chunk);
+    }
+  }
+  
+  /**
+   * Index of the first section ending below a viewport offset (px), or -1
+   */
+  function getSectionAtOffset(offset) {
+    for (const el of container.querySelectorAll('[data-section]')) {
+      if (el.getBoundingClientRect().bottom > offset) {
+        return parseInt(el.dataset.section);
+      }
+    }
+    return -1;
+  }
+  
+  /**
+   * Reading position at a viewport offset (px): the section there and how
+   * far into it the offset is, as a fraction of its height
+   */
+  function getPosition(top = 0) {
+    const sectionIndex = getSectionAtOffset(top);
+    if (sectionIndex === -1) return null;
+    
+    const rect = container.querySelector(`[data-section="${sectionIndex}"]`).getBoundingClientRect();
+    const offset = rect.height > 0 ? Math.min(1, Math.max(0, (top - rect.top) / rect.height)) : 0;
+    return { section: sectionIndex, offset };
+  }
+  
+  function destroy() {
+    observer.disconnect();
+  }
+  
+  return {
+    scrollToSection,
+    scrollToPosition,
+    revealSection,
+    refreshSections,
+    getSectionAtOffset,
+    getPosition,
+    destroy
+  };
+}
@@ -5,6 +5,9 @@ export default defineConfig({
   build: {
     target: 'esnext',
   },
+  worker: {
+    format: 'es',
+  },
   optimizeDeps: {
     exclude: ['mupdf'],
     esbuildOptions: {